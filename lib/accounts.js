@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const { MIN_TWEET_LENGTH } = require('./thread_splitter');
+
+const DEFAULT_ACCOUNTS_FILE = path.join(__dirname, '..', 'config', 'accounts.json');
+const ACCOUNT_NAME = /^[a-z0-9_-]{1,50}$/i;
+const CREDENTIAL_SUFFIXES = {
+    appKey: 'API_KEY',
+    appSecret: 'API_SECRET_KEY',
+    accessToken: 'ACCESS_TOKEN',
+    accessSecret: 'ACCESS_TOKEN_SECRET'
+};
+
+/**
+ * Registry of the Twitter accounts the bot posts as (see config/accounts.json).
+ *
+ * Each account reads its credentials from `<credentialsPrefix>_API_KEY`,
+ * `_API_SECRET_KEY`, `_ACCESS_TOKEN` and `_ACCESS_TOKEN_SECRET`, and may set its own
+ * `maxTweetLength` and `replyTemplate` ({text}, {account} and {username} placeholders).
+ *
+ * A record goes to the account named in `routing.column` when that column is set,
+ * else to the first matching `routing.rules` entry, else to `defaultAccount`.
+ */
+class AccountRegistry {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        const compiled = AccountRegistry.compile(definition, source);
+        this.accounts = compiled.accounts;
+        this.defaultAccount = compiled.defaultAccount;
+        this.routing = compiled.routing;
+    }
+
+    static fromFile(filePath = process.env.ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot load accounts from ${filePath}: ${error.message}`);
+        }
+        return new AccountRegistry(definition, filePath);
+    }
+
+    static compile(definition, source) {
+        const fail = (message) => {
+            throw new Error(`Invalid accounts config (${source}): ${message}`);
+        };
+
+        if (!definition || !Array.isArray(definition.accounts) || definition.accounts.length === 0) {
+            fail('expected an object with a non-empty "accounts" array');
+        }
+
+        const accounts = definition.accounts.map((account, index) => {
+            const label = account.name || `accounts[${index}]`;
+            if (!ACCOUNT_NAME.test(account.name || '')) fail(`${label} needs a "name" of letters, digits, _ or - (max 50)`);
+            if (!account.credentialsPrefix) fail(`${label} is missing "credentialsPrefix"`);
+            if (account.maxTweetLength !== undefined && !(Number.isInteger(account.maxTweetLength) && account.maxTweetLength >= MIN_TWEET_LENGTH)) {
+                fail(`${label} maxTweetLength must be an integer of at least ${MIN_TWEET_LENGTH}`);
+            }
+            if (account.replyTemplate !== undefined && !String(account.replyTemplate).includes('{text}')) {
+                fail(`${label} replyTemplate must contain {text}`);
+            }
+
+            return {
+                name: account.name,
+                username: account.username || null,
+                credentialsPrefix: account.credentialsPrefix,
+                maxTweetLength: account.maxTweetLength || null,
+                replyTemplate: account.replyTemplate || '{text}'
+            };
+        });
+
+        const names = new Set();
+        for (const account of accounts) {
+            if (names.has(account.name)) fail(`duplicate account "${account.name}"`);
+            names.add(account.name);
+        }
+
+        const defaultAccount = definition.defaultAccount || null;
+        if (defaultAccount && !names.has(defaultAccount)) {
+            fail(`defaultAccount "${defaultAccount}" is not in "accounts"`);
+        }
+
+        const routing = definition.routing || {};
+        const rules = (routing.rules || []).map((rule, index) => {
+            const label = rule.name || `routing.rules[${index}]`;
+            if (!names.has(rule.account)) fail(`${label} routes to unknown account "${rule.account}"`);
+            if (!rule.field) fail(`${label} is missing "field"`);
+            if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) fail(`${label} needs a non-empty "patterns" array`);
+
+            return {
+                name: label,
+                account: rule.account,
+                field: rule.field,
+                patterns: rule.patterns.map(pattern => {
+                    try {
+                        // g/y would make test() stateful between records
+                        return new RegExp(pattern, (rule.flags || '').replace(/[gy]/g, ''));
+                    } catch (error) {
+                        return fail(`${label} has an invalid pattern "${pattern}": ${error.message}`);
+                    }
+                })
+            };
+        });
+
+        return {
+            accounts,
+            defaultAccount,
+            routing: { column: routing.column || null, rules }
+        };
+    }
+
+    get(name) {
+        return this.accounts.find(account => account.name === name) || null;
+    }
+
+    /**
+     * Credentials for an account from the environment; throws naming the missing variables.
+     */
+    credentials(account, env = process.env) {
+        const credentials = {};
+        const missing = [];
+        for (const [key, suffix] of Object.entries(CREDENTIAL_SUFFIXES)) {
+            const variable = `${account.credentialsPrefix}_${suffix}`;
+            credentials[key] = env[variable];
+            if (!credentials[key]) missing.push(variable);
+        }
+        if (missing.length > 0) {
+            throw new Error(`Missing credentials for account "${account.name}": ${missing.join(', ')}`);
+        }
+        return credentials;
+    }
+
+    /**
+     * Pick the account for a twitter_answers record.
+     * Returns { account, via } or { account: null, reason } when the record cannot be routed.
+     */
+    route(record) {
+        const column = this.routing.column;
+        if (column && record[column] !== null && record[column] !== undefined && String(record[column]).trim()) {
+            const name = String(record[column]).trim();
+            const account = this.get(name);
+            return account ?
+                { account: account.name, via: `column ${column}` } :
+                { account: null, reason: `${column} names unknown account "${name}"` };
+        }
+
+        for (const rule of this.routing.rules) {
+            const value = record[rule.field] === null || record[rule.field] === undefined ? '' : String(record[rule.field]);
+            if (rule.patterns.some(pattern => pattern.test(value))) {
+                return { account: rule.account, via: `rule ${rule.name}` };
+            }
+        }
+
+        if (this.defaultAccount) {
+            return { account: this.defaultAccount, via: 'default' };
+        }
+        return { account: null, reason: 'no routing rule matched and no defaultAccount is set' };
+    }
+}
+
+module.exports = AccountRegistry;
@@ -0,0 +1,177 @@
+// Headings that start a reference section, e.g. "Science papers:" or "**References:**"
+const SECTION_HEADING = /^\s*(?:#+\s*)?(?:\*\*|__)?\s*(science papers|additional sources|references)\s*:?\s*(?:\*\*|__)?\s*:?\s*(.*)$/i;
+
+// Identifier patterns - each captures the bare identifier in group 1
+const IDENTIFIER_PATTERNS = [
+    {
+        type: 'doi',
+        regex: /(?:\bdoi:\s*|https?:\/\/(?:dx\.|www\.)?doi\.org\/)?\b(10\.\d{4,9}\/[^\s"'<>,;()[\]{}]+)/gi
+    },
+    {
+        type: 'pmid',
+        regex: /(?:https?:\/\/)?(?:www\.)?(?:pubmed\.ncbi\.nlm\.nih\.gov\/|ncbi\.nlm\.nih\.gov\/pubmed\/)(\d{1,9})\/?/gi
+    },
+    {
+        type: 'pmid',
+        regex: /\bPMID\s*:?\s*(\d{1,9})\b/gi
+    },
+    {
+        type: 'arxiv',
+        regex: /(?:https?:\/\/)?(?:www\.)?arxiv\.org\/(?:abs|pdf)\/([a-z-]+(?:\.[A-Z]{2})?\/\d{7}(?:v\d+)?|\d{4}\.\d{4,5}(?:v\d+)?)(?:\.pdf)?/gi
+    },
+    {
+        type: 'arxiv',
+        regex: /\barxiv\s*:\s*([a-z-]+(?:\.[A-Z]{2})?\/\d{7}(?:v\d+)?|\d{4}\.\d{4,5}(?:v\d+)?)/gi
+    }
+];
+
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s+/;
+// Text ending inside a link, e.g. "https://www.nature.com/articles/" before a DOI
+const OPEN_URL = /(?:https?:\/\/|\bwww\.)[^\s"'<>()[\]{}]*$/i;
+const URL_PATTERN = /https?:\/\/[^\s"'<>()[\]{}]+[^\s"'<>()[\]{}.,;:!?]/i;
+
+function canonicalUrl(type, id) {
+    switch (type) {
+        case 'doi':
+            return `https://doi.org/${id}`;
+        case 'pmid':
+            return `https://pubmed.ncbi.nlm.nih.gov/${id}/`;
+        case 'arxiv':
+            return `https://arxiv.org/abs/${id}`;
+        default:
+            return null;
+    }
+}
+
+function normalizeId(type, id) {
+    // Sentence punctuation directly after a DOI is not part of it
+    const trimmed = id.replace(/[.:]+$/, '');
+    return type === 'doi' ? trimmed.toLowerCase() : trimmed;
+}
+
+/**
+ * Find DOI / PMID / arXiv identifiers in text.
+ * Returns { text, citations } where text has the identifiers removed.
+ */
+function extractIdentifiers(text) {
+    const citations = [];
+    let remaining = text;
+
+    for (const { type, regex } of IDENTIFIER_PATTERNS) {
+        remaining = remaining.replace(regex, (match, id, offset, string) => {
+            // Part of a publisher link - cutting it out would leave a broken URL
+            if (OPEN_URL.test(string.slice(0, offset))) return match;
+
+            const normalized = normalizeId(type, id);
+            citations.push({ type, id: normalized, url: canonicalUrl(type, normalized) });
+            // Give back punctuation that was trimmed off the identifier
+            return match.endsWith(id) ? id.substring(normalized.length) : '';
+        });
+    }
+
+    return { text: remaining, citations };
+}
+
+function tidyText(text) {
+    return text
+        .replace(/\(\s*[,;:]?\s*\)|\[\s*[,;:]?\s*\]/g, '')  // brackets emptied by identifier removal
+        .replace(/[ \t]+([.,;:!?)])/g, '$1')
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function isReferenceLine(line) {
+    return LIST_ITEM.test(line) || extractIdentifiers(line).citations.length > 0;
+}
+
+/**
+ * Split an answer into the tweetable body and its citations.
+ *
+ * "Science papers:", "Additional sources:" and "References:" sections are removed
+ * along with inline DOI, PMID and arXiv identifiers. Each identifier comes back as
+ * { type, id, url, title } with a canonical doi.org / pubmed / arxiv.org link.
+ * Section entries without an identifier come back as type 'url' or 'text'.
+ */
+function extractCitations(answer) {
+    const lines = (answer || '').split(/\r?\n/);
+    const bodyLines = [];
+    const citations = [];
+    const seen = new Set();
+
+    const addCitations = (found, title) => {
+        for (const citation of found) {
+            const key = `${citation.type}:${citation.id}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            citations.push({ ...citation, title: title || null });
+        }
+    };
+
+    let inSection = false;
+    let afterBlankLine = false;
+
+    for (const line of lines) {
+        const heading = line.match(SECTION_HEADING);
+        if (heading) {
+            inSection = true;
+            afterBlankLine = false;
+            if (heading[2].trim()) {
+                const { text, citations: found } = extractIdentifiers(heading[2]);
+                addCitations(found, tidyText(text));
+            }
+            continue;
+        }
+
+        if (inSection) {
+            if (line.trim().length === 0) {
+                afterBlankLine = true;
+                continue;
+            }
+
+            // Prose after a blank line ends the section
+            if (afterBlankLine && !isReferenceLine(line)) {
+                inSection = false;
+                bodyLines.push('');
+            } else {
+                const { text, citations: found } = extractIdentifiers(line);
+                let title = tidyText(text.replace(LIST_ITEM, '')).replace(/[-–:,\s]+$/, '');
+                
+                // Keep references without a known identifier as a plain link or title
+                if (found.length === 0) {
+                    const url = title.match(URL_PATTERN);
+                    if (url) {
+                        title = tidyText(title.replace(url[0], '')).replace(/[-–:,\s]+$/, '');
+                        found.push({ type: 'url', id: url[0], url: url[0] });
+                    } else if (title) {
+                        found.push({ type: 'text', id: title, url: null });
+                    }
+                }
+                
+                addCitations(found, title);
+                continue;
+            }
+        }
+
+        const { text, citations: found } = extractIdentifiers(line);
+        addCitations(found, null);
+        bodyLines.push(text);
+    }
+
+    return {
+        body: tidyText(bodyLines.join('\n')),
+        citations
+    };
+}
+
+/**
+ * Text for a follow-up reply listing citation links.
+ */
+function formatCitationsReply(citations) {
+    if (!citations || citations.length === 0) return '';
+    const lines = citations.map((citation, index) => `${index + 1}. ${citation.url || citation.title}`);
+    return `Sources:\n${lines.join('\n')}`;
+}
+
+module.exports = { extractCitations, extractIdentifiers, formatCitationsReply, canonicalUrl };
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { EDIT_POLICIES, RETRACTION_POLICIES } = require('./upstream_changes');
+const { MIN_TWEET_LENGTH } = require('./thread_splitter');
+const { STRATEGIES } = require('./ordering');
+const { DISCLOSURE_MODES } = require('./poi');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'bot.json');
+const SSL_MODES = ['disable', 'require', 'no-verify'];
+const STORAGE_BACKENDS = ['postgres', 'file'];
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function checkMetricsSchedule(value) {
+    if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+    for (const [index, step] of value.entries()) {
+        if (!step || !Number.isInteger(step.maxAgeMs) || !Number.isInteger(step.everyMs) || step.maxAgeMs <= 0 || step.everyMs <= 0) {
+            return `[${index}] needs positive integer "maxAgeMs" and "everyMs"`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Every bot setting: dotted key, type, default, optional env override and whether it
+ * is safe to change on SIGHUP (`reload`). Settings read once at startup - timers,
+ * connections, feature switches - need a restart.
+ */
+const SETTINGS = [
+    // Posting and retries
+    { key: 'minDelayBetweenPosts', type: 'integer', min: 0, default: 2000, reload: true },
+    { key: 'maxDelayBetweenPosts', type: 'integer', min: 0, default: 30000, reload: true },
+    { key: 'rateLimitBackoffMultiplier', type: 'number', min: 1, default: 2, reload: true },
+    { key: 'maxRetries', type: 'integer', min: 0, default: 3, reload: true },
+    { key: 'retryDelayMs', type: 'integer', min: 0, default: 5000, reload: true },
+    { key: 'maxTweetLength', type: 'integer', min: MIN_TWEET_LENGTH, default: 25000, env: 'TWEET_MAX_LENGTH' },
+    { key: 'delayBetweenThreadParts', type: 'integer', min: 0, default: 1000, reload: true },
+    { key: 'postCitationsReply', type: 'boolean', default: true, env: 'POST_CITATIONS_REPLY', reload: true },
+    { key: 'maxPostAttempts', type: 'integer', min: 1, default: 5, reload: true },
+    { key: 'retryBaseDelayMs', type: 'integer', min: 0, default: MINUTE_MS, reload: true },
+    { key: 'retryMaxDelayMs', type: 'integer', min: 0, default: 6 * HOUR_MS, reload: true },
+    { key: 'retryBatchSize', type: 'integer', min: 1, default: 50, reload: true },
+
+    // Twitter API; a base URL points the clients at another server, e.g. scripts/fake_twitter_api.js
+    { key: 'twitterApiBaseUrl', type: 'url', nullable: true, default: null, env: 'TWITTER_API_BASE_URL' },
+
+    // Ingestion
+    { key: 'initialLookbackMs', type: 'integer', min: 0, default: 12 * HOUR_MS, env: 'INITIAL_LOOKBACK_MS', reload: true },
+    { key: 'pollIntervalMs', type: 'integer', min: 1000, default: MINUTE_MS, env: 'POLL_INTERVAL_MS' },
+    { key: 'listenNotify', type: 'boolean', default: false, env: 'LISTEN_NOTIFY' },
+    { key: 'notifyChannel', type: 'string', default: 'twitter_answers_new', env: 'NOTIFY_CHANNEL' },
+    { key: 'safetyPollIntervalMs', type: 'integer', min: 1000, default: 5 * MINUTE_MS },
+    { key: 'notifyDebounceMs', type: 'integer', min: 0, default: 500, reload: true },
+    { key: 'rejectionRecheckIntervalMs', type: 'integer', min: 0, default: 15 * MINUTE_MS, reload: true },
+
+    // Dry run (--dry-run also switches it on); a null output means logs/dry_run_replies.ndjson
+    { key: 'dryRun.enabled', type: 'boolean', default: false, env: 'DRY_RUN' },
+    { key: 'dryRun.output', type: 'string', nullable: true, default: null, env: 'DRY_RUN_OUTPUT' },
+    { key: 'dryRun.liveReads', type: 'boolean', default: false, env: 'DRY_RUN_LIVE_READS' },
+
+    // Tracking storage (lib/storage); a null file means data/tracking.ndjson
+    { key: 'storage.backend', type: 'enum', values: STORAGE_BACKENDS, default: 'postgres', env: 'STORAGE_BACKEND' },
+    { key: 'storage.file', type: 'string', nullable: true, default: null, env: 'STORAGE_FILE' },
+
+    // Overrides for config/ordering.json and config/poi.json - null keeps the file's value
+    { key: 'ordering.strategy', type: 'enum', values: STRATEGIES, nullable: true, default: null, env: 'ORDERING_STRATEGY', reload: true },
+    { key: 'poi.verifyOnChain', type: 'boolean', nullable: true, default: null, env: 'POI_VERIFY_ON_CHAIN', reload: true },
+    { key: 'poi.rpcUrl', type: 'url', nullable: true, default: null, env: 'POI_RPC_URL', reload: true },
+    { key: 'poi.disclosure', type: 'enum', values: DISCLOSURE_MODES, nullable: true, default: null, env: 'POI_DISCLOSURE', reload: true },
+
+    // Database connections
+    { key: 'database.mainSsl', type: 'enum', values: SSL_MODES, default: 'disable', env: 'POSTGRES_SSL' },
+    { key: 'database.trackingSsl', type: 'enum', values: SSL_MODES, default: 'no-verify', env: 'RAILWAY_POSTGRES_SSL' },
+    { key: 'database.connectionTimeoutMs', type: 'integer', min: 0, default: 10000 },
+    { key: 'database.idleTimeoutMs', type: 'integer', min: 0, default: 30000 },
+
+    // Log files (lib/log_writer.js)
+    { key: 'logging.maxFileMb', type: 'integer', min: 1, default: 50, env: 'LOG_MAX_FILE_MB' },
+    { key: 'logging.retentionDays', type: 'integer', min: 0, default: 14, env: 'LOG_RETENTION_DAYS' },
+    { key: 'logging.errorRetentionDays', type: 'integer', min: 0, default: 30, env: 'LOG_ERROR_RETENTION_DAYS' },
+    { key: 'logging.flushIntervalMs', type: 'integer', min: 10, default: 1000, env: 'LOG_FLUSH_INTERVAL_MS' },
+    { key: 'logging.summaryFlushIntervalMs', type: 'integer', min: 100, default: MINUTE_MS, env: 'LOG_SUMMARY_FLUSH_INTERVAL_MS' },
+
+    // Upstream edits and retractions of posted answers
+    { key: 'upstreamSync.enabled', type: 'boolean', default: true, env: 'UPSTREAM_SYNC_ENABLED' },
+    { key: 'upstreamSync.intervalMs', type: 'integer', min: 0, default: 10 * MINUTE_MS, reload: true },
+    { key: 'upstreamSync.maxAgeMs', type: 'integer', min: 0, default: 7 * DAY_MS, reload: true },
+    { key: 'upstreamSync.editPolicy', type: 'enum', values: EDIT_POLICIES, default: 'alert', env: 'UPSTREAM_EDIT_POLICY', reload: true },
+    { key: 'upstreamSync.retractionPolicy', type: 'enum', values: RETRACTION_POLICIES, default: 'alert', env: 'UPSTREAM_RETRACTION_POLICY', reload: true },
+    { key: 'upstreamSync.retractedColumn', type: 'string', nullable: true, default: 'retracted', env: 'UPSTREAM_RETRACTED_COLUMN', reload: true },
+    { key: 'upstreamSync.correctionPrefix', type: 'string', default: 'Correction - updated answer:', reload: true },
+    { key: 'upstreamSync.retractionNotice', type: 'string', default: 'Retraction: the answer above has been withdrawn and should not be relied on.', reload: true },
+
+    // Engagement metrics
+    { key: 'metrics.enabled', type: 'boolean', default: true, env: 'METRICS_ENABLED' },
+    { key: 'metrics.intervalMs', type: 'integer', min: 1000, default: 5 * MINUTE_MS },
+    { key: 'metrics.maxAgeMs', type: 'integer', min: 0, default: 7 * DAY_MS, reload: true },
+    {
+        key: 'metrics.schedule',
+        type: 'array',
+        check: checkMetricsSchedule,
+        default: [
+            { maxAgeMs: HOUR_MS, everyMs: 10 * MINUTE_MS }, // first hour: every 10 minutes
+            { maxAgeMs: DAY_MS, everyMs: HOUR_MS }, // first day: hourly
+            { maxAgeMs: 7 * DAY_MS, everyMs: 12 * HOUR_MS } // first week: twice a day
+        ],
+        reload: true
+    },
+    { key: 'metrics.batchSize', type: 'integer', min: 1, max: 100, default: 100, reload: true },
+    { key: 'metrics.lookupReserve', type: 'integer', min: 0, default: 10, reload: true },
+
+    // Mentions timeline
+    { key: 'mentions.enabled', type: 'boolean', default: false, env: 'MENTIONS_ENABLED' },
+    { key: 'mentions.table', type: 'string', default: 'twitter_questions', env: 'MENTIONS_TABLE' },
+    { key: 'mentions.intervalMs', type: 'integer', min: 1000, default: MINUTE_MS, env: 'MENTIONS_INTERVAL_MS' },
+    { key: 'mentions.pageSize', type: 'integer', min: 5, max: 100, default: 100, reload: true },
+    { key: 'mentions.maxPages', type: 'integer', min: 1, default: 10, reload: true }
+];
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let target = object;
+    for (const part of parts) {
+        if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    }
+    target[last] = value;
+}
+
+// Dotted keys of every leaf in a config file, for the unknown-setting check
+function leafKeys(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        return value && typeof value === 'object' && !Array.isArray(value) && !SETTINGS.some(setting => setting.key === dotted) ?
+            leafKeys(value, dotted) :
+            [dotted];
+    });
+}
+
+// Env values are strings; convert them the way the setting's type needs
+function parseEnv(setting, raw) {
+    switch (setting.type) {
+        case 'integer':
+        case 'number':
+            return Number(raw);
+        case 'boolean':
+            if (raw === 'true') return true;
+            if (raw === 'false') return false;
+            return raw;
+        case 'array':
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                return raw;
+            }
+        default:
+            return raw;
+    }
+}
+
+function checkValue(setting, value) {
+    if (value === null && setting.nullable) return null;
+
+    switch (setting.type) {
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (setting.type === 'integer' && !Number.isInteger(value))) {
+                return `must be ${setting.type === 'integer' ? 'an integer' : 'a number'}`;
+            }
+            if (setting.min !== undefined && value < setting.min) return `must be at least ${setting.min}`;
+            if (setting.max !== undefined && value > setting.max) return `must be at most ${setting.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'string':
+            return typeof value === 'string' && value !== '' ? null : 'must be a non-empty string';
+        case 'url':
+            return typeof value === 'string' && /^https?:\/\/[^\s/]+/.test(value) ? null : 'must be an http(s) URL';
+        case 'enum':
+            return setting.values.includes(value) ? null : `must be one of ${setting.values.join(', ')}`;
+        case 'array':
+            return setting.check(value);
+        default:
+            return `has unknown type "${setting.type}"`;
+    }
+}
+
+/**
+ * Validate a config definition with env overrides applied and return the nested settings.
+ * Precedence: environment variable, then the file, then the built-in default.
+ */
+function compileConfig(definition, source, env = process.env) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`Invalid bot configuration (${source}): expected an object`);
+    }
+
+    for (const key of leafKeys(definition)) {
+        if (!SETTINGS.some(setting => setting.key === key)) {
+            errors.push(`${key}: unknown setting`);
+        }
+    }
+
+    const config = {};
+    for (const setting of SETTINGS) {
+        let value = getPath(definition, setting.key);
+
+        // An empty variable (KEY= in .env) counts as unset
+        const raw = setting.env ? env[setting.env] : undefined;
+        if (raw !== undefined && raw !== '') {
+            value = parseEnv(setting, raw);
+        } else if (value === undefined) {
+            value = setting.default;
+        }
+
+        const problem = checkValue(setting, value);
+        if (problem) {
+            errors.push(raw !== undefined && raw !== '' ?
+                `${setting.key} (from ${setting.env}) ${problem}, got "${raw}"` :
+                `${setting.key} ${problem}, got ${JSON.stringify(value)}`);
+        }
+        setPath(config, setting.key, value);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid bot configuration (${source}):\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+}
+
+function loadConfig(filePath = process.env.BOT_CONFIG_FILE || DEFAULT_CONFIG_FILE, env = process.env) {
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot load bot configuration from ${filePath}: ${error.message}`);
+    }
+    return compileConfig(definition, filePath, env);
+}
+
+/**
+ * Copy the reloadable settings that changed from `next` into `current` in place (modules
+ * holding a nested section such as `config.metrics` see the new values). Returns the
+ * applied keys and the changed keys that only take effect after a restart.
+ */
+function applyReload(current, next) {
+    const applied = [];
+    const restartRequired = [];
+
+    for (const setting of SETTINGS) {
+        const before = getPath(current, setting.key);
+        const after = getPath(next, setting.key);
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+        if (setting.reload) {
+            setPath(current, setting.key, after);
+            applied.push({ key: setting.key, from: before, to: after });
+        } else {
+            restartRequired.push(setting.key);
+        }
+    }
+
+    return { applied, restartRequired };
+}
+
+// pg `ssl` option for a database.*Ssl mode
+function sslOption(mode) {
+    if (mode === 'require') return true;
+    if (mode === 'no-verify') return { rejectUnauthorized: false };
+    return false;
+}
+
+/**
+ * pg connection settings for the main database and for tracking storage. Tracking storage
+ * uses RAILWAY_POSTGRES_URL with `database.trackingSsl`, or shares the main database.
+ */
+function databaseOptions(config, env = process.env) {
+    const common = {
+        connectionTimeoutMillis: config.database.connectionTimeoutMs,
+        idleTimeoutMillis: config.database.idleTimeoutMs,
+        max: 1
+    };
+    return {
+        main: { connectionString: env.POSTGRES_URL, ssl: sslOption(config.database.mainSsl), ...common },
+        tracking: env.RAILWAY_POSTGRES_URL ?
+            { connectionString: env.RAILWAY_POSTGRES_URL, ssl: sslOption(config.database.trackingSsl), ...common } :
+            { connectionString: env.POSTGRES_URL, ssl: sslOption(config.database.mainSsl), ...common }
+    };
+}
+
+module.exports = { SETTINGS, compileConfig, loadConfig, applyReload, sslOption, databaseOptions };
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'content_policy.json');
+const URL_ACTIONS = ['block', 'remove'];
+const PII_ACTIONS = ['redact', 'block'];
+const MEDICAL_ACTIONS = ['disclaimer', 'block'];
+
+// Built-in PII detectors - each is switched on or off in the policy's "pii" section
+const PII_PATTERNS = {
+    email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    // NANP numbers with separators, or international numbers with a leading + and 8-15 digits
+    // (shorter runs like "+12 34 56" are scores and deltas, not phone numbers)
+    phone: /(?<![\w/.])(?:\+?1[\s.-])?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?![\w/])|(?<![\w/])\+(?=(?:[\s.-]?\d){8,15}(?![\d]))\d{1,3}(?:[\s.-]?\d{2,4}){2,4}(?![\w/])/g,
+    // A period after the street suffix is only taken when a unit follows - otherwise it may end the sentence
+    address: /\b\d{1,6}\s+(?:[A-Z][a-z]+\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Square|Sq)\b(?:\.?,?\s+(?:Apt|Suite|Unit)\.?\s*#?\w+)?/g
+};
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s"'<>()[\]{}]+[^\s"'<>()[\]{}.,;:!?]/gi;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function urlHost(url) {
+    try {
+        return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Outbound content policy (see config/content_policy.json), applied to the cleaned
+ * answer and its citations right before posting.
+ *
+ * Sections, each optional:
+ *   blocklist     - `terms` (whole words, case-insensitive) and `patterns` (regex strings); a match blocks the record
+ *   pii           - email / phone / address detectors; `action` redact (default) or block
+ *   urls          - `allowedDomains` (subdomains included); other links are blocked or removed per `action`
+ *   medicalAdvice - `patterns` that read as medical advice; `action` disclaimer (append `disclaimer`) or block
+ */
+class ContentPolicy {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        this.policy = ContentPolicy.compile(definition, source);
+    }
+
+    static fromFile(filePath = process.env.CONTENT_POLICY_FILE || DEFAULT_POLICY_FILE) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot load content policy from ${filePath}: ${error.message}`);
+        }
+        return new ContentPolicy(definition, filePath);
+    }
+
+    static compile(definition, source) {
+        const fail = (message) => {
+            throw new Error(`Invalid content policy (${source}): ${message}`);
+        };
+        const compilePatterns = (label, patterns, flags = 'i') => {
+            if (patterns === undefined) return [];
+            if (!Array.isArray(patterns)) fail(`${label}.patterns must be an array`);
+            return patterns.map(pattern => {
+                try {
+                    // g/y would make test() stateful between records
+                    return new RegExp(pattern, flags.replace(/[gy]/g, ''));
+                } catch (error) {
+                    return fail(`${label} has an invalid pattern "${pattern}": ${error.message}`);
+                }
+            });
+        };
+        const checkAction = (label, action, allowed) => {
+            if (!allowed.includes(action)) fail(`${label}.action must be one of ${allowed.join(', ')} (got "${action}")`);
+            return action;
+        };
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            fail('expected an object');
+        }
+
+        const policy = { blocklist: null, pii: null, urls: null, medicalAdvice: null };
+        const { blocklist, pii, urls, medicalAdvice } = definition;
+
+        if (blocklist && blocklist.enabled !== false) {
+            if (blocklist.terms !== undefined && !Array.isArray(blocklist.terms)) fail('blocklist.terms must be an array');
+            policy.blocklist = {
+                terms: (blocklist.terms || []).map(term => ({
+                    term,
+                    regex: new RegExp(`(?<![\\w])${escapeRegExp(String(term))}(?![\\w])`, 'i')
+                })),
+                patterns: compilePatterns('blocklist', blocklist.patterns, blocklist.flags)
+            };
+        }
+
+        if (pii && pii.enabled !== false) {
+            policy.pii = {
+                action: checkAction('pii', pii.action || 'redact', PII_ACTIONS),
+                replacement: pii.replacement || '[redacted]',
+                detectors: Object.keys(PII_PATTERNS).filter(type => pii[type] !== false)
+            };
+        }
+
+        if (urls && urls.enabled !== false) {
+            if (!Array.isArray(urls.allowedDomains)) fail('urls.allowedDomains must be an array');
+            policy.urls = {
+                action: checkAction('urls', urls.action || 'block', URL_ACTIONS),
+                allowedDomains: urls.allowedDomains.map(domain => String(domain).toLowerCase().replace(/^\.+/, ''))
+            };
+        }
+
+        if (medicalAdvice && medicalAdvice.enabled !== false) {
+            const action = checkAction('medicalAdvice', medicalAdvice.action || 'disclaimer', MEDICAL_ACTIONS);
+            if (action === 'disclaimer' && !medicalAdvice.disclaimer) fail('medicalAdvice.disclaimer is required for the disclaimer action');
+            policy.medicalAdvice = {
+                action,
+                disclaimer: medicalAdvice.disclaimer || null,
+                patterns: compilePatterns('medicalAdvice', medicalAdvice.patterns, medicalAdvice.flags)
+            };
+        }
+
+        return policy;
+    }
+
+    isAllowedUrl(url) {
+        const host = urlHost(url);
+        if (!host) return false;
+        return this.policy.urls.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    }
+
+    checkBlocklist(texts) {
+        const { terms, patterns } = this.policy.blocklist;
+        for (const text of texts) {
+            const term = terms.find(entry => entry.regex.test(text));
+            if (term) return { rule: 'blocklist', detail: `matched term "${term.term}"` };
+
+            const pattern = patterns.find(regex => regex.test(text));
+            if (pattern) return { rule: 'blocklist', detail: `matched pattern ${pattern}` };
+        }
+        return null;
+    }
+
+    /**
+     * Returns the redacted text plus the count per PII type. Matched values are
+     * never returned so they cannot end up in logs or processed_records.
+     */
+    redactPii(text, counts) {
+        let result = text;
+        for (const type of this.policy.pii.detectors) {
+            result = result.replace(PII_PATTERNS[type], () => {
+                counts[type] = (counts[type] || 0) + 1;
+                return this.policy.pii.replacement;
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Apply the policy to the tweet body and its citations.
+     *
+     * Returns { allowed, rule, detail } for a blocked record, otherwise
+     * { allowed: true, text, citations, changes } where `changes` lists what was
+     * redacted, removed or appended (null when nothing changed).
+     */
+    apply(text, citations = []) {
+        const blocked = (rule, detail) => ({ allowed: false, rule, detail });
+        let body = text;
+        let kept = citations.slice();
+        const changes = {};
+
+        if (this.policy.blocklist) {
+            const match = this.checkBlocklist([body, ...kept.map(citation => citation.title || '')]);
+            if (match) return blocked(match.rule, match.detail);
+        }
+
+        if (this.policy.pii) {
+            const counts = {};
+            body = this.redactPii(body, counts);
+            kept = kept.map(citation => (citation.title ? { ...citation, title: this.redactPii(citation.title, counts) } : citation));
+
+            const types = Object.keys(counts);
+            if (types.length > 0) {
+                if (this.policy.pii.action === 'block') {
+                    return blocked(`pii_${types[0]}`, `found ${types.map(type => `${counts[type]} ${type}`).join(', ')}`);
+                }
+                changes.redacted = counts;
+            }
+        }
+
+        if (this.policy.urls) {
+            const disallowed = (body.match(URL_PATTERN) || []).filter(url => !this.isAllowedUrl(url));
+            const disallowedCitations = kept.filter(citation => citation.url && !this.isAllowedUrl(citation.url));
+            const domains = [...new Set([...disallowed, ...disallowedCitations.map(citation => citation.url)].map(urlHost))];
+
+            if (domains.length > 0) {
+                if (this.policy.urls.action === 'block') {
+                    return blocked('url_domain', `links to ${domains.join(', ')} are not on the allowlist`);
+                }
+                body = body.replace(URL_PATTERN, url => (this.isAllowedUrl(url) ? url : ''))
+                    .replace(/[ \t]{2,}/g, ' ')
+                    .replace(/[ \t]+([.,;:!?)])/g, '$1')
+                    .trim();
+                kept = kept.filter(citation => !disallowedCitations.includes(citation));
+                changes.removedDomains = domains;
+            }
+        }
+
+        if (this.policy.medicalAdvice) {
+            const pattern = this.policy.medicalAdvice.patterns.find(regex => regex.test(body));
+            if (pattern) {
+                if (this.policy.medicalAdvice.action === 'block') {
+                    return blocked('medical_advice', `matched pattern ${pattern}`);
+                }
+                if (!body.includes(this.policy.medicalAdvice.disclaimer)) {
+                    body = `${body}\n\n${this.policy.medicalAdvice.disclaimer}`;
+                }
+                changes.disclaimer = `matched pattern ${pattern}`;
+            }
+        }
+
+        return {
+            allowed: true,
+            text: body,
+            citations: kept,
+            changes: Object.keys(changes).length > 0 ? changes : null
+        };
+    }
+}
+
+module.exports = ContentPolicy;
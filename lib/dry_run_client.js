@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stand-in for the twitter-api-v2 read/write client used in dry-run mode.
+ *
+ * Supports the v2.me, v2.singleTweet, v2.tweets, v2.tweet and v2.deleteTweet calls the bot makes,
+ * plus v2.get for the `tweets` lookup.
+ * Tweets are never sent or deleted: each one is appended to an NDJSON file, and new
+ * tweets are answered with a fake ID.
+ * Reads go to `readClient` when one is given (live lookups), otherwise they are stubbed.
+ */
+class DryRunTwitterClient {
+    constructor({ outputFile, readClient = null, getContext = () => ({}) }) {
+        this.outputFile = outputFile;
+        this.readClient = readClient;
+        this.getContext = getContext;
+        this.tweetCount = 0;
+
+        const dir = path.dirname(this.outputFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.v2 = {
+            me: (options) => this.me(options),
+            singleTweet: (tweetId, options) => this.singleTweet(tweetId, options),
+            tweets: (tweetIds, options) => this.tweets(tweetIds, options),
+            get: (endpoint, query, requestOptions) => this.get(endpoint, query, requestOptions),
+            tweet: (status, payload) => this.tweet(status, payload),
+            deleteTweet: (tweetId) => this.deleteTweet(tweetId)
+        };
+    }
+
+    async me(options) {
+        if (this.readClient) {
+            return this.readClient.v2.me(options);
+        }
+        return { data: { id: '0', name: 'Dry Run', username: 'dry_run' } };
+    }
+
+    async singleTweet(tweetId, options) {
+        if (this.readClient) {
+            return this.readClient.v2.singleTweet(tweetId, options);
+        }
+        return { data: { id: String(tweetId), text: '' } };
+    }
+
+    async tweets(tweetIds, options) {
+        if (this.readClient) {
+            return this.readClient.v2.tweets(tweetIds, options);
+        }
+        const ids = Array.isArray(tweetIds) ? tweetIds : [tweetIds];
+        return { data: ids.map(id => ({ id: String(id), text: '' })) };
+    }
+
+    async get(endpoint, query = {}, requestOptions = {}) {
+        if (this.readClient) {
+            return this.readClient.v2.get(endpoint, query, requestOptions);
+        }
+        if (endpoint !== 'tweets') {
+            throw new Error(`Dry run has no stub for GET ${endpoint} - set DRY_RUN_LIVE_READS=true`);
+        }
+        const { ids, ...options } = query;
+        const body = await this.tweets(ids, options);
+        return requestOptions.fullResponse ? { data: body, headers: {} } : body;
+    }
+
+    async tweet(status, payload = {}) {
+        // Same argument handling as TwitterApiv2ReadWrite.tweet
+        const params = typeof status === 'object' ? status : { text: status, ...payload };
+        const context = this.getContext() || {};
+
+        this.tweetCount++;
+        const fakeTweetId = `dryrun-${Date.now()}-${this.tweetCount}`;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            recordId: context.recordId !== undefined ? context.recordId : null,
+            account: context.account || null,
+            targetTweetId: context.targetTweetId || null,
+            inReplyToTweetId: params.reply ? params.reply.in_reply_to_tweet_id : null,
+            fakeTweetId,
+            length: (params.text || '').length,
+            text: params.text || ''
+        };
+
+        fs.appendFileSync(this.outputFile, JSON.stringify(entry) + '\n');
+
+        return { data: { id: fakeTweetId, text: entry.text } };
+    }
+
+    async deleteTweet(tweetId) {
+        const context = this.getContext() || {};
+
+        fs.appendFileSync(this.outputFile, JSON.stringify({
+            timestamp: new Date().toISOString(),
+            action: 'delete',
+            recordId: context.recordId !== undefined ? context.recordId : null,
+            account: context.account || null,
+            tweetId: String(tweetId)
+        }) + '\n');
+
+        return { data: { deleted: true } };
+    }
+}
+
+module.exports = DryRunTwitterClient;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'eligibility_rules.json');
+const RULE_TYPES = ['required', 'length', 'include', 'exclude'];
+
+function fieldText(record, field) {
+    const value = record[field];
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+/**
+ * Declarative record-eligibility rules (see config/eligibility_rules.json).
+ *
+ * Rule types:
+ *   required - field must be non-empty after trimming
+ *   length   - trimmed field length within min/max
+ *   include  - field must match at least one of `patterns` (regex strings)
+ *   exclude  - field must match none of `patterns`
+ * Every rule names the `reason` it reports when it rejects a record; reasons start
+ * with "rejected_" because they are stored as the record's processed_records status.
+ * `requirePoi: true` adds a required rule on poi_transaction (reason rejected_missing_poi).
+ */
+class EligibilityRules {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        this.rules = EligibilityRules.compile(definition, source);
+    }
+
+    static fromFile(filePath = process.env.ELIGIBILITY_RULES_FILE || DEFAULT_RULES_FILE) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot load eligibility rules from ${filePath}: ${error.message}`);
+        }
+        return new EligibilityRules(definition, filePath);
+    }
+
+    static compile(definition, source) {
+        const fail = (message) => {
+            throw new Error(`Invalid eligibility rules (${source}): ${message}`);
+        };
+
+        if (!definition || !Array.isArray(definition.rules)) {
+            fail('expected an object with a "rules" array');
+        }
+
+        const rules = definition.rules
+            .filter(rule => rule && rule.enabled !== false)
+            .map((rule, index) => {
+                const label = rule.name || `rules[${index}]`;
+                if (!RULE_TYPES.includes(rule.type)) {
+                    fail(`${label} has unknown type "${rule.type}" (expected ${RULE_TYPES.join(', ')})`);
+                }
+                if (!rule.field) fail(`${label} is missing "field"`);
+                if (!rule.reason) fail(`${label} is missing "reason"`);
+                if (!rule.reason.startsWith('rejected_')) fail(`${label} reason "${rule.reason}" must start with "rejected_"`);
+
+                const compiled = { name: label, type: rule.type, field: rule.field, reason: rule.reason };
+
+                if (rule.type === 'length') {
+                    compiled.min = rule.min !== undefined ? rule.min : null;
+                    compiled.max = rule.max !== undefined ? rule.max : null;
+                }
+
+                if (rule.type === 'include' || rule.type === 'exclude') {
+                    if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+                        fail(`${label} needs a non-empty "patterns" array`);
+                    }
+                    compiled.patterns = rule.patterns.map(pattern => {
+                        try {
+                            // g/y would make test() stateful between records
+                            return new RegExp(pattern, (rule.flags || '').replace(/[gy]/g, ''));
+                        } catch (error) {
+                            return fail(`${label} has an invalid pattern "${pattern}": ${error.message}`);
+                        }
+                    });
+                }
+
+                return compiled;
+            });
+
+        if (definition.requirePoi) {
+            rules.unshift({
+                name: 'poi_present',
+                type: 'required',
+                field: 'poi_transaction',
+                reason: 'rejected_missing_poi'
+            });
+        }
+
+        return rules;
+    }
+
+    checkRule(rule, record) {
+        const text = fieldText(record, rule.field).trim();
+
+        switch (rule.type) {
+            case 'required':
+                return text.length > 0 ? null : `${rule.field} is empty`;
+            case 'length':
+                if (rule.min !== null && text.length < rule.min) return `${rule.field} shorter than ${rule.min} chars`;
+                if (rule.max !== null && text.length > rule.max) return `${rule.field} longer than ${rule.max} chars`;
+                return null;
+            case 'include':
+                return rule.patterns.some(pattern => pattern.test(text)) ? null : `${rule.field} matches none of the required patterns`;
+            case 'exclude': {
+                const matched = rule.patterns.find(pattern => pattern.test(text));
+                return matched ? `${rule.field} matches excluded pattern ${matched}` : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Returns { eligible, reason, rejections } where `reason` is the first rejecting
+     * rule's reason and `rejections` lists every rule that rejected the record.
+     */
+    evaluate(record) {
+        const rejections = [];
+
+        for (const rule of this.rules) {
+            const detail = this.checkRule(rule, record);
+            if (detail) {
+                rejections.push({ rule: rule.name, reason: rule.reason, detail });
+            }
+        }
+
+        return {
+            eligible: rejections.length === 0,
+            reason: rejections.length > 0 ? rejections[0].reason : null,
+            rejections
+        };
+    }
+}
+
+module.exports = EligibilityRules;
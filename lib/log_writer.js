@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Active and archived log files: bot-YYYY-MM-DD.log, bot-YYYY-MM-DD.2.log.gz, errors-YYYY-MM-DD.1.log.gz
+const LOG_FILE = /^(bot|errors)-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log(\.gz)?$/;
+const ERRORS_FILE = 'errors.log';
+const SUMMARY_FILE = 'activity_summary.json';
+
+function dayOf(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+/**
+ * Buffered, non-blocking writer for the bot's log files.
+ *
+ * Lines are queued in memory and appended every `flushIntervalMs`, one write at a time.
+ * `bot-YYYY-MM-DD.log` and `errors.log` are rotated when they pass `maxFileBytes` or the
+ * day changes: the file is renamed to `<name>.<n>.log` (errors.log to
+ * `errors-YYYY-MM-DD.<n>.log`) and gzipped in the background. Files older than
+ * `retentionDays` / `errorRetentionDays` are deleted (0 keeps them forever). The activity
+ * summary lives in memory and is written every `summaryFlushIntervalMs`.
+ *
+ * With `maintenance: false` lines are only appended - no rotation, compression, pruning or
+ * summary - so a second process (the admin CLI) can log into the running bot's directory.
+ */
+class LogWriter {
+    constructor({
+        dir,
+        maxFileBytes = 50 * 1024 * 1024,
+        retentionDays = 14,
+        errorRetentionDays = 30,
+        flushIntervalMs = 1000,
+        summaryFlushIntervalMs = 60000,
+        maintenance = true
+    }) {
+        this.dir = dir;
+        this.maintenance = maintenance;
+        this.maxFileBytes = maxFileBytes;
+        this.retentionDays = retentionDays;
+        this.errorRetentionDays = errorRetentionDays;
+
+        this.pending = []; // { file, day, line } in arrival order
+        this.files = new Map(); // active file name -> { day, size }
+        this.writing = Promise.resolve();
+        this.compressing = new Map(); // rotated file -> gzip job
+        this.currentDay = null;
+
+        this.summaryFile = path.join(dir, SUMMARY_FILE);
+        this.summary = maintenance ? this.loadSummary() : {};
+        this.summaryDirty = false;
+
+        // Timers never keep the process alive; whatever is left is written on exit
+        this.flushTimer = setInterval(() => this.flush(), flushIntervalMs);
+        this.flushTimer.unref();
+        this.summaryTimer = null;
+        if (maintenance) {
+            this.summaryTimer = setInterval(() => this.flushSummary(), summaryFlushIntervalMs);
+            this.summaryTimer.unref();
+        }
+        this.onExit = () => this.flushSync();
+        process.once('exit', this.onExit);
+    }
+
+    loadSummary() {
+        try {
+            return JSON.parse(fs.readFileSync(this.summaryFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to read activity summary, starting a new one:', error.message);
+            }
+            return {};
+        }
+    }
+
+    write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        const day = entry.timestamp.split('T')[0];
+
+        this.pending.push({ file: `bot-${day}.log`, day, line });
+        if (entry.level === 'ERROR') {
+            this.pending.push({ file: ERRORS_FILE, day, line });
+        }
+        if (this.maintenance) {
+            this.addToSummary(entry, day);
+        }
+    }
+
+    addToSummary(entry, day) {
+        if (!this.summary[day]) {
+            this.summary[day] = {
+                totalLogs: 0,
+                errors: 0,
+                warnings: 0,
+                successes: 0,
+                activities: []
+            };
+        }
+
+        const summary = this.summary[day];
+        summary.totalLogs++;
+        if (entry.level === 'ERROR') summary.errors++;
+        if (entry.level === 'WARN') summary.warnings++;
+        if (entry.level === 'SUCCESS') summary.successes++;
+
+        // Keep only last 10 activities per day
+        summary.activities.unshift({
+            time: entry.timestamp.split('T')[1].split('.')[0],
+            level: entry.level,
+            message: entry.message
+        });
+        summary.activities.length = Math.min(summary.activities.length, 10);
+        this.summaryDirty = true;
+    }
+
+    flush() {
+        if (this.pending.length === 0) return this.writing;
+
+        const batch = this.pending;
+        this.pending = [];
+        this.writing = this.writing
+            .then(() => this.writeBatch(batch))
+            .catch(error => console.error('Failed to write to log file:', error.message));
+        return this.writing;
+    }
+
+    async writeBatch(batch) {
+        // One append per file and day
+        const chunks = new Map();
+        for (const { file, day, line } of batch) {
+            const key = `${file}|${day}`;
+            if (!chunks.has(key)) chunks.set(key, { file, day, lines: [] });
+            chunks.get(key).lines.push(line);
+        }
+
+        for (const { file, day, lines } of chunks.values()) {
+            if (!this.maintenance) {
+                await fs.promises.appendFile(path.join(this.dir, file), lines.join(''));
+                continue;
+            }
+
+            if (day !== this.currentDay) {
+                await this.startDay(day);
+            }
+
+            const text = lines.join('');
+            const bytes = Buffer.byteLength(text);
+            const state = await this.prepare(file, day, bytes);
+            await fs.promises.appendFile(path.join(this.dir, file), text);
+            state.size += bytes;
+        }
+    }
+
+    // A new day: archive the previous day's bot log and apply retention
+    async startDay(day) {
+        this.currentDay = day;
+        for (const [file, state] of this.files) {
+            if (file !== ERRORS_FILE && state.day < day) {
+                await this.rotate(file, state.day);
+            }
+        }
+        await this.prune(day);
+    }
+
+    async prepare(file, day, bytes) {
+        let state = this.files.get(file);
+        if (!state) {
+            state = await this.openState(file, day);
+            this.files.set(file, state);
+        }
+
+        if (state.day !== day || (state.size > 0 && state.size + bytes > this.maxFileBytes)) {
+            await this.rotate(file, state.day);
+            state = { day, size: 0 };
+            this.files.set(file, state);
+        }
+        return state;
+    }
+
+    async openState(file, day) {
+        try {
+            const stat = await fs.promises.stat(path.join(this.dir, file));
+            // errors.log has no date in its name - a file from an earlier run belongs to the day it was last written
+            return { day: file === ERRORS_FILE ? dayOf(stat.mtime) : day, size: stat.size };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return { day, size: 0 };
+        }
+    }
+
+    async rotate(file, day) {
+        this.files.delete(file);
+
+        const base = file === ERRORS_FILE ? `errors-${day}` : file.replace(/\.log$/, '');
+        const rotated = path.join(this.dir, `${base}.${await this.nextArchiveIndex(base)}.log`);
+        try {
+            await fs.promises.rename(path.join(this.dir, file), rotated);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        this.compress(rotated);
+    }
+
+    async nextArchiveIndex(base) {
+        const names = await fs.promises.readdir(this.dir);
+        let highest = 0;
+        for (const name of names) {
+            const match = LOG_FILE.exec(name);
+            if (match && `${match[1]}-${match[2]}` === base && match[3]) {
+                highest = Math.max(highest, parseInt(match[3]));
+            }
+        }
+        return highest + 1;
+    }
+
+    compress(file) {
+        if (this.compressing.has(file)) return;
+
+        const job = pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`))
+            .then(() => fs.promises.unlink(file))
+            .catch(error => console.error('Failed to compress log file:', error.message))
+            .finally(() => this.compressing.delete(file));
+        this.compressing.set(file, job);
+    }
+
+    async prune(today) {
+        const names = await fs.promises.readdir(this.dir);
+
+        for (const name of names) {
+            const match = LOG_FILE.exec(name);
+            if (!match) continue;
+
+            const [, kind, day, index, gzipped] = match;
+            const keepDays = kind === 'errors' ? this.errorRetentionDays : this.retentionDays;
+            const ageDays = (Date.parse(today) - Date.parse(day)) / DAY_MS;
+
+            if (keepDays > 0 && ageDays > keepDays) {
+                await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+            } else if (kind === 'bot' && !index && !gzipped && day < today && !this.files.has(name)) {
+                // Left behind by an earlier run
+                await this.rotate(name, day);
+            } else if (index && !gzipped) {
+                // Rotated but not compressed before the process stopped
+                this.compress(path.join(this.dir, name));
+            }
+        }
+
+        if (this.retentionDays > 0) {
+            for (const day of Object.keys(this.summary)) {
+                if ((Date.parse(today) - Date.parse(day)) / DAY_MS > this.retentionDays) {
+                    delete this.summary[day];
+                    this.summaryDirty = true;
+                }
+            }
+        }
+    }
+
+    async flushSummary() {
+        if (!this.summaryDirty) return;
+        this.summaryDirty = false;
+
+        // Write and rename so a crash never leaves a half-written summary
+        const temporary = `${this.summaryFile}.tmp`;
+        try {
+            await fs.promises.writeFile(temporary, JSON.stringify(this.summary, null, 2));
+            await fs.promises.rename(temporary, this.summaryFile);
+        } catch (error) {
+            this.summaryDirty = true;
+            console.error('Failed to update activity summary:', error.message);
+        }
+    }
+
+    async close() {
+        clearInterval(this.flushTimer);
+        clearInterval(this.summaryTimer);
+        await this.flush();
+        await this.flushSummary();
+        await Promise.all(this.compressing.values());
+    }
+
+    // Last resort on process exit: no rotation, just get the buffered lines on disk
+    flushSync() {
+        for (const { file, line } of this.pending) {
+            try {
+                fs.appendFileSync(path.join(this.dir, file), line);
+            } catch (error) {
+                console.error('Failed to write to log file:', error.message);
+            }
+        }
+        this.pending = [];
+
+        if (this.summaryDirty) {
+            try {
+                fs.writeFileSync(this.summaryFile, JSON.stringify(this.summary, null, 2));
+                this.summaryDirty = false;
+            } catch (error) {
+                console.error('Failed to update activity summary:', error.message);
+            }
+        }
+    }
+}
+
+module.exports = LogWriter;
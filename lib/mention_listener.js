@@ -0,0 +1,208 @@
+// Schema-qualified or plain SQL identifier - the table name is interpolated into queries
+const TABLE_NAME = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i;
+
+function questionsTableSql(table) {
+    return `
+        CREATE TABLE IF NOT EXISTS ${table} (
+            tweet_id TEXT PRIMARY KEY,
+            conversation_id TEXT,
+            author_id TEXT,
+            author_username TEXT,
+            text TEXT NOT NULL,
+            account VARCHAR(50),
+            in_reply_to_user_id TEXT,
+            tweet_created_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+    `;
+}
+
+/**
+ * Background poller for the mentions timeline of every configured account.
+ *
+ * New mentions are inserted into the `table` of the main database (twitter_questions by
+ * default) for the agent to answer. Each account pages with `since_id` from a cursor
+ * named `mentions:<account>` in tracking storage, so restarts pick up where they stopped;
+ * a first run without a cursor only takes the latest page. A backlog that does not fit in
+ * `maxPages` (or is cut short by the rate limit or a failed request) is resumed next poll
+ * with `until_id` set to the oldest mention fetched; the cursor only moves to the newest
+ * mention once everything between it and `since_id` has been read. Requests go through
+ * the account's own `rateLimits.mentions` bucket and a tick is skipped while it is empty.
+ */
+class MentionListener {
+    constructor({ db, storage, getAccounts, updateRateLimitInfo, log = () => {}, config }) {
+        if (!TABLE_NAME.test(config.table)) {
+            throw new Error(`Invalid MENTIONS_TABLE "${config.table}" - expected a plain table name`);
+        }
+
+        this.db = db;
+        this.storage = storage;
+        this.getAccounts = getAccounts;
+        this.updateRateLimitInfo = updateRateLimitInfo;
+        this.log = log;
+        this.config = config;
+        this.timer = null;
+        this.running = false;
+        this.stats = { runs: 0, requests: 0, saved: 0, skippedForRateLimit: 0 };
+    }
+
+    async start() {
+        await this.db.query(questionsTableSql(this.config.table));
+        this.timer = setInterval(() => this.poll(), this.config.intervalMs);
+        this.log('INFO', 'Mention listener started', { table: this.config.table, intervalMs: this.config.intervalMs });
+        await this.poll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    hasBudget(account) {
+        const bucket = account.rateLimits.mentions;
+        if (bucket.remaining === null || !bucket.resetTime || Date.now() >= bucket.resetTime) return true;
+        return bucket.remaining > 0;
+    }
+
+    async poll() {
+        if (this.running) return;
+        this.running = true;
+        this.stats.runs++;
+
+        try {
+            for (const account of this.getAccounts()) {
+                if (!account.userId) continue; // not connected yet
+                await this.pollAccount(account);
+            }
+        } catch (error) {
+            this.log('ERROR', 'Mention polling failed', { error: error.message });
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async pollAccount(account) {
+        const cursorName = `mentions:${account.name}`;
+        const cursor = await this.storage.getCursor(cursorName);
+        const sinceId = cursor ? cursor.id : null;
+
+        // An unfinished backlog: the newest mention it started from and the oldest one read so far.
+        // Once drained the cursor takes the newest id, which retires both.
+        const pendingNewest = sinceId ? await this.storage.getCursor(`${cursorName}:newest`) : null;
+        const backlog = pendingNewest && pendingNewest.id !== sinceId
+            ? await this.storage.getCursor(`${cursorName}:backlog`)
+            : null;
+
+        let paginationToken = null;
+        let newest = backlog ? pendingNewest : null;
+        let oldest = null;
+        let interrupted = false;
+        let saved = 0;
+        let pages = 0;
+
+        do {
+            if (!this.hasBudget(account)) {
+                this.stats.skippedForRateLimit++;
+                this.log('DEBUG', 'Mention polling deferred - rate limit bucket empty', {
+                    account: account.name,
+                    resetTime: new Date(account.rateLimits.mentions.resetTime).toISOString()
+                });
+                interrupted = true;
+                break;
+            }
+
+            const query = {
+                max_results: this.config.pageSize,
+                'tweet.fields': ['created_at', 'conversation_id', 'author_id', 'in_reply_to_user_id'],
+                expansions: ['author_id'],
+                'user.fields': ['username']
+            };
+            if (sinceId) query.since_id = sinceId;
+            if (backlog) query.until_id = backlog.id;
+            if (paginationToken) query.pagination_token = paginationToken;
+
+            let response;
+            try {
+                this.stats.requests++;
+                response = await account.rwClient.v2.get('users/:id/mentions', query, {
+                    fullResponse: true,
+                    params: { id: account.userId }
+                });
+                this.updateRateLimitInfo('mentions', response.headers, account);
+            } catch (error) {
+                if (error.headers) {
+                    this.updateRateLimitInfo('mentions', error.headers, account);
+                }
+                this.log('WARN', 'Mentions timeline request failed', { account: account.name, error: error.message, code: error.code });
+                interrupted = true;
+                break;
+            }
+
+            const body = response.data || {};
+            const tweets = body.data || [];
+            const users = new Map(((body.includes && body.includes.users) || []).map(user => [user.id, user]));
+            const meta = body.meta || {};
+
+            // Pages run newest to oldest, so the first page holds the next since_id
+            if (!newest && tweets.length > 0) {
+                newest = { id: meta.newest_id || tweets[0].id, createdAt: tweets[0].created_at || new Date().toISOString() };
+            }
+            if (tweets.length > 0) {
+                const last = tweets[tweets.length - 1];
+                oldest = { id: meta.oldest_id || last.id, createdAt: last.created_at || new Date().toISOString() };
+            }
+
+            for (const tweet of tweets) {
+                if (tweet.author_id === account.userId) continue; // the account's own tweets
+                saved += await this.saveQuestion(account, tweet, users.get(tweet.author_id));
+            }
+
+            paginationToken = meta.next_token || null;
+            pages++;
+        } while (sinceId && paginationToken && pages < this.config.maxPages);
+
+        if (sinceId && (paginationToken || interrupted)) {
+            if (oldest) {
+                // Backlog position first: a crash before the newest id is saved leaves the old backlog retired
+                await this.storage.saveCursor(`${cursorName}:backlog`, oldest);
+                await this.storage.saveCursor(`${cursorName}:newest`, newest);
+            }
+            if (paginationToken && !interrupted) {
+                this.log('WARN', 'Mention backlog larger than maxPages - continuing with older mentions next poll', {
+                    account: account.name,
+                    maxPages: this.config.maxPages,
+                    untilId: oldest ? oldest.id : null
+                });
+            }
+        } else if (newest && !interrupted) {
+            await this.storage.saveCursor(cursorName, newest);
+        }
+
+        if (saved > 0) {
+            this.stats.saved += saved;
+            this.log('INFO', 'New mentions saved', { account: account.name, saved, table: this.config.table, sinceId: newest ? newest.id : sinceId });
+        }
+    }
+
+    async saveQuestion(account, tweet, author) {
+        const result = await this.db.query(`
+            INSERT INTO ${this.config.table} (
+                tweet_id, conversation_id, author_id, author_username, text, account, in_reply_to_user_id, tweet_created_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (tweet_id) DO NOTHING
+        `, [
+            tweet.id,
+            tweet.conversation_id || null,
+            tweet.author_id || null,
+            author ? author.username : null,
+            tweet.text,
+            account.name,
+            tweet.in_reply_to_user_id || null,
+            tweet.created_at || null
+        ]);
+        return result.rowCount || 0;
+    }
+}
+
+module.exports = { MentionListener, questionsTableSql };
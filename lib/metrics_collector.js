@@ -0,0 +1,174 @@
+// Tweet IDs are snowflakes: milliseconds since the Twitter epoch live above bit 22
+const TWITTER_EPOCH_MS = 1288834974657;
+const METRIC_FIELDS = ['like_count', 'reply_count', 'retweet_count', 'quote_count', 'impression_count'];
+
+function tweetCreatedAt(tweetId) {
+    try {
+        return Number(BigInt(tweetId) >> 22n) + TWITTER_EPOCH_MS;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Background job that snapshots `public_metrics` of posted replies into tweet_metrics.
+ *
+ * `schedule` is a list of { maxAgeMs, everyMs } tiers: a tweet is due again once
+ * `everyMs` of the first tier covering its age has passed since its last snapshot,
+ * so young tweets are checked more often. Tweets older than `maxAgeMs` are dropped.
+ * Lookups (GET /2/tweets) go through the posting account's `rateLimits.batchLookup`, and
+ * an account is skipped while `lookupReserve` or fewer requests remain so the bot's own
+ * author follower lookups for ordering keep some budget.
+ */
+class MetricsCollector {
+    constructor({ storage, getAccount, updateRateLimitInfo, isBusy = () => false, log = () => {}, config }) {
+        this.storage = storage;
+        this.getAccount = getAccount;
+        this.updateRateLimitInfo = updateRateLimitInfo;
+        this.isBusy = isBusy;
+        this.log = log;
+        this.config = config;
+        this.timer = null;
+        this.running = false;
+        this.stats = { runs: 0, snapshots: 0, skippedForRateLimit: 0 };
+    }
+
+    start() {
+        this.timer = setInterval(() => this.collect(), this.config.intervalMs);
+        this.log('INFO', 'Engagement metrics collector started', {
+            intervalMs: this.config.intervalMs,
+            maxAgeHours: this.config.maxAgeMs / (60 * 60 * 1000)
+        });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    intervalForAge(ageMs) {
+        const tier = this.config.schedule.find(entry => ageMs <= entry.maxAgeMs);
+        return tier ? tier.everyMs : null;
+    }
+
+    /**
+     * Posted replies due for a snapshot, grouped by account name.
+     */
+    async getDueTweets() {
+        const now = Date.now();
+        const candidates = await this.storage.getMetricsCandidates({
+            updatedSince: new Date(now - this.config.maxAgeMs).toISOString()
+        });
+
+        const due = new Map();
+        for (const row of candidates) {
+            const postedAt = tweetCreatedAt(row.posted_tweet_id);
+            if (postedAt === null) continue; // dry-run or otherwise non-numeric IDs
+
+            const age = now - postedAt;
+            if (age > this.config.maxAgeMs) continue;
+
+            const everyMs = this.intervalForAge(age);
+            const lastCollected = row.last_collected_at ? new Date(row.last_collected_at).getTime() : null;
+            if (everyMs === null || (lastCollected !== null && now - lastCollected < everyMs)) continue;
+
+            const account = this.getAccount(row.account);
+            if (!account) continue;
+
+            if (!due.has(account.name)) due.set(account.name, { account, rows: [] });
+            due.get(account.name).rows.push(row);
+        }
+        return due;
+    }
+
+    hasLookupBudget(account) {
+        const lookup = account.rateLimits.batchLookup;
+        if (lookup.remaining === null || !lookup.resetTime || Date.now() >= lookup.resetTime) return true;
+        return lookup.remaining > this.config.lookupReserve;
+    }
+
+    async collect() {
+        // The posting path has priority; try again on the next tick
+        if (this.running || this.isBusy()) return;
+        this.running = true;
+        this.stats.runs++;
+
+        try {
+            const due = await this.getDueTweets();
+            let collected = 0;
+
+            for (const { account, rows } of due.values()) {
+                for (let i = 0; i < rows.length; i += this.config.batchSize) {
+                    if (!this.hasLookupBudget(account)) {
+                        this.stats.skippedForRateLimit++;
+                        this.log('DEBUG', 'Metrics lookup deferred to keep rate-limit reserve', {
+                            account: account.name,
+                            remaining: account.rateLimits.batchLookup.remaining,
+                            reserve: this.config.lookupReserve
+                        });
+                        break;
+                    }
+
+                    const batch = rows.slice(i, i + this.config.batchSize);
+                    collected += await this.collectBatch(account, batch);
+                }
+            }
+
+            if (collected > 0) {
+                this.log('INFO', 'Engagement metrics collected', { snapshots: collected, accounts: due.size });
+            }
+        } catch (error) {
+            this.log('ERROR', 'Engagement metrics collection failed', { error: error.message });
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async collectBatch(account, rows) {
+        let response;
+        try {
+            // fullResponse: v2.tweets() only returns the body, without the rate-limit headers
+            response = await account.rwClient.v2.get('tweets', {
+                ids: rows.map(row => row.posted_tweet_id),
+                'tweet.fields': ['public_metrics']
+            }, { fullResponse: true });
+            this.updateRateLimitInfo('batchLookup', response.headers, account);
+        } catch (error) {
+            if (error.headers) {
+                this.updateRateLimitInfo('batchLookup', error.headers, account);
+            }
+            this.log('WARN', 'Metrics lookup failed', { account: account.name, tweets: rows.length, error: error.message, code: error.code });
+            return 0;
+        }
+
+        const body = response.data || {};
+        const byId = new Map(rows.map(row => [String(row.posted_tweet_id), row]));
+        let saved = 0;
+
+        for (const tweet of body.data || []) {
+            const row = byId.get(String(tweet.id));
+            if (!row || !tweet.public_metrics) continue;
+
+            const metrics = {};
+            for (const field of METRIC_FIELDS) {
+                metrics[field] = tweet.public_metrics[field] !== undefined ? tweet.public_metrics[field] : null;
+            }
+
+            await this.storage.saveMetricsSnapshot({ recordId: row.record_id, tweetId: tweet.id, account: account.name, metrics });
+            saved++;
+        }
+
+        // Deleted or protected replies come back as errors and are simply not snapshotted
+        if (body.errors && body.errors.length > 0) {
+            this.log('DEBUG', 'Some replies were not returned by the metrics lookup', {
+                account: account.name,
+                missing: body.errors.map(error => error.resource_id || error.value)
+            });
+        }
+
+        this.stats.snapshots += saved;
+        return saved;
+    }
+}
+
+module.exports = { MetricsCollector, tweetCreatedAt };
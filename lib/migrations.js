@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const SCHEMA_MIGRATIONS_SQL = `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+`;
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+/**
+ * Migration files in `dir`, named NNN_description.js and numbered 1, 2, 3... without gaps.
+ * Each exports `up` and optionally `down` SQL.
+ */
+function loadMigrations(dir = DEFAULT_MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .map(file => {
+            const match = MIGRATION_FILE.exec(file);
+            if (!match) {
+                throw new Error(`Invalid migration file name "${file}" - expected NNN_description.js`);
+            }
+
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'string' || !migration.up.trim()) {
+                throw new Error(`Migration ${file} has no "up" SQL`);
+            }
+            return { version: parseInt(match[1]), name: match[2], file, up: migration.up, down: migration.down || null };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Migrations must be numbered 1, 2, 3... without gaps or duplicates - found ${migration.file} at position ${index + 1}`);
+        }
+    });
+    return migrations;
+}
+
+/**
+ * Versioned schema of the tracking database. Applied versions are kept in schema_migrations;
+ * every migration runs in its own transaction together with its schema_migrations row.
+ * `db` needs `query(sql, params)` - a pg Client for up/down, so BEGIN/COMMIT share a session.
+ */
+class Migrator {
+    constructor({ db, dir = DEFAULT_MIGRATIONS_DIR, log = () => {} }) {
+        this.db = db;
+        this.log = log;
+        this.migrations = loadMigrations(dir);
+    }
+
+    get latestVersion() {
+        return this.migrations.length;
+    }
+
+    async appliedVersions() {
+        // to_regclass is null until the table exists, so a read-only check never creates it
+        const table = await this.db.query(`SELECT to_regclass('schema_migrations') AS name`);
+        if (!table.rows[0].name) return new Map();
+
+        const result = await this.db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(result.rows.map(row => [Number(row.version), row]));
+    }
+
+    async status() {
+        const applied = await this.appliedVersions();
+        const known = new Set(this.migrations.map(migration => migration.version));
+
+        return {
+            migrations: this.migrations.map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+            })),
+            // Applied by a newer version of the bot
+            unknown: Array.from(applied.values())
+                .filter(row => !known.has(Number(row.version)))
+                .map(row => ({ version: Number(row.version), name: row.name, appliedAt: row.applied_at }))
+        };
+    }
+
+    /**
+     * Startup check: throws when migrations are pending, so the bot never runs against an
+     * outdated schema.
+     */
+    async check() {
+        const { migrations, unknown } = await this.status();
+        const pending = migrations.filter(migration => !migration.appliedAt);
+
+        if (pending.length > 0) {
+            throw new Error(`Tracking database schema is out of date - ${pending.length} pending migration(s): ` +
+                `${pending.map(label).join(', ')}. Run "npm run migrate -- up" first`);
+        }
+        if (unknown.length > 0) {
+            this.log('WARN', 'Tracking database has migrations this version does not know', { unknown: unknown.map(label) });
+        }
+        return { version: this.latestVersion };
+    }
+
+    async up({ to = null } = {}) {
+        await this.db.query(SCHEMA_MIGRATIONS_SQL);
+        const applied = await this.appliedVersions();
+        const done = [];
+
+        for (const migration of this.migrations) {
+            if (applied.has(migration.version)) continue;
+            if (to !== null && migration.version > to) break;
+
+            await this.inTransaction(async () => {
+                await this.db.query(migration.up);
+                await this.db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            });
+            this.log('SUCCESS', `Applied migration ${label(migration)}`);
+            done.push(migration);
+        }
+        return done;
+    }
+
+    /**
+     * Roll back the latest `steps` applied migrations, or every one above version `to`.
+     */
+    async down({ steps = 1, to = null } = {}) {
+        const applied = await this.appliedVersions();
+        const candidates = this.migrations.filter(migration => applied.has(migration.version)).reverse();
+        const selected = to !== null ? candidates.filter(migration => migration.version > to) : candidates.slice(0, steps);
+
+        // Check first so a missing `down` never leaves a half-rolled-back schema
+        const irreversible = selected.find(migration => !migration.down);
+        if (irreversible) {
+            throw new Error(`Migration ${label(irreversible)} has no "down" SQL and cannot be rolled back`);
+        }
+
+        for (const migration of selected) {
+            await this.inTransaction(async () => {
+                await this.db.query(migration.down);
+                await this.db.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            });
+            this.log('SUCCESS', `Rolled back migration ${label(migration)}`);
+        }
+        return selected;
+    }
+
+    async inTransaction(work) {
+        await this.db.query('BEGIN');
+        try {
+            await work();
+            await this.db.query('COMMIT');
+        } catch (error) {
+            await this.db.query('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+}
+
+module.exports = { Migrator, loadMigrations, label };
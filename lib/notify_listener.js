@@ -0,0 +1,147 @@
+const { Client } = require('pg');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+
+function assertIdentifier(value, label) {
+    if (!IDENTIFIER.test(value || '')) {
+        throw new Error(`Invalid ${label} "${value}" - use letters, digits and underscores only`);
+    }
+}
+
+/**
+ * SQL that makes every INSERT on `table` send pg_notify(channel, NEW.id::text).
+ */
+function buildInstallTriggerSql({ table = 'twitter_answers', channel = 'twitter_answers_new' } = {}) {
+    assertIdentifier(table, 'table name');
+    assertIdentifier(channel, 'channel name');
+
+    return `
+        CREATE OR REPLACE FUNCTION notify_${table}_insert() RETURNS trigger AS $$
+        BEGIN
+            PERFORM pg_notify('${channel}', NEW.id::text);
+            RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS ${table}_notify_insert ON ${table};
+
+        CREATE TRIGGER ${table}_notify_insert
+            AFTER INSERT ON ${table}
+            FOR EACH ROW EXECUTE PROCEDURE notify_${table}_insert();
+    `;
+}
+
+function buildUninstallTriggerSql({ table = 'twitter_answers' } = {}) {
+    assertIdentifier(table, 'table name');
+
+    return `
+        DROP TRIGGER IF EXISTS ${table}_notify_insert ON ${table};
+        DROP FUNCTION IF EXISTS notify_${table}_insert();
+    `;
+}
+
+/**
+ * Dedicated connection that LISTENs on a channel and reconnects when it drops.
+ * `onNotification(payload)` is called for every NOTIFY received.
+ */
+class NotifyListener {
+    constructor({ dbConfig, channel, onNotification, log = () => {}, reconnectDelayMs = 5000 }) {
+        assertIdentifier(channel, 'channel name');
+
+        this.dbConfig = dbConfig;
+        this.channel = channel;
+        this.onNotification = onNotification;
+        this.log = log;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.client = null;
+        this.active = false;
+        this.reconnectTimer = null;
+    }
+
+    async start() {
+        this.active = true;
+        await this.connect();
+    }
+
+    async connect() {
+        const client = new Client(this.dbConfig);
+
+        client.on('notification', (msg) => {
+            if (msg.channel !== this.channel) return;
+            this.log('DEBUG', 'NOTIFY received', { channel: msg.channel, payload: msg.payload });
+            this.onNotification(msg.payload);
+        });
+
+        client.on('error', (err) => {
+            this.log('ERROR', 'LISTEN connection error', { error: err.message, code: err.code });
+            this.scheduleReconnect();
+        });
+
+        client.on('end', () => {
+            if (this.active) {
+                this.log('WARN', 'LISTEN connection ended');
+                this.scheduleReconnect();
+            }
+        });
+
+        try {
+            await client.connect();
+            await client.query(`LISTEN ${this.channel}`);
+        } catch (error) {
+            client.removeAllListeners();
+            client.on('error', () => {});
+            client.end().catch(() => {});
+            throw error;
+        }
+        this.client = client;
+
+        this.log('SUCCESS', `Listening for NOTIFY on channel "${this.channel}"`);
+    }
+
+    scheduleReconnect() {
+        if (!this.active || this.reconnectTimer) return;
+
+        const oldClient = this.client;
+        this.client = null;
+        if (oldClient) {
+            oldClient.removeAllListeners('end');
+            oldClient.end().catch(() => {});
+        }
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (!this.active) return;
+
+            try {
+                await this.connect();
+                // Anything inserted while disconnected was not announced
+                this.onNotification(null);
+            } catch (error) {
+                this.log('WARN', 'LISTEN reconnect failed', { error: error.message });
+                this.scheduleReconnect();
+            }
+        }, this.reconnectDelayMs);
+    }
+
+    async stop() {
+        this.active = false;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            try {
+                await client.query(`UNLISTEN ${this.channel}`);
+            } catch (error) {
+                // Ignore errors when closing
+            }
+            await client.end();
+        }
+    }
+}
+
+module.exports = { NotifyListener, buildInstallTriggerSql, buildUninstallTriggerSql };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ORDERING_FILE = path.join(__dirname, '..', 'config', 'ordering.json');
+const STRATEGIES = ['fifo', 'lifo', 'priority'];
+const SIGNALS = ['author_followers', 'age_minutes'];
+const SCALES = ['linear', 'log10'];
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function createdAtMs(record) {
+    const time = new Date(record.created_at).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+// Same tie-break as the ingestion cursor: (created_at, id) ascending, ids in byte order like
+// its COLLATE "C" comparison (localeCompare would put "a" before "B")
+function compareOldestFirst(a, b) {
+    const idA = String(a.id);
+    const idB = String(b.id);
+    return createdAtMs(a) - createdAtMs(b) || (idA < idB ? -1 : idA > idB ? 1 : 0);
+}
+
+/**
+ * Order in which eligible records are posted (see config/ordering.json).
+ *
+ * Strategies:
+ *   fifo     - oldest first (default)
+ *   lifo     - newest first
+ *   priority - highest `priority.column` value first; rows without one are ranked by the
+ *              sum of `priority.score` terms, each { field | signal, weight, scale }, where
+ *              `field` is a numeric twitter_answers column and `signal` is author_followers
+ *              (follower count of the original tweet's author) or age_minutes
+ * Records older than `maxWaitMinutes` jump the queue, oldest first, whatever the strategy.
+ */
+class ProcessingOrder {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        const compiled = ProcessingOrder.compile(definition, source);
+        this.strategy = compiled.strategy;
+        this.priority = compiled.priority;
+        this.maxWaitMs = compiled.maxWaitMs;
+        this.windowSize = compiled.windowSize;
+        this.batchSize = compiled.batchSize;
+    }
+
+    // `overrides` is the `ordering` section of the bot config (ORDERING_STRATEGY)
+    static fromFile(filePath = process.env.ORDERING_FILE || DEFAULT_ORDERING_FILE, { overrides = {} } = {}) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot load processing order from ${filePath}: ${error.message}`);
+        }
+        if (overrides.strategy) {
+            definition.strategy = overrides.strategy;
+        }
+        return new ProcessingOrder(definition, filePath);
+    }
+
+    static compile(definition, source) {
+        const fail = (message) => {
+            throw new Error(`Invalid processing order (${source}): ${message}`);
+        };
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            fail('expected an object');
+        }
+
+        const strategy = definition.strategy || 'fifo';
+        if (!STRATEGIES.includes(strategy)) {
+            fail(`unknown strategy "${strategy}" - expected ${STRATEGIES.join(', ')}`);
+        }
+
+        const positiveInteger = (key, fallback) => {
+            const value = definition[key];
+            if (value === undefined) return fallback;
+            if (!Number.isInteger(value) || value <= 0) fail(`"${key}" must be a positive integer`);
+            return value;
+        };
+
+        const priority = definition.priority || {};
+        const score = (priority.score || []).map((term, index) => {
+            const label = `priority.score[${index}]`;
+            if (!!term.field === !!term.signal) fail(`${label} needs exactly one of "field" or "signal"`);
+            if (term.signal && !SIGNALS.includes(term.signal)) {
+                fail(`${label} has unknown signal "${term.signal}" - expected ${SIGNALS.join(', ')}`);
+            }
+            if (typeof term.weight !== 'number' || !Number.isFinite(term.weight)) fail(`${label} needs a numeric "weight"`);
+            const scale = term.scale || 'linear';
+            if (!SCALES.includes(scale)) fail(`${label} has unknown scale "${scale}" - expected ${SCALES.join(', ')}`);
+
+            return { field: term.field || null, signal: term.signal || null, weight: term.weight, scale };
+        });
+
+        if (strategy === 'priority' && !priority.column && score.length === 0) {
+            fail('strategy "priority" needs "priority.column" or at least one "priority.score" term');
+        }
+
+        const maxWaitMinutes = definition.maxWaitMinutes === undefined ? null : definition.maxWaitMinutes;
+        if (maxWaitMinutes !== null && !(typeof maxWaitMinutes === 'number' && maxWaitMinutes > 0)) {
+            fail('"maxWaitMinutes" must be a positive number or null');
+        }
+
+        return {
+            strategy,
+            priority: { column: priority.column || null, score },
+            maxWaitMs: maxWaitMinutes === null ? null : maxWaitMinutes * 60 * 1000,
+            windowSize: positiveInteger('windowSize', 500),
+            batchSize: positiveInteger('batchSize', 50)
+        };
+    }
+
+    // Only the priority strategy looks at followers, and only if a term asks for them
+    get needsAuthorFollowers() {
+        return this.strategy === 'priority' && this.priority.score.some(term => term.signal === 'author_followers');
+    }
+
+    score(record, { now = Date.now(), followers = new Map() } = {}) {
+        const column = this.priority.column ? toNumber(record[this.priority.column]) : null;
+        if (column !== null) return column;
+
+        let total = 0;
+        for (const term of this.priority.score) {
+            let value;
+            if (term.field) value = toNumber(record[term.field]);
+            else if (term.signal === 'author_followers') value = toNumber(followers.get(String(record.tweet_id)));
+            else value = (now - createdAtMs(record)) / 60000;
+
+            if (value === null) continue;
+            if (term.scale === 'log10') value = Math.log10(1 + Math.max(0, value));
+            total += term.weight * value;
+        }
+        return total;
+    }
+
+    isOverdue(record, now) {
+        return this.maxWaitMs !== null && now - createdAtMs(record) >= this.maxWaitMs;
+    }
+
+    /**
+     * Records in posting order. `followers` maps original tweet ID -> author follower count.
+     */
+    sort(records, { now = Date.now(), followers = new Map() } = {}) {
+        const overdue = records.filter(record => this.isOverdue(record, now)).sort(compareOldestFirst);
+        const rest = records.filter(record => !this.isOverdue(record, now));
+
+        if (this.strategy === 'lifo') {
+            rest.sort((a, b) => compareOldestFirst(b, a));
+        } else if (this.strategy === 'priority') {
+            const scores = new Map(rest.map(record => [record, this.score(record, { now, followers })]));
+            rest.sort((a, b) => scores.get(b) - scores.get(a) || compareOldestFirst(a, b));
+        } else {
+            rest.sort(compareOldestFirst);
+        }
+
+        return [...overdue, ...rest];
+    }
+
+    describe() {
+        return {
+            strategy: this.strategy,
+            priorityColumn: this.priority.column,
+            scoreTerms: this.priority.score.map(term => term.field || term.signal),
+            maxWaitMinutes: this.maxWaitMs === null ? null : this.maxWaitMs / 60000
+        };
+    }
+}
+
+ProcessingOrder.STRATEGIES = STRATEGIES;
+
+module.exports = ProcessingOrder;
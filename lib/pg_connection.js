@@ -0,0 +1,92 @@
+const { Client } = require('pg');
+
+/**
+ * Single pg Client that reconnects on demand and retries failed queries.
+ */
+class PgConnection {
+    constructor(config, name, log = () => {}) {
+        this.config = config;
+        this.name = name;
+        this.log = log;
+        this.client = null;
+        this.connected = false;
+        this.maxAttempts = 3;
+    }
+
+    createClient() {
+        const client = new Client(this.config);
+
+        // Add error handlers
+        client.on('error', (err) => {
+            this.log('ERROR', `Database connection error (${this.name})`, {
+                error: err.message,
+                code: err.code
+            });
+            this.connected = false;
+        });
+
+        client.on('end', () => {
+            this.log('WARN', `Database connection ended (${this.name})`);
+            this.connected = false;
+        });
+
+        return client;
+    }
+
+    async connect() {
+        this.client = this.createClient();
+        await this.client.connect();
+        this.connected = true;
+    }
+
+    async ensureConnection() {
+        if (!this.client || this.client._ending || !this.connected) {
+            this.log('INFO', `Reconnecting to ${this.name} database...`);
+
+            try {
+                if (this.client && !this.client._ending) {
+                    await this.client.end();
+                }
+            } catch (err) {
+                // Ignore errors when closing
+            }
+
+            await this.connect();
+            this.log('SUCCESS', `Reconnected to ${this.name} database`);
+        }
+    }
+
+    async query(query, params = []) {
+        let attempts = 0;
+
+        while (attempts < this.maxAttempts) {
+            try {
+                await this.ensureConnection();
+                return await this.client.query(query, params);
+            } catch (error) {
+                attempts++;
+                this.log('WARN', `Query attempt ${attempts} failed (${this.name})`, {
+                    error: error.message,
+                    code: error.code
+                });
+
+                if (attempts >= this.maxAttempts) {
+                    throw error;
+                }
+
+                // Wait before retry
+                await new Promise(resolve => setTimeout(resolve, 1000 * attempts));
+                this.connected = false;
+            }
+        }
+    }
+
+    async end() {
+        this.connected = false;
+        if (this.client && !this.client._ending) {
+            await this.client.end();
+        }
+    }
+}
+
+module.exports = PgConnection;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POI_FILE = path.join(__dirname, '..', 'config', 'poi.json');
+const EVM_TX_HASH = '^0x[0-9a-fA-F]{64}$';
+const DISCLOSURE_MODES = ['none', 'inline', 'reply'];
+
+/**
+ * Minimal JSON-RPC 2.0 client over fetch.
+ */
+class JsonRpcClient {
+    constructor(url, { timeoutMs = 10000 } = {}) {
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.nextId = 1;
+    }
+
+    async call(method, params = []) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method, params }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`JSON-RPC ${method} failed with HTTP ${response.status}`);
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            throw new Error(`JSON-RPC ${method} error ${body.error.code}: ${body.error.message}`);
+        }
+        return body.result;
+    }
+}
+
+/**
+ * Proof-of-inference checks for `poi_transaction` (see config/poi.json).
+ *
+ * A proof is an explorer transaction URL from one of `explorers`, or a bare hash
+ * when `defaultExplorer` is set. With `verifyOnChain` the transaction receipt is
+ * looked up over JSON-RPC (the explorer's `rpcUrl`, else `rpcUrl` / `poi.rpcUrl` in the bot config).
+ * `disclosure` adds the proof link to the reply (inline) or a follow-up reply.
+ */
+class PoiValidator {
+    constructor(definition, source = 'inline', { rpcClientFactory = (url) => new JsonRpcClient(url) } = {}) {
+        this.source = source;
+        this.policy = PoiValidator.compile(definition, source);
+        this.rpcClientFactory = rpcClientFactory;
+        this.rpcClients = new Map(); // rpc url -> client
+    }
+
+    // `overrides` is the `poi` section of the bot config (POI_VERIFY_ON_CHAIN, POI_RPC_URL, POI_DISCLOSURE)
+    static fromFile(filePath = process.env.POI_CONFIG_FILE || DEFAULT_POI_FILE, { overrides = {}, ...options } = {}) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot load POI config from ${filePath}: ${error.message}`);
+        }
+
+        // Deployment-specific overrides
+        if (overrides.verifyOnChain != null) definition.verifyOnChain = overrides.verifyOnChain;
+        if (overrides.rpcUrl) definition.rpcUrl = overrides.rpcUrl;
+        if (overrides.disclosure) {
+            definition.disclosure = { ...(definition.disclosure || {}), mode: overrides.disclosure };
+        }
+
+        return new PoiValidator(definition, filePath, options);
+    }
+
+    static compile(definition, source) {
+        const fail = (message) => {
+            throw new Error(`Invalid POI config (${source}): ${message}`);
+        };
+
+        if (!definition || !Array.isArray(definition.explorers) || definition.explorers.length === 0) {
+            fail('expected an object with a non-empty "explorers" array');
+        }
+
+        const explorers = definition.explorers.map((explorer, index) => {
+            const label = explorer.name || `explorers[${index}]`;
+            if (!explorer.name) fail(`${label} is missing "name"`);
+            if (!explorer.host) fail(`${label} is missing "host"`);
+
+            let hashPattern;
+            try {
+                hashPattern = new RegExp(explorer.hashPattern || EVM_TX_HASH);
+            } catch (error) {
+                fail(`${label} has an invalid hashPattern: ${error.message}`);
+            }
+
+            return {
+                name: explorer.name,
+                host: explorer.host.toLowerCase(),
+                txPath: explorer.txPath || '/tx/',
+                hashPattern,
+                rpcUrl: explorer.rpcUrl || null
+            };
+        });
+
+        const defaultExplorer = definition.defaultExplorer || null;
+        if (defaultExplorer && !explorers.some(explorer => explorer.name === defaultExplorer)) {
+            fail(`defaultExplorer "${defaultExplorer}" is not in "explorers"`);
+        }
+
+        const disclosure = definition.disclosure || {};
+        const mode = disclosure.mode || 'none';
+        if (!DISCLOSURE_MODES.includes(mode)) {
+            fail(`disclosure.mode must be one of ${DISCLOSURE_MODES.join(', ')} (got "${mode}")`);
+        }
+
+        return {
+            explorers,
+            defaultExplorer,
+            verifyOnChain: definition.verifyOnChain === true,
+            rpcUrl: definition.rpcUrl || null,
+            disclosure: {
+                mode,
+                verifiedText: disclosure.verifiedText || '✅ Verified on-chain: {url}',
+                unverifiedText: disclosure.unverifiedText || '🔗 Proof of inference: {url}'
+            }
+        };
+    }
+
+    explorerUrl(explorer, hash) {
+        return `https://${explorer.host}${explorer.txPath}${hash}`;
+    }
+
+    /**
+     * Check the format of a poi_transaction value.
+     * Returns { valid, reason } or { valid, explorer, hash, url } with a canonical explorer URL.
+     */
+    parse(value) {
+        const raw = String(value || '').trim();
+        if (!raw) return { valid: false, reason: 'empty' };
+
+        if (!/^https?:\/\//i.test(raw)) {
+            const explorer = this.policy.explorers.find(entry => entry.name === this.policy.defaultExplorer);
+            if (!explorer) return { valid: false, reason: 'not a URL and no defaultExplorer configured' };
+            if (!explorer.hashPattern.test(raw)) return { valid: false, reason: `malformed ${explorer.name} transaction hash` };
+            return { valid: true, explorer, hash: raw, url: this.explorerUrl(explorer, raw) };
+        }
+
+        let url;
+        try {
+            url = new URL(raw);
+        } catch (error) {
+            return { valid: false, reason: 'unparseable URL' };
+        }
+
+        const host = url.hostname.toLowerCase();
+        const explorer = this.policy.explorers.find(entry => host === entry.host || host === `www.${entry.host}`);
+        if (!explorer) return { valid: false, reason: `unknown explorer ${host}` };
+        if (!url.pathname.startsWith(explorer.txPath)) return { valid: false, reason: `not a ${explorer.name} transaction URL` };
+
+        const hash = url.pathname.substring(explorer.txPath.length).replace(/\/+$/, '');
+        if (!explorer.hashPattern.test(hash)) return { valid: false, reason: `malformed ${explorer.name} transaction hash` };
+
+        return { valid: true, explorer, hash, url: this.explorerUrl(explorer, hash) };
+    }
+
+    rpcClientFor(explorer) {
+        const url = explorer.rpcUrl || this.policy.rpcUrl;
+        if (!url) return null;
+        if (!this.rpcClients.has(url)) {
+            this.rpcClients.set(url, this.rpcClientFactory(url));
+        }
+        return this.rpcClients.get(url);
+    }
+
+    /**
+     * Validate a proof and, with verifyOnChain, look it up over JSON-RPC.
+     *
+     * Returns { status, reason, explorer, hash, url } where status is
+     *   invalid     - bad format, unknown transaction or reverted transaction
+     *   verified    - receipt found with a success status
+     *   unverified  - format is valid but no on-chain check ran (disabled, no RPC, or RPC error)
+     */
+    async verify(value) {
+        const parsed = this.parse(value);
+        if (!parsed.valid) {
+            return { status: 'invalid', reason: parsed.reason, explorer: null, hash: null, url: null };
+        }
+
+        const result = { explorer: parsed.explorer.name, hash: parsed.hash, url: parsed.url };
+        if (!this.policy.verifyOnChain) {
+            return { ...result, status: 'unverified', reason: 'on-chain check disabled' };
+        }
+
+        const client = this.rpcClientFor(parsed.explorer);
+        if (!client) {
+            return { ...result, status: 'unverified', reason: `no RPC endpoint for ${parsed.explorer.name}` };
+        }
+
+        let receipt;
+        try {
+            receipt = await client.call('eth_getTransactionReceipt', [parsed.hash]);
+        } catch (error) {
+            // An unreachable node says nothing about the proof itself
+            return { ...result, status: 'unverified', reason: error.message };
+        }
+
+        if (!receipt) return { ...result, status: 'invalid', reason: 'transaction not found on chain' };
+        if (receipt.status === '0x0') return { ...result, status: 'invalid', reason: 'transaction reverted' };
+        return { ...result, status: 'verified', reason: null };
+    }
+
+    /**
+     * Proof link text for the configured disclosure mode, or null when nothing is shown.
+     */
+    disclosureText(verification) {
+        if (this.policy.disclosure.mode === 'none' || !verification || !verification.url) return null;
+        if (verification.status === 'invalid') return null;
+
+        const template = verification.status === 'verified' ?
+            this.policy.disclosure.verifiedText : this.policy.disclosure.unverifiedText;
+        return template.replace('{url}', verification.url);
+    }
+}
+
+module.exports = { PoiValidator, JsonRpcClient, DISCLOSURE_MODES };
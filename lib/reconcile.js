@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of tweet text as Twitter hands it back: links are replaced by t.co URLs and
+ * &, < and > come back HTML-escaped, so links are dropped and entities unescaped first.
+ */
+function hashTweetText(text) {
+    const normalized = String(text || '')
+        .replace(/https?:\/\/\S+/g, 'URL')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Find the reply a `posting` intent describes among the account's recent tweets.
+ *
+ * A reply to `inReplyToTweetId` with the same content hash wins. Otherwise a single
+ * reply to that tweet is taken as ours (nothing else replies to it from this account
+ * while the record is being posted); several non-matching replies are ambiguous.
+ * Returns { tweet, matchedBy: 'content_hash' | 'reply_target' } or null.
+ */
+function findPostedReply(tweets, { inReplyToTweetId, contentHash }) {
+    const replies = tweets.filter(tweet => (tweet.referenced_tweets || [])
+        .some(reference => reference.type === 'replied_to' && reference.id === String(inReplyToTweetId)));
+
+    const exact = replies.find(tweet => hashTweetText(tweet.text) === contentHash);
+    if (exact) return { tweet: exact, matchedBy: 'content_hash' };
+    if (replies.length === 1) return { tweet: replies[0], matchedBy: 'reply_target' };
+    return null;
+}
+
+module.exports = { hashTweetText, findPostedReply };
@@ -0,0 +1,146 @@
+// Outcomes that count as a failed posting attempt for the failure rate
+const FAILURE_STATUSES = ['retry_pending', 'dead_letter'];
+
+function round(value, digits = 1) {
+    if (value === null || value === undefined || Number.isNaN(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+/**
+ * Summarize processed_records rows for one date range.
+ *
+ * `sourceCreatedAt` maps record_id -> twitter_answers.created_at (Date or string)
+ * and is used for the answer-to-post latency; pass null when it is unavailable.
+ */
+function buildReport(records, { from, to, sourceCreatedAt = null, topHours = 5 }) {
+    const byStatus = {};
+    const byAccount = {};
+    const postsByHour = new Array(24).fill(0);
+    const lengths = [];
+    const latencies = [];
+
+    for (const row of records) {
+        byStatus[row.status] = (byStatus[row.status] || 0) + 1;
+        if (row.status !== 'success') continue;
+
+        const account = row.account || 'unknown';
+        byAccount[account] = (byAccount[account] || 0) + 1;
+
+        const postedAt = new Date(row.updated_at);
+        postsByHour[postedAt.getUTCHours()]++;
+
+        if (row.content_length !== null && row.content_length !== undefined) {
+            lengths.push(Number(row.content_length));
+        }
+
+        if (sourceCreatedAt && sourceCreatedAt.has(String(row.record_id))) {
+            const latency = postedAt.getTime() - new Date(sourceCreatedAt.get(String(row.record_id))).getTime();
+            if (latency >= 0) latencies.push(latency);
+        }
+    }
+
+    const posts = byStatus.success || 0;
+    const failures = FAILURE_STATUSES.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+    const skips = {};
+    for (const [status, count] of Object.entries(byStatus)) {
+        if (status !== 'success' && !FAILURE_STATUSES.includes(status)) {
+            skips[status] = count;
+        }
+    }
+
+    latencies.sort((a, b) => a - b);
+    const minutes = (ms) => (ms === null ? null : round(ms / 60000));
+
+    return {
+        range: { from: new Date(from).toISOString(), to: new Date(to).toISOString() },
+        totals: {
+            records: records.length,
+            posts,
+            skipped: Object.values(skips).reduce((sum, count) => sum + count, 0),
+            failed: failures,
+            failureRatePercent: posts + failures > 0 ? round((failures / (posts + failures)) * 100) : 0,
+            avgContentLength: lengths.length > 0 ? round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length) : null
+        },
+        skipsByStatus: skips,
+        failuresByStatus: Object.fromEntries(FAILURE_STATUSES.map(status => [status, byStatus[status] || 0])),
+        postsByAccount: byAccount,
+        timeToPostMinutes: sourceCreatedAt ? {
+            measured: latencies.length,
+            avg: latencies.length > 0 ? minutes(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+            median: minutes(percentile(latencies, 0.5)),
+            p90: minutes(percentile(latencies, 0.9)),
+            max: minutes(latencies.length > 0 ? latencies[latencies.length - 1] : null)
+        } : null,
+        busiestHoursUtc: postsByHour
+            .map((count, hour) => ({ hour, posts: count }))
+            .filter(entry => entry.posts > 0)
+            .sort((a, b) => b.posts - a.posts || a.hour - b.hour)
+            .slice(0, topHours)
+    };
+}
+
+/**
+ * Flatten a report into section/metric/value rows (one shape for table and CSV output).
+ */
+function reportRows(report) {
+    const rows = [
+        ['range', 'from', report.range.from],
+        ['range', 'to', report.range.to]
+    ];
+
+    for (const [metric, value] of Object.entries(report.totals)) rows.push(['totals', metric, value]);
+    for (const [status, count] of Object.entries(report.skipsByStatus)) rows.push(['skips', status, count]);
+    for (const [status, count] of Object.entries(report.failuresByStatus)) rows.push(['failures', status, count]);
+    for (const [account, count] of Object.entries(report.postsByAccount)) rows.push(['posts_by_account', account, count]);
+
+    if (report.timeToPostMinutes) {
+        for (const [metric, value] of Object.entries(report.timeToPostMinutes)) rows.push(['time_to_post_minutes', metric, value]);
+    }
+
+    for (const { hour, posts } of report.busiestHoursUtc) {
+        rows.push(['busiest_hours_utc', `${String(hour).padStart(2, '0')}:00`, posts]);
+    }
+
+    return rows;
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatReport(report, format = 'table') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2);
+        case 'csv':
+            return [['section', 'metric', 'value'], ...reportRows(report)]
+                .map(row => row.map(csvField).join(','))
+                .join('\n');
+        case 'table': {
+            const rows = reportRows(report).map(([section, metric, value]) => [section, metric, value === null ? '-' : String(value)]);
+            const widths = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length), ['section', 'metric', 'value'][column].length));
+            const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+
+            const output = [line(['section', 'metric', 'value']), widths.map(width => '-'.repeat(width)).join('  ')];
+            let previousSection = null;
+            for (const row of rows) {
+                // Print each section name once
+                output.push(line([row[0] === previousSection ? '' : row[0], row[1], row[2]]));
+                previousSection = row[0];
+            }
+            return output.join('\n');
+        }
+        default:
+            throw new Error(`Unknown report format "${format}" - expected table, csv or json`);
+    }
+}
+
+module.exports = { buildReport, formatReport, reportRows };
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, '..', 'config', 'schedule.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function parseTimeOfDay(value) {
+    const match = TIME_OF_DAY.exec(value || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Posting schedule (see config/schedule.json): when replies may go out and how many.
+ *
+ * `quietHours` windows ({ timezone, start, end } as HH:MM, may cross midnight) hold every
+ * record until the window ends. `maxPostsPerHour` / `maxPostsPerDay` cap replies over the
+ * last 60 minutes / 24 hours (null = no cap) - a reply counts once however many thread
+ * parts it has. `jitterMs` adds a random { min, max } delay between posts, and a record
+ * whose `postNotBeforeColumn` holds a later time waits until then.
+ */
+class PostingSchedule {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        const compiled = PostingSchedule.compile(definition, source);
+        this.quietHours = compiled.quietHours;
+        this.maxPostsPerHour = compiled.maxPostsPerHour;
+        this.maxPostsPerDay = compiled.maxPostsPerDay;
+        this.jitterMs = compiled.jitterMs;
+        this.postNotBeforeColumn = compiled.postNotBeforeColumn;
+        this.postTimes = []; // reply timestamps of the last 24 hours, oldest first
+    }
+
+    static fromFile(filePath = process.env.SCHEDULE_FILE || DEFAULT_SCHEDULE_FILE) {
+        let definition;
+        try {
+            definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot load posting schedule from ${filePath}: ${error.message}`);
+        }
+        return new PostingSchedule(definition, filePath);
+    }
+
+    static compile(definition, source) {
+        const fail = (message) => {
+            throw new Error(`Invalid posting schedule (${source}): ${message}`);
+        };
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            fail('expected an object');
+        }
+        if (definition.quietHours !== undefined && !Array.isArray(definition.quietHours)) {
+            fail('"quietHours" must be an array');
+        }
+
+        const quietHours = (definition.quietHours || []).map((window, index) => {
+            const label = `quietHours[${index}]`;
+            const timezone = window.timezone || 'UTC';
+            let formatter;
+            try {
+                formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: timezone,
+                    hourCycle: 'h23',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric'
+                });
+            } catch (error) {
+                fail(`${label} has an unknown timezone "${timezone}"`);
+            }
+
+            const start = parseTimeOfDay(window.start);
+            const end = parseTimeOfDay(window.end);
+            if (start === null || end === null) fail(`${label} needs "start" and "end" as HH:MM`);
+            if (start === end) fail(`${label} "start" and "end" must differ`);
+
+            return { name: `${window.start}-${window.end} ${timezone}`, timezone, start, end, formatter };
+        });
+
+        const budget = (key) => {
+            const value = definition[key];
+            if (value === undefined || value === null) return null;
+            if (!Number.isInteger(value) || value <= 0) fail(`"${key}" must be a positive integer or null`);
+            return value;
+        };
+
+        const jitter = definition.jitterMs || {};
+        const jitterMs = {
+            min: jitter.min !== undefined ? jitter.min : 0,
+            max: jitter.max !== undefined ? jitter.max : 0
+        };
+        if (!Number.isInteger(jitterMs.min) || !Number.isInteger(jitterMs.max) || jitterMs.min < 0 || jitterMs.max < jitterMs.min) {
+            fail('"jitterMs" needs integer "min" and "max" with 0 <= min <= max');
+        }
+
+        return {
+            quietHours,
+            maxPostsPerHour: budget('maxPostsPerHour'),
+            maxPostsPerDay: budget('maxPostsPerDay'),
+            jitterMs,
+            postNotBeforeColumn: definition.postNotBeforeColumn === undefined ? 'post_not_before' : definition.postNotBeforeColumn
+        };
+    }
+
+    /**
+     * Seed the budgets with replies posted before this process started.
+     */
+    loadHistory(timestamps) {
+        this.postTimes = timestamps
+            .map(value => new Date(value).getTime())
+            .filter(time => !Number.isNaN(time))
+            .sort((a, b) => a - b);
+    }
+
+    recordPost(at = Date.now()) {
+        this.postTimes.push(at);
+    }
+
+    jitter() {
+        const { min, max } = this.jitterMs;
+        return min + Math.floor(Math.random() * (max - min + 1));
+    }
+
+    quietUntil(now) {
+        let until = null;
+        let window = null;
+
+        for (const quiet of this.quietHours) {
+            const parts = Object.fromEntries(quiet.formatter.formatToParts(new Date(now)).map(part => [part.type, part.value]));
+            const minute = parseInt(parts.hour) * 60 + parseInt(parts.minute) + parseInt(parts.second) / 60;
+            const inside = quiet.start < quiet.end ?
+                minute >= quiet.start && minute < quiet.end :
+                minute >= quiet.start || minute < quiet.end;
+            if (!inside) continue;
+
+            // Minutes left in the window; a DST change inside it only shifts the next check
+            const end = now + Math.ceil(((quiet.end - minute + 1440) % 1440) * 60 * 1000);
+            if (until === null || end > until) {
+                until = end;
+                window = quiet.name;
+            }
+        }
+
+        return until === null ? null : { until, window };
+    }
+
+    budgetUntil(now) {
+        this.postTimes = this.postTimes.filter(time => time > now - DAY_MS);
+
+        let until = null;
+        let budget = null;
+        for (const [key, limit, windowMs] of [['maxPostsPerHour', this.maxPostsPerHour, HOUR_MS], ['maxPostsPerDay', this.maxPostsPerDay, DAY_MS]]) {
+            if (limit === null) continue;
+
+            const recent = this.postTimes.filter(time => time > now - windowMs);
+            if (recent.length < limit) continue;
+
+            // Room opens up once enough of the oldest posts leave the window
+            const frees = recent[recent.length - limit] + windowMs;
+            if (until === null || frees > until) {
+                until = frees;
+                budget = key;
+            }
+        }
+
+        return until === null ? null : { until, budget };
+    }
+
+    notBefore(record) {
+        if (!this.postNotBeforeColumn) return null;
+
+        const value = record[this.postNotBeforeColumn];
+        if (value === null || value === undefined || value === '') return null;
+
+        const time = new Date(value).getTime();
+        return Number.isNaN(time) ? null : time;
+    }
+
+    /**
+     * Whether a record may be posted now. Returns null, or { until, reasons } with the
+     * earliest time worth checking again - later than every rule that holds it.
+     */
+    check(record, now = Date.now()) {
+        const reasons = [];
+        let until = now;
+
+        const notBefore = this.notBefore(record);
+        if (notBefore !== null && notBefore > now) {
+            reasons.push({ rule: 'post_not_before', until: new Date(notBefore).toISOString() });
+            until = Math.max(until, notBefore);
+        }
+
+        const quiet = this.quietUntil(now);
+        if (quiet) {
+            reasons.push({ rule: 'quiet_hours', window: quiet.window, until: new Date(quiet.until).toISOString() });
+            until = Math.max(until, quiet.until);
+        }
+
+        const budget = this.budgetUntil(now);
+        if (budget) {
+            reasons.push({ rule: budget.budget, until: new Date(budget.until).toISOString() });
+            until = Math.max(until, budget.until);
+        }
+
+        return reasons.length > 0 ? { until: new Date(until), reasons } : null;
+    }
+
+    describe() {
+        return {
+            quietHours: this.quietHours.map(quiet => quiet.name),
+            maxPostsPerHour: this.maxPostsPerHour,
+            maxPostsPerDay: this.maxPostsPerDay,
+            jitterMs: this.jitterMs,
+            postNotBeforeColumn: this.postNotBeforeColumn
+        };
+    }
+}
+
+module.exports = PostingSchedule;
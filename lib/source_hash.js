@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Columns added by the bot's own queries, not part of the source row
+const IGNORED_COLUMNS = ['cursor_created_at'];
+
+/**
+ * Stable SHA-256 of a twitter_answers row, used to notice when the source row changes.
+ */
+function hashSourceRecord(record) {
+    const normalized = {};
+    for (const key of Object.keys(record).sort()) {
+        if (IGNORED_COLUMNS.includes(key)) continue;
+        const value = record[key];
+        normalized[key] = value instanceof Date ? value.toISOString() : value;
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * SHA-256 of the answer text alone, stored with a post to tell text edits from other column changes.
+ */
+function hashAnswer(answer) {
+    return crypto.createHash('sha256').update(String(answer || '')).digest('hex');
+}
+
+module.exports = { hashSourceRecord, hashAnswer };
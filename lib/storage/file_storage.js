@@ -0,0 +1,450 @@
+const fs = require('fs');
+const path = require('path');
+const { withUpstreamTrail } = require('../upstream_changes');
+
+/**
+ * Tracking storage in a local append-only NDJSON file, for setups without a
+ * tracking Postgres. Every write appends the full new state of one entry;
+ * the file is replayed into memory on init (last write wins).
+ *
+ * The bot and the CLIs (admin, report) may have the file open at the same time:
+ * every read first applies the lines other processes appended since the last one,
+ * so an admin skip or retract is seen before the bot posts or rewrites the record.
+ * Only the process opened with `compact: true` (the bot, at startup) rewrites the
+ * file when superseded lines dominate; the others pick up the new file on their next read.
+ */
+class FileStorage {
+    constructor({ filePath, compact = false, log = () => {} }) {
+        this.backend = 'file';
+        this.filePath = filePath;
+        this.compactOnInit = compact;
+        this.log = log;
+        this.reset();
+    }
+
+    reset() {
+        this.records = new Map();      // record_id -> processed_records row
+        this.threadParts = new Map();  // record_id -> Map(part_index -> row)
+        this.cursors = new Map();      // name -> { createdAt, id }
+        this.metrics = new Map();      // tweet_id -> [metrics snapshot rows]
+        this.lineCount = 0;
+        this.offset = 0;               // bytes of the file applied so far
+        this.inode = null;
+        this.ownLines = new Map();     // line -> count, appended here but not yet read back
+    }
+
+    async init() {
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.refresh();
+
+        // A crash mid-append can leave a torn last line - end it so the next append starts a new one
+        if (this.inode !== null && fs.statSync(this.filePath).size > this.offset) {
+            fs.appendFileSync(this.filePath, '\n');
+            this.refresh();
+        }
+
+        const liveEntries = this.records.size + this.cursors.size +
+            Array.from(this.threadParts.values()).reduce((sum, parts) => sum + parts.size, 0) +
+            Array.from(this.metrics.values()).reduce((sum, snapshots) => sum + snapshots.length, 0);
+        if (this.compactOnInit && this.lineCount > 1000 && this.lineCount > liveEntries * 2) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Apply the lines appended since the last read. A file replaced by compaction in
+     * another process is replayed from the start.
+     */
+    refresh() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        if (this.inode !== null && (stat.ino !== this.inode || stat.size < this.offset)) {
+            this.reset();
+        }
+        this.inode = stat.ino;
+        if (stat.size <= this.offset) return;
+
+        const buffer = Buffer.alloc(stat.size - this.offset);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // A line still being written by another process is read next time
+        const end = buffer.lastIndexOf(0x0a) + 1;
+        if (end === 0) return;
+        this.offset += end;
+        this.replay(buffer.subarray(0, end).toString('utf8'));
+    }
+
+    replay(content) {
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+
+            // Our own appends are already applied
+            const own = this.ownLines.get(line);
+            if (own) {
+                if (own > 1) this.ownLines.set(line, own - 1);
+                else this.ownLines.delete(line);
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A crash mid-append can leave a torn line
+                this.log('WARN', 'Skipping unreadable line in tracking file', { offset: this.offset, error: error.message });
+                continue;
+            }
+
+            this.lineCount++;
+            this.apply(entry);
+        }
+    }
+
+    apply(entry) {
+        const { type, data } = entry;
+        switch (type) {
+            case 'record':
+                this.records.set(data.record_id, data);
+                break;
+            case 'delete_record':
+                this.records.delete(data.record_id);
+                this.threadParts.delete(data.record_id);
+                break;
+            case 'delete_thread_parts':
+                this.threadParts.delete(data.record_id);
+                break;
+            case 'thread_part':
+                if (!this.threadParts.has(data.record_id)) {
+                    this.threadParts.set(data.record_id, new Map());
+                }
+                this.threadParts.get(data.record_id).set(data.part_index, data);
+                break;
+            case 'cursor':
+                this.cursors.set(data.name, { createdAt: data.last_created_at, id: data.last_id });
+                break;
+            case 'metrics':
+                if (!this.metrics.has(data.tweet_id)) {
+                    this.metrics.set(data.tweet_id, []);
+                }
+                this.metrics.get(data.tweet_id).push(data);
+                break;
+            default:
+                break;
+        }
+    }
+
+    append(type, data) {
+        const entry = { type, data };
+        const line = JSON.stringify(entry);
+        fs.appendFileSync(this.filePath, line + '\n');
+        this.ownLines.set(line, (this.ownLines.get(line) || 0) + 1);
+        this.lineCount++;
+        this.apply(entry);
+    }
+
+    compact() {
+        const lines = [];
+        for (const data of this.records.values()) {
+            lines.push(JSON.stringify({ type: 'record', data }));
+        }
+        for (const parts of this.threadParts.values()) {
+            for (const data of parts.values()) {
+                lines.push(JSON.stringify({ type: 'thread_part', data }));
+            }
+        }
+        for (const [name, cursor] of this.cursors.entries()) {
+            lines.push(JSON.stringify({ type: 'cursor', data: { name, last_created_at: cursor.createdAt, last_id: cursor.id } }));
+        }
+        for (const snapshots of this.metrics.values()) {
+            for (const data of snapshots) {
+                lines.push(JSON.stringify({ type: 'metrics', data }));
+            }
+        }
+
+        // Write then rename so a crash never leaves a half-written file
+        const tmpFile = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tmpFile, this.filePath);
+
+        const stat = fs.statSync(this.filePath);
+        this.inode = stat.ino;
+        this.offset = stat.size;
+        this.ownLines.clear();
+
+        this.log('INFO', 'Compacted tracking file', { previousLines: this.lineCount, lines: lines.length });
+        this.lineCount = lines.length;
+    }
+
+    async loadProcessedIds() {
+        this.refresh();
+        return Array.from(this.records.keys());
+    }
+
+    async saveProcessedRecord({ recordId, postedTweetId = null, replyToTweetId = null, status = 'success', contentLength = null, poiTransaction = null, citations = null, sourceHash = null, statusDetail = null, account = null }) {
+        this.refresh();
+        const id = String(recordId);
+        const existing = this.records.get(id);
+        const now = new Date().toISOString();
+        const coalesce = (value, column) => (value !== null && value !== undefined ? value : (existing ? existing[column] : null));
+        const detail = withUpstreamTrail(existing ? existing.status_detail : null, statusDetail);
+
+        this.append('record', {
+            ...(existing || {}),
+            record_id: id,
+            processed_at: existing ? existing.processed_at : now,
+            posted_tweet_id: postedTweetId,
+            reply_to_tweet_id: coalesce(replyToTweetId, 'reply_to_tweet_id'),
+            status,
+            content_length: coalesce(contentLength, 'content_length'),
+            poi_transaction: coalesce(poiTransaction, 'poi_transaction'),
+            citations: coalesce(citations && citations.length > 0 ? JSON.stringify(citations) : null, 'citations'),
+            source_hash: coalesce(sourceHash, 'source_hash'),
+            status_detail: detail !== null && typeof detail === 'object' ? JSON.stringify(detail) : detail,
+            account: coalesce(account, 'account'),
+            posting_intent: null,
+            attempt_count: existing ? existing.attempt_count : 0,
+            last_error: existing ? existing.last_error : null,
+            last_error_code: existing ? existing.last_error_code : null,
+            next_attempt_at: null,
+            created_at: existing ? existing.created_at : now,
+            updated_at: now
+        });
+    }
+
+    async getProcessedRecord(recordId) {
+        this.refresh();
+        return this.records.get(String(recordId)) || null;
+    }
+
+    // Status `posting` with the tweet about to be sent; status_detail is left as it is
+    async savePostingIntent({ recordId, replyToTweetId = null, poiTransaction = null, account = null, intent }) {
+        this.refresh();
+        const id = String(recordId);
+        const existing = this.records.get(id);
+        const now = new Date().toISOString();
+        const coalesce = (value, column) => (value !== null && value !== undefined ? value : (existing ? existing[column] : null));
+
+        this.append('record', {
+            processed_at: now,
+            posted_tweet_id: null,
+            content_length: null,
+            citations: null,
+            status_detail: null,
+            attempt_count: 0,
+            created_at: now,
+            ...(existing || {}),
+            record_id: id,
+            reply_to_tweet_id: coalesce(replyToTweetId, 'reply_to_tweet_id'),
+            status: 'posting',
+            poi_transaction: coalesce(poiTransaction, 'poi_transaction'),
+            account: coalesce(account, 'account'),
+            posting_intent: JSON.stringify(intent),
+            next_attempt_at: null,
+            updated_at: now
+        });
+    }
+
+    async saveRetryState({ recordId, replyToTweetId = null, status, poiTransaction = null, attemptCount, lastError = null, lastErrorCode = null, nextAttemptAt = null }) {
+        this.refresh();
+        const id = String(recordId);
+        const existing = this.records.get(id);
+        const now = new Date().toISOString();
+
+        this.append('record', {
+            record_id: id,
+            processed_at: now,
+            posted_tweet_id: null,
+            reply_to_tweet_id: replyToTweetId,
+            poi_transaction: poiTransaction,
+            content_length: null,
+            citations: null,
+            created_at: now,
+            ...(existing || {}),
+            status,
+            attempt_count: attemptCount,
+            last_error: lastError,
+            last_error_code: lastErrorCode,
+            next_attempt_at: nextAttemptAt ? new Date(nextAttemptAt).toISOString() : null,
+            posting_intent: null,
+            updated_at: now
+        });
+    }
+
+    async findRecordsByStatusPrefix(prefix, limit = 500) {
+        this.refresh();
+        return Array.from(this.records.values())
+            .filter(row => typeof row.status === 'string' && row.status.startsWith(prefix))
+            .sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at))
+            .slice(0, limit);
+    }
+
+    // Keyset pages in record_id byte order, like the Postgres backend's COLLATE "C"
+    async pageRecordsByStatusPrefix(prefix, { afterRecordId = null, limit = 500 } = {}) {
+        this.refresh();
+        return Array.from(this.records.values())
+            .filter(row => typeof row.status === 'string' && row.status.startsWith(prefix) && (afterRecordId === null || row.record_id > afterRecordId))
+            .sort((a, b) => (a.record_id < b.record_id ? -1 : a.record_id > b.record_id ? 1 : 0))
+            .slice(0, limit);
+    }
+
+    async getDueRetries(limit) {
+        this.refresh();
+        const now = Date.now();
+        return Array.from(this.records.values())
+            .filter(row => (row.status === 'retry_pending' || row.status === 'scheduled') && row.next_attempt_at && Date.parse(row.next_attempt_at) <= now)
+            .sort((a, b) => Date.parse(a.next_attempt_at) - Date.parse(b.next_attempt_at))
+            .slice(0, limit)
+            .map(row => ({ record_id: row.record_id, attempt_count: row.attempt_count }));
+    }
+
+    async getThreadParts(recordId) {
+        this.refresh();
+        const parts = this.threadParts.get(String(recordId));
+        if (!parts) return [];
+        return Array.from(parts.values())
+            .sort((a, b) => a.part_index - b.part_index)
+            .map(row => ({ part_index: row.part_index, tweet_id: row.tweet_id }));
+    }
+
+    async saveThreadPart({ recordId, partIndex, tweetId, replyToTweetId = null, contentLength = null }) {
+        this.append('thread_part', {
+            record_id: String(recordId),
+            part_index: partIndex,
+            tweet_id: tweetId,
+            reply_to_tweet_id: replyToTweetId,
+            content_length: contentLength,
+            posted_at: new Date().toISOString()
+        });
+    }
+
+    async getMetricsCandidates({ updatedSince, limit = 1000 }) {
+        this.refresh();
+        const since = Date.parse(updatedSince);
+        return Array.from(this.records.values())
+            .filter(row => row.status === 'success' && row.posted_tweet_id && Date.parse(row.updated_at) >= since)
+            .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at))
+            .slice(0, limit)
+            .map(row => {
+                const snapshots = this.metrics.get(row.posted_tweet_id) || [];
+                return {
+                    record_id: row.record_id,
+                    posted_tweet_id: row.posted_tweet_id,
+                    account: row.account || null,
+                    last_collected_at: snapshots.length > 0 ? snapshots[snapshots.length - 1].collected_at : null
+                };
+            });
+    }
+
+    async saveMetricsSnapshot({ recordId, tweetId, account = null, metrics }) {
+        this.append('metrics', {
+            record_id: String(recordId),
+            tweet_id: tweetId,
+            account,
+            like_count: metrics.like_count,
+            reply_count: metrics.reply_count,
+            retweet_count: metrics.retweet_count,
+            quote_count: metrics.quote_count,
+            impression_count: metrics.impression_count,
+            collected_at: new Date().toISOString()
+        });
+    }
+
+    async getPostedRecords({ updatedSince, limit = 500 }) {
+        this.refresh();
+        const since = Date.parse(updatedSince);
+        return Array.from(this.records.values())
+            .filter(row => row.status === 'success' && row.posted_tweet_id && Date.parse(row.updated_at) >= since)
+            .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at))
+            .slice(0, limit);
+    }
+
+    // Bookkeeping only - updated_at keeps the posting time that reports and metrics rely on
+    async saveSourceSync({ recordId, sourceHash, statusDetail }) {
+        this.refresh();
+        const existing = this.records.get(String(recordId));
+        if (!existing) return;
+
+        this.append('record', {
+            ...existing,
+            source_hash: sourceHash,
+            status_detail: statusDetail !== null && typeof statusDetail === 'object' ? JSON.stringify(statusDetail) : statusDetail
+        });
+    }
+
+    async deleteThreadParts(recordId) {
+        this.append('delete_thread_parts', { record_id: String(recordId) });
+    }
+
+    async getCursor(name) {
+        this.refresh();
+        return this.cursors.get(name) || null;
+    }
+
+    async saveCursor(name, cursor) {
+        this.append('cursor', { name, last_created_at: cursor.createdAt, last_id: cursor.id, updated_at: new Date().toISOString() });
+    }
+
+    async listRecords({ limit = 100 } = {}) {
+        this.refresh();
+        return Array.from(this.records.values())
+            .sort((a, b) => Date.parse(b.processed_at) - Date.parse(a.processed_at))
+            .slice(0, limit);
+    }
+
+    async listRecordsBetween(from, to) {
+        this.refresh();
+        const start = new Date(from).getTime();
+        const end = new Date(to).getTime();
+        return Array.from(this.records.values())
+            .filter(row => {
+                const updated = Date.parse(row.updated_at);
+                return updated >= start && updated < end;
+            })
+            .sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at));
+    }
+
+    async countRecords() {
+        this.refresh();
+        return this.records.size;
+    }
+
+    async deleteProcessedRecord(recordId) {
+        this.append('delete_record', { record_id: String(recordId) });
+    }
+
+    async describe() {
+        this.refresh();
+        const exists = fs.existsSync(this.filePath);
+        return {
+            backend: this.backend,
+            filePath: this.filePath,
+            sizeBytes: exists ? fs.statSync(this.filePath).size : 0,
+            lines: this.lineCount,
+            records: this.records.size,
+            threadParts: Array.from(this.threadParts.values()).reduce((sum, parts) => sum + parts.size, 0),
+            cursors: Array.from(this.cursors.keys()),
+            metricsSnapshots: Array.from(this.metrics.values()).reduce((sum, snapshots) => sum + snapshots.length, 0)
+        };
+    }
+
+    async close() {
+        // Appends are synchronous - nothing buffered to flush
+    }
+}
+
+module.exports = FileStorage;
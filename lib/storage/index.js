@@ -0,0 +1,33 @@
+const path = require('path');
+const PostgresStorage = require('./postgres_storage');
+const FileStorage = require('./file_storage');
+const { loadConfig, databaseOptions } = require('../config');
+
+/**
+ * Tracking storage for processed_records, thread parts and the ingestion cursor.
+ *
+ * `storage.backend` in the bot config (STORAGE_BACKEND) selects the implementation:
+ *   postgres - RAILWAY_POSTGRES_URL, falling back to POSTGRES_URL (default)
+ *   file     - append-only NDJSON file at `storage.file` (STORAGE_FILE, default data/tracking.ndjson);
+ *              `compact` lets this process rewrite it - only the bot passes it
+ */
+function createStorage({ config = loadConfig(), dbConfig = null, compact = false, log = () => {} } = {}) {
+    switch (config.storage.backend) {
+        case 'postgres':
+            return new PostgresStorage({
+                // Connection settings (SSL, timeouts) come from config/bot.json, see lib/config.js
+                dbConfig: dbConfig || databaseOptions(config).tracking,
+                log
+            });
+        case 'file':
+            return new FileStorage({
+                filePath: config.storage.file || path.join(__dirname, '..', '..', 'data', 'tracking.ndjson'),
+                compact,
+                log
+            });
+        default:
+            throw new Error(`Unknown storage backend "${config.storage.backend}" - expected "postgres" or "file"`);
+    }
+}
+
+module.exports = { createStorage, PostgresStorage, FileStorage };
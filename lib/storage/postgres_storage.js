@@ -0,0 +1,313 @@
+const PgConnection = require('../pg_connection');
+const { Migrator } = require('../migrations');
+const { withUpstreamTrail } = require('../upstream_changes');
+
+/**
+ * Tracking storage in PostgreSQL (the Railway database by default).
+ */
+class PostgresStorage {
+    constructor({ dbConfig, log = () => {}, name = 'Railway' }) {
+        this.backend = 'postgres';
+        this.db = new PgConnection(dbConfig, name, log);
+        this.log = log;
+    }
+
+    async init() {
+        await this.db.connect();
+        // Tables come from migrations/ (npm run migrate -- up); refuse to run on an outdated schema
+        const { version } = await new Migrator({ db: this.db, log: this.log }).check();
+        this.schemaVersion = version;
+    }
+
+    async loadProcessedIds() {
+        const result = await this.db.query('SELECT record_id FROM processed_records');
+        return result.rows.map(row => row.record_id);
+    }
+
+    async saveProcessedRecord({ recordId, postedTweetId = null, replyToTweetId = null, status = 'success', contentLength = null, poiTransaction = null, citations = null, sourceHash = null, statusDetail = null, account = null }) {
+        const previous = await this.db.query('SELECT status_detail FROM processed_records WHERE record_id = $1', [String(recordId)]);
+        const detail = withUpstreamTrail(previous.rows.length > 0 ? previous.rows[0].status_detail : null, statusDetail);
+
+        const query = `
+            INSERT INTO processed_records (
+                record_id, 
+                posted_tweet_id, 
+                reply_to_tweet_id, 
+                status,
+                content_length,
+                poi_transaction,
+                citations,
+                source_hash,
+                status_detail,
+                account,
+                processed_at,
+                updated_at
+            ) 
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW()) 
+            ON CONFLICT (record_id) DO UPDATE SET
+                posted_tweet_id = EXCLUDED.posted_tweet_id,
+                reply_to_tweet_id = COALESCE(EXCLUDED.reply_to_tweet_id, processed_records.reply_to_tweet_id),
+                status = EXCLUDED.status,
+                content_length = COALESCE(EXCLUDED.content_length, processed_records.content_length),
+                poi_transaction = COALESCE(EXCLUDED.poi_transaction, processed_records.poi_transaction),
+                citations = COALESCE(EXCLUDED.citations, processed_records.citations),
+                source_hash = COALESCE(EXCLUDED.source_hash, processed_records.source_hash),
+                status_detail = EXCLUDED.status_detail,
+                account = COALESCE(EXCLUDED.account, processed_records.account),
+                posting_intent = NULL,
+                next_attempt_at = NULL,
+                updated_at = NOW()
+        `;
+
+        await this.db.query(query, [
+            String(recordId), postedTweetId, replyToTweetId, status, contentLength, poiTransaction,
+            citations && citations.length > 0 ? JSON.stringify(citations) : null,
+            sourceHash,
+            detail !== null && typeof detail === 'object' ? JSON.stringify(detail) : detail,
+            account
+        ]);
+    }
+
+    // Status `posting` with the tweet about to be sent; status_detail is left as it is
+    async savePostingIntent({ recordId, replyToTweetId = null, poiTransaction = null, account = null, intent }) {
+        const query = `
+            INSERT INTO processed_records (
+                record_id,
+                reply_to_tweet_id,
+                status,
+                poi_transaction,
+                account,
+                posting_intent,
+                processed_at,
+                updated_at
+            )
+            VALUES ($1, $2, 'posting', $3, $4, $5, NOW(), NOW())
+            ON CONFLICT (record_id) DO UPDATE SET
+                reply_to_tweet_id = COALESCE(EXCLUDED.reply_to_tweet_id, processed_records.reply_to_tweet_id),
+                status = EXCLUDED.status,
+                poi_transaction = COALESCE(EXCLUDED.poi_transaction, processed_records.poi_transaction),
+                account = COALESCE(EXCLUDED.account, processed_records.account),
+                posting_intent = EXCLUDED.posting_intent,
+                next_attempt_at = NULL,
+                updated_at = NOW()
+        `;
+
+        await this.db.query(query, [String(recordId), replyToTweetId, poiTransaction, account, JSON.stringify(intent)]);
+    }
+
+    async getProcessedRecord(recordId) {
+        const result = await this.db.query('SELECT * FROM processed_records WHERE record_id = $1', [String(recordId)]);
+        return result.rows[0] || null;
+    }
+
+    async saveRetryState({ recordId, replyToTweetId = null, status, poiTransaction = null, attemptCount, lastError = null, lastErrorCode = null, nextAttemptAt = null }) {
+        const query = `
+            INSERT INTO processed_records (
+                record_id,
+                reply_to_tweet_id,
+                status,
+                poi_transaction,
+                attempt_count,
+                last_error,
+                last_error_code,
+                next_attempt_at,
+                processed_at,
+                updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+            ON CONFLICT (record_id) DO UPDATE SET
+                status = EXCLUDED.status,
+                attempt_count = EXCLUDED.attempt_count,
+                last_error = EXCLUDED.last_error,
+                last_error_code = EXCLUDED.last_error_code,
+                next_attempt_at = EXCLUDED.next_attempt_at,
+                posting_intent = NULL,
+                updated_at = NOW()
+        `;
+
+        await this.db.query(query, [
+            String(recordId), replyToTweetId, status, poiTransaction, attemptCount, lastError, lastErrorCode, nextAttemptAt
+        ]);
+    }
+
+    async findRecordsByStatusPrefix(prefix, limit = 500) {
+        const result = await this.db.query(`
+            SELECT * FROM processed_records 
+            WHERE status LIKE $1 
+            ORDER BY updated_at ASC 
+            LIMIT $2
+        `, [`${prefix}%`, limit]);
+        return result.rows;
+    }
+
+    // Keyset pages in record_id order, for walking every row with a status prefix
+    async pageRecordsByStatusPrefix(prefix, { afterRecordId = null, limit = 500 } = {}) {
+        const result = await this.db.query(`
+            SELECT * FROM processed_records 
+            WHERE status LIKE $1 AND ($2::text IS NULL OR record_id COLLATE "C" > $2)
+            ORDER BY record_id COLLATE "C" ASC 
+            LIMIT $3
+        `, [`${prefix}%`, afterRecordId, limit]);
+        return result.rows;
+    }
+
+    async getDueRetries(limit) {
+        const query = `
+            SELECT record_id, attempt_count 
+            FROM processed_records 
+            WHERE status IN ('retry_pending', 'scheduled') AND next_attempt_at <= NOW()
+            ORDER BY next_attempt_at ASC
+            LIMIT $1
+        `;
+        const result = await this.db.query(query, [limit]);
+        return result.rows;
+    }
+
+    async getThreadParts(recordId) {
+        const query = `
+            SELECT part_index, tweet_id 
+            FROM thread_parts 
+            WHERE record_id = $1 
+            ORDER BY part_index ASC
+        `;
+        const result = await this.db.query(query, [String(recordId)]);
+        return result.rows;
+    }
+
+    async saveThreadPart({ recordId, partIndex, tweetId, replyToTweetId = null, contentLength = null }) {
+        const query = `
+            INSERT INTO thread_parts (record_id, part_index, tweet_id, reply_to_tweet_id, content_length, posted_at) 
+            VALUES ($1, $2, $3, $4, $5, NOW()) 
+            ON CONFLICT (record_id, part_index) DO UPDATE SET
+                tweet_id = EXCLUDED.tweet_id,
+                reply_to_tweet_id = EXCLUDED.reply_to_tweet_id,
+                content_length = EXCLUDED.content_length,
+                posted_at = NOW()
+        `;
+        await this.db.query(query, [String(recordId), partIndex, tweetId, replyToTweetId, contentLength]);
+    }
+
+    async getMetricsCandidates({ updatedSince, limit = 1000 }) {
+        const result = await this.db.query(`
+            SELECT p.record_id, p.posted_tweet_id, p.account, m.last_collected_at
+            FROM processed_records p
+            LEFT JOIN (
+                SELECT tweet_id, MAX(collected_at) AS last_collected_at 
+                FROM tweet_metrics 
+                GROUP BY tweet_id
+            ) m ON m.tweet_id = p.posted_tweet_id
+            WHERE p.status = 'success' AND p.posted_tweet_id IS NOT NULL AND p.updated_at >= $1
+            ORDER BY p.updated_at DESC
+            LIMIT $2
+        `, [updatedSince, limit]);
+        return result.rows;
+    }
+
+    async saveMetricsSnapshot({ recordId, tweetId, account = null, metrics }) {
+        await this.db.query(`
+            INSERT INTO tweet_metrics (
+                record_id, tweet_id, account, like_count, reply_count, retweet_count, quote_count, impression_count, collected_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+        `, [
+            String(recordId), tweetId, account,
+            metrics.like_count, metrics.reply_count, metrics.retweet_count, metrics.quote_count, metrics.impression_count
+        ]);
+    }
+
+    async getPostedRecords({ updatedSince, limit = 500 }) {
+        const result = await this.db.query(`
+            SELECT * FROM processed_records 
+            WHERE status = 'success' AND posted_tweet_id IS NOT NULL AND updated_at >= $1
+            ORDER BY updated_at DESC
+            LIMIT $2
+        `, [updatedSince, limit]);
+        return result.rows;
+    }
+
+    // Bookkeeping only - updated_at keeps the posting time that reports and metrics rely on
+    async saveSourceSync({ recordId, sourceHash, statusDetail }) {
+        await this.db.query(
+            'UPDATE processed_records SET source_hash = $2, status_detail = $3 WHERE record_id = $1',
+            [String(recordId), sourceHash, statusDetail !== null && typeof statusDetail === 'object' ? JSON.stringify(statusDetail) : statusDetail]
+        );
+    }
+
+    async deleteThreadParts(recordId) {
+        await this.db.query('DELETE FROM thread_parts WHERE record_id = $1', [String(recordId)]);
+    }
+
+    async getCursor(name) {
+        const result = await this.db.query(
+            'SELECT last_created_at, last_id FROM ingestion_cursors WHERE name = $1',
+            [name]
+        );
+        if (result.rows.length === 0) return null;
+        return { createdAt: result.rows[0].last_created_at, id: result.rows[0].last_id };
+    }
+
+    async saveCursor(name, cursor) {
+        const query = `
+            INSERT INTO ingestion_cursors (name, last_created_at, last_id, updated_at)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT (name) DO UPDATE SET
+                last_created_at = EXCLUDED.last_created_at,
+                last_id = EXCLUDED.last_id,
+                updated_at = NOW()
+        `;
+        await this.db.query(query, [name, cursor.createdAt, cursor.id]);
+    }
+
+    async listRecords({ limit = 100 } = {}) {
+        const result = await this.db.query(`
+            SELECT * FROM processed_records 
+            ORDER BY processed_at DESC 
+            LIMIT $1
+        `, [limit]);
+        return result.rows;
+    }
+
+    async listRecordsBetween(from, to) {
+        const result = await this.db.query(`
+            SELECT * FROM processed_records 
+            WHERE updated_at >= $1 AND updated_at < $2 
+            ORDER BY updated_at ASC
+        `, [from, to]);
+        return result.rows;
+    }
+
+    async countRecords() {
+        const result = await this.db.query('SELECT COUNT(*) AS count FROM processed_records');
+        return parseInt(result.rows[0].count);
+    }
+
+    async deleteProcessedRecord(recordId) {
+        await this.db.query('DELETE FROM thread_parts WHERE record_id = $1', [String(recordId)]);
+        await this.db.query('DELETE FROM processed_records WHERE record_id = $1', [String(recordId)]);
+    }
+
+    async describe() {
+        const tables = [];
+        for (const table of ['processed_records', 'thread_parts', 'ingestion_cursors', 'tweet_metrics']) {
+            const columns = await this.db.query(`
+                SELECT column_name, data_type, is_nullable, column_default
+                FROM information_schema.columns 
+                WHERE table_name = $1
+                ORDER BY ordinal_position;
+            `, [table]);
+            const indexes = await this.db.query(`
+                SELECT indexname, indexdef 
+                FROM pg_indexes 
+                WHERE tablename = $1;
+            `, [table]);
+            tables.push({ name: table, columns: columns.rows, indexes: indexes.rows });
+        }
+        return { backend: this.backend, tables };
+    }
+
+    async close() {
+        await this.db.end();
+    }
+}
+
+module.exports = PostgresStorage;
@@ -0,0 +1,122 @@
+// Smallest per-tweet limit that leaves room for text next to a " (i/n)" suffix
+const MIN_TWEET_LENGTH = 20;
+
+// Twitter's weighted length: code points in these ranges count 1, everything else
+// (CJK, emoji, ...) counts 2, and a link counts as its t.co form
+const SINGLE_WEIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+const URL_LENGTH = 23;
+const URL_PATTERN = /https?:\/\/\S+/g;
+
+/**
+ * Length of text as Twitter counts it, rounded up where unsure: links count at least
+ * 23, and emoji sequences count 2 per code point instead of 2 in total.
+ */
+function tweetLength(text) {
+    let length = 0;
+    const rest = text.replace(URL_PATTERN, url => {
+        length += Math.max(url.length, URL_LENGTH);
+        return '';
+    });
+    for (const char of rest) {
+        const code = char.codePointAt(0);
+        length += SINGLE_WEIGHT_RANGES.some(([from, to]) => code >= from && code <= to) ? 1 : 2;
+    }
+    return length;
+}
+
+// Split levels, tried in order: paragraphs, lines, sentences, words
+const SPLIT_LEVELS = [
+    { split: text => text.split(/\n\s*\n/), joiner: '\n\n' },
+    { split: text => text.split('\n'), joiner: '\n' },
+    { split: text => text.split(/(?<=[.!?])\s+/), joiner: ' ' },
+    { split: text => text.split(/\s+/), joiner: ' ' }
+];
+
+function chunkText(text, limit, level = 0) {
+    const trimmed = text.trim();
+    if (trimmed.length === 0) return [];
+    if (tweetLength(trimmed) <= limit) return [trimmed];
+
+    // Nothing left to split on - hard cut, never inside a surrogate pair
+    if (level >= SPLIT_LEVELS.length) {
+        const chunks = [];
+        let current = '';
+        for (const char of trimmed) {
+            if (current && tweetLength(current + char) > limit) {
+                chunks.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    const { split, joiner } = SPLIT_LEVELS[level];
+    const pieces = split(trimmed).map(piece => piece.trim()).filter(piece => piece.length > 0);
+
+    if (pieces.length <= 1) {
+        return chunkText(trimmed, limit, level + 1);
+    }
+
+    const chunks = [];
+    let current = '';
+
+    for (const piece of pieces) {
+        if (tweetLength(piece) > limit) {
+            if (current) {
+                chunks.push(current);
+                current = '';
+            }
+            // Keep the tail open so following pieces can still share its tweet
+            const subChunks = chunkText(piece, limit, level + 1);
+            chunks.push(...subChunks.slice(0, -1));
+            current = subChunks[subChunks.length - 1];
+            continue;
+        }
+
+        const candidate = current ? current + joiner + piece : piece;
+        if (tweetLength(candidate) <= limit) {
+            current = candidate;
+        } else {
+            chunks.push(current);
+            current = piece;
+        }
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Split text into tweet-sized parts on paragraph/sentence boundaries.
+ * Parts are numbered " (i/n)" when more than one tweet is needed.
+ * Lengths are Twitter's weighted lengths (see tweetLength).
+ */
+function splitIntoThread(text, maxLength) {
+    if (!Number.isInteger(maxLength) || maxLength < MIN_TWEET_LENGTH) {
+        throw new RangeError(`maxLength must be an integer of at least ${MIN_TWEET_LENGTH}, got ${maxLength}`);
+    }
+
+    const body = (text || '').trim();
+    if (tweetLength(body) <= maxLength) {
+        return body ? [body] : [];
+    }
+
+    // Reserve room for the numbering suffix, growing it if the part count gains a digit
+    let total = 2;
+    let parts;
+    for (;;) {
+        const suffixLength = ` (${total}/${total})`.length;
+        if (maxLength - suffixLength < 1) {
+            throw new RangeError(`maxLength ${maxLength} leaves no room for text next to the " (${total}/${total})" numbering`);
+        }
+        parts = chunkText(body, maxLength - suffixLength);
+        if (String(parts.length).length <= String(total).length) break;
+        total = parts.length;
+    }
+
+    return parts.map((part, index) => `${part} (${index + 1}/${parts.length})`);
+}
+
+module.exports = { splitIntoThread, chunkText, tweetLength, MIN_TWEET_LENGTH };
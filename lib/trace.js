@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+// Daily logs, current and rotated (see lib/log_writer.js); errors.log only repeats their ERROR lines
+const BOT_LOG_FILE = /^bot-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log(\.gz)?$/;
+const RECORD_KEYS = ['recordId', 'record_id'];
+// tweetId, replyToTweetId, postedTweetId, inReplyToTweetId, tweet_id, deletedTweetIds, ...
+const TWEET_KEY = /tweet_?ids?$/i;
+
+// Lifecycle stage of a log message, first match wins
+const STAGES = [
+    ['rate_limit', /rate limit/i],
+    ['retry', /retry|retries|dead letter|backoff|interrupted post/i],
+    ['schedule', /posting schedule|scheduled record/i],
+    ['skip', /skipping|rejected|blocked|not posting/i],
+    ['db', /database|tracking storage|thread part|processed record|not saved|ingestion cursor/i],
+    ['validation', /validat|proof of inference|eligibility|policy|routed|announced|finalized/i],
+    ['post', /post|reply|repl(ied|ies)|thread|correction|retracted|deleted/i]
+];
+
+function stageOf(message) {
+    const stage = STAGES.find(([, pattern]) => pattern.test(message));
+    return stage ? stage[0] : 'other';
+}
+
+/**
+ * Log files in `dir`, oldest day first, optionally limited to days in [from, to] (YYYY-MM-DD).
+ * A rotated file that is still being compressed exists as both .log and .log.gz; only the
+ * .log is read so its entries are not counted twice.
+ */
+function listLogFiles(dir, { from = null, to = null } = {}) {
+    const names = fs.readdirSync(dir);
+    const present = new Set(names);
+    return names
+        .filter(name => !(name.endsWith('.gz') && present.has(name.slice(0, -3))))
+        .map(name => ({ name, match: BOT_LOG_FILE.exec(name) }))
+        .filter(({ match }) => match && (!from || match[1] >= from) && (!to || match[1] <= to))
+        .sort((a, b) => a.match[1].localeCompare(b.match[1]) ||
+            // Rotated parts before the active file of the same day
+            (parseInt(a.match[2]) || Infinity) - (parseInt(b.match[2]) || Infinity))
+        .map(({ name }) => path.join(dir, name));
+}
+
+/**
+ * Parsed entries of one log file. A file that cannot be read to the end - e.g. a .gz the bot
+ * is still writing - yields what it could and reports the error to `warn` instead of throwing.
+ */
+async function* readLogFile(file, { warn = () => {} } = {}) {
+    const source = fs.createReadStream(file);
+    let input = source;
+    if (file.endsWith('.gz')) {
+        input = zlib.createGunzip();
+        source.on('error', error => input.destroy(error));
+        source.pipe(input);
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                // A line cut short by a crash - skip it
+            }
+        }
+    } catch (error) {
+        warn(`Could not read all of ${path.basename(file)}: ${error.message}`);
+    } finally {
+        lines.close();
+        source.destroy();
+    }
+}
+
+function idValues(data, matchesKey) {
+    const values = [];
+    if (!data || typeof data !== 'object') return values;
+
+    for (const [key, value] of Object.entries(data)) {
+        if (!matchesKey(key) || value === null || value === undefined) continue;
+        for (const item of Array.isArray(value) ? value : [value]) {
+            if (typeof item === 'string' || typeof item === 'number') values.push(String(item));
+        }
+    }
+    return values;
+}
+
+const recordIdsOf = (entry) => idValues(entry.data, key => RECORD_KEYS.includes(key));
+const tweetIdsOf = (entry) => idValues(entry.data, key => TWEET_KEY.test(key));
+
+/**
+ * Collect the log entries of one record (or of the records that touched one tweet).
+ *
+ * Entries naming the record are included; entries that name no record at all - rate-limit
+ * waits and tweet validation of a tweet the record replies to - are added as context when
+ * they fall inside the record's activity in the same session.
+ * Returns { recordIds, tweetId, session, files, sessions, entries } with entries in time order.
+ * Files that cannot be read completely are reported to `warn` and skipped past.
+ */
+async function buildTrace(files, { recordId = null, tweetId = null, session = null, warn = () => {} }) {
+    const inSession = (entry) => session === null || String(entry.sessionId) === String(session);
+    const recordIds = new Set(recordId !== null ? [String(recordId)] : []);
+
+    // A tweet trace first finds the records that mention the tweet
+    if (tweetId !== null) {
+        for (const file of files) {
+            // Unreadable files are reported once, by the main pass below
+            for await (const entry of readLogFile(file, { warn: () => {} })) {
+                if (inSession(entry) && tweetIdsOf(entry).includes(String(tweetId))) {
+                    recordIdsOf(entry).forEach(id => recordIds.add(id));
+                }
+            }
+        }
+    }
+
+    const entries = [];
+    const context = [];
+    const matchedFiles = new Set();
+
+    for (const file of files) {
+        for await (const entry of readLogFile(file, { warn })) {
+            if (!inSession(entry)) continue;
+
+            const ids = recordIdsOf(entry);
+            const matches = ids.some(id => recordIds.has(id)) ||
+                (tweetId !== null && tweetIdsOf(entry).includes(String(tweetId)));
+
+            if (matches) {
+                entries.push({ ...entry, file: path.basename(file), stage: stageOf(entry.message), context: false });
+                matchedFiles.add(path.basename(file));
+            } else if (ids.length === 0 && (stageOf(entry.message) === 'rate_limit' || tweetIdsOf(entry).length > 0)) {
+                context.push({ ...entry, file: path.basename(file), stage: stageOf(entry.message), context: true });
+            }
+        }
+    }
+
+    // Activity span of the record in each session
+    const spans = new Map();
+    for (const entry of entries) {
+        const time = Date.parse(entry.timestamp);
+        const span = spans.get(entry.sessionId) || { first: time, last: time };
+        spans.set(entry.sessionId, { first: Math.min(span.first, time), last: Math.max(span.last, time) });
+    }
+    const relatedTweets = new Set(entries.flatMap(tweetIdsOf));
+    for (const entry of context) {
+        const span = spans.get(entry.sessionId);
+        const time = Date.parse(entry.timestamp);
+        const related = entry.stage === 'rate_limit' || tweetIdsOf(entry).some(id => relatedTweets.has(id));
+        if (span && related && time >= span.first && time <= span.last) entries.push(entry);
+    }
+
+    entries.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    return {
+        recordIds: Array.from(recordIds),
+        tweetId: tweetId === null ? null : String(tweetId),
+        session: session === null ? null : String(session),
+        files: Array.from(matchedFiles),
+        sessions: Array.from(new Set(entries.map(entry => entry.sessionId))),
+        entries
+    };
+}
+
+function formatData(data, width = 140) {
+    if (!data || typeof data !== 'object') return '';
+    const text = Object.entries(data)
+        .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return text.length > width ? `${text.slice(0, width - 3)}...` : text;
+}
+
+function formatTrace(trace, format = 'table') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(trace, null, 2);
+        case 'table': {
+            const subject = trace.tweetId !== null ? `tweet ${trace.tweetId}` : `record ${trace.recordIds.join(', ')}`;
+            if (trace.entries.length === 0) {
+                return `No log entries found for ${subject}`;
+            }
+
+            const output = [
+                `🔎 ${subject}${trace.tweetId !== null && trace.recordIds.length > 0 ? ` (records ${trace.recordIds.join(', ')})` : ''} - ` +
+                `${trace.entries.length} entries in ${trace.sessions.length} session(s)`
+            ];
+            let previousSession = null;
+            for (const entry of trace.entries) {
+                if (entry.sessionId !== previousSession) {
+                    // sessionId is the session's start time in ms
+                    output.push('', `Session ${entry.sessionId} (started ${new Date(Number(entry.sessionId)).toISOString()})`);
+                    previousSession = entry.sessionId;
+                }
+                output.push([
+                    `  ${entry.timestamp}`,
+                    entry.level.padEnd(7),
+                    entry.stage.padEnd(10),
+                    `${entry.context ? '~ ' : ''}${entry.message}`,
+                    formatData(entry.data)
+                ].join('  ').trimEnd());
+            }
+            return output.join('\n');
+        }
+        default:
+            throw new Error(`Unknown trace format "${format}" - expected table or json`);
+    }
+}
+
+module.exports = { listLogFiles, readLogFile, buildTrace, formatTrace, stageOf };
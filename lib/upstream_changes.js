@@ -0,0 +1,66 @@
+const { hashSourceRecord, hashAnswer } = require('./source_hash');
+
+// What the bot does when a posted answer is edited / retracted upstream
+const EDIT_POLICIES = ['repost', 'correction', 'alert'];
+const RETRACTION_POLICIES = ['delete', 'correction', 'alert'];
+
+/**
+ * Whether a retraction column value means "retracted": booleans, 't'/'true'/'yes'/'1' strings,
+ * non-zero numbers and any other non-null value such as a retracted_at timestamp.
+ */
+function isRetractedValue(value) {
+    if (value === null || value === undefined || value === false) return false;
+    if (typeof value === 'string') return ['t', 'true', 'yes', '1', 'retracted'].includes(value.trim().toLowerCase());
+    if (typeof value === 'number') return value !== 0;
+    return true;
+}
+
+// status_detail is a TEXT column holding JSON in both backends (no jsonb operators); objects pass through
+function parseStatusDetail(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * status_detail for a rewrite of a row: `next`, plus the upstreamChanges trail of `previous`
+ * unless `next` already carries it - the trail outlives every later status.
+ */
+function withUpstreamTrail(previous, next) {
+    const { upstreamChanges } = parseStatusDetail(previous);
+    if (!upstreamChanges) return next;
+
+    const detail = parseStatusDetail(next);
+    return detail.upstreamChanges ? detail : { ...detail, upstreamChanges };
+}
+
+/**
+ * Compare a posted processed_records row with the current twitter_answers row.
+ *
+ * Returns null when the row is unchanged (or was posted before source hashes were
+ * stored), otherwise 'retracted', 'edited' or 'metadata' - the hash changed but the
+ * answer text is the one that was posted.
+ */
+function detectUpstreamChange(posted, record, { retractedColumn = null } = {}) {
+    if (!posted.source_hash || hashSourceRecord(record) === posted.source_hash) return null;
+
+    if (retractedColumn && isRetractedValue(record[retractedColumn])) return 'retracted';
+
+    const { answerHash } = parseStatusDetail(posted.status_detail);
+    if (answerHash && answerHash === hashAnswer(record.answer)) return 'metadata';
+
+    return 'edited';
+}
+
+module.exports = {
+    EDIT_POLICIES,
+    RETRACTION_POLICIES,
+    isRetractedValue,
+    parseStatusDetail,
+    withUpstreamTrail,
+    detectUpstreamChange
+};
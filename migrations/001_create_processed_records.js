@@ -0,0 +1,38 @@
+// processed_records as first created by the bot. Older deployments stored the posted tweet
+// in `tweet_id` and lacked the later columns - those are renamed / added here.
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS processed_records (
+            record_id VARCHAR(255) PRIMARY KEY,
+            processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            posted_tweet_id VARCHAR(255),
+            reply_to_tweet_id VARCHAR(255),
+            status VARCHAR(50) DEFAULT 'success',
+            content_length INTEGER,
+            poi_transaction TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        DO $$
+        BEGIN
+            IF EXISTS(SELECT * FROM information_schema.columns WHERE table_name='processed_records' AND column_name='tweet_id') THEN
+                ALTER TABLE processed_records RENAME COLUMN tweet_id TO posted_tweet_id;
+            END IF;
+        END $$;
+
+        ALTER TABLE processed_records
+            ADD COLUMN IF NOT EXISTS status VARCHAR(50) DEFAULT 'migrated',
+            ADD COLUMN IF NOT EXISTS content_length INTEGER,
+            ADD COLUMN IF NOT EXISTS poi_transaction TEXT,
+            ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+        UPDATE processed_records SET status = 'migrated', updated_at = NOW() WHERE status IS NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_processed_records_processed_at ON processed_records(processed_at);
+        CREATE INDEX IF NOT EXISTS idx_processed_records_status ON processed_records(status);
+    `,
+    down: `
+        DROP TABLE IF EXISTS processed_records;
+    `
+};
@@ -0,0 +1,9 @@
+// Citations extracted from the answer (JSON list)
+module.exports = {
+    up: `
+        ALTER TABLE processed_records ADD COLUMN IF NOT EXISTS citations TEXT;
+    `,
+    down: `
+        ALTER TABLE processed_records DROP COLUMN IF EXISTS citations;
+    `
+};
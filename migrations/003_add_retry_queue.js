@@ -0,0 +1,21 @@
+// Retry queue state for failed posts
+module.exports = {
+    up: `
+        ALTER TABLE processed_records
+            ADD COLUMN IF NOT EXISTS attempt_count INTEGER DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS last_error TEXT,
+            ADD COLUMN IF NOT EXISTS last_error_code VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP;
+
+        CREATE INDEX IF NOT EXISTS idx_processed_records_next_attempt ON processed_records(status, next_attempt_at);
+    `,
+    down: `
+        DROP INDEX IF EXISTS idx_processed_records_next_attempt;
+
+        ALTER TABLE processed_records
+            DROP COLUMN IF EXISTS attempt_count,
+            DROP COLUMN IF EXISTS last_error,
+            DROP COLUMN IF EXISTS last_error_code,
+            DROP COLUMN IF EXISTS next_attempt_at;
+    `
+};
@@ -0,0 +1,13 @@
+// Source row fingerprint and structured status detail (e.g. rejection reasons)
+module.exports = {
+    up: `
+        ALTER TABLE processed_records
+            ADD COLUMN IF NOT EXISTS source_hash VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS status_detail TEXT;
+    `,
+    down: `
+        ALTER TABLE processed_records
+            DROP COLUMN IF EXISTS source_hash,
+            DROP COLUMN IF EXISTS status_detail;
+    `
+};
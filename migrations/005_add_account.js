@@ -0,0 +1,9 @@
+// Account that posted (or would have posted) the record
+module.exports = {
+    up: `
+        ALTER TABLE processed_records ADD COLUMN IF NOT EXISTS account VARCHAR(50);
+    `,
+    down: `
+        ALTER TABLE processed_records DROP COLUMN IF EXISTS account;
+    `
+};
@@ -0,0 +1,17 @@
+// Every tweet posted for a record (one row per thread part)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS thread_parts (
+            record_id VARCHAR(255) NOT NULL,
+            part_index INTEGER NOT NULL,
+            tweet_id VARCHAR(255) NOT NULL,
+            reply_to_tweet_id VARCHAR(255),
+            content_length INTEGER,
+            posted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (record_id, part_index)
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS thread_parts;
+    `
+};
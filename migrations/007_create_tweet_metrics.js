@@ -0,0 +1,22 @@
+// Engagement metrics snapshots for posted replies (time series)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS tweet_metrics (
+            id SERIAL PRIMARY KEY,
+            record_id VARCHAR(255) NOT NULL,
+            tweet_id VARCHAR(255) NOT NULL,
+            account VARCHAR(50),
+            like_count INTEGER,
+            reply_count INTEGER,
+            retweet_count INTEGER,
+            quote_count INTEGER,
+            impression_count INTEGER,
+            collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_tweet_metrics_tweet_collected ON tweet_metrics(tweet_id, collected_at);
+    `,
+    down: `
+        DROP TABLE IF EXISTS tweet_metrics;
+    `
+};
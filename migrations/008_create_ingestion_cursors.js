@@ -0,0 +1,14 @@
+// Ingestion cursors over twitter_answers and the mentions timelines - survive restarts
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS ingestion_cursors (
+            name VARCHAR(100) PRIMARY KEY,
+            last_created_at TEXT NOT NULL,
+            last_id TEXT NOT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS ingestion_cursors;
+    `
+};
@@ -0,0 +1,11 @@
+// The tweet a `posting` record is about to send, kept apart from status_detail and its upstream change trail
+module.exports = {
+    up: `
+        ALTER TABLE processed_records
+            ADD COLUMN IF NOT EXISTS posting_intent TEXT;
+    `,
+    down: `
+        ALTER TABLE processed_records
+            DROP COLUMN IF EXISTS posting_intent;
+    `
+};
@@ -0,0 +1,224 @@
+require('dotenv').config();
+const os = require('os');
+const { parseArgs } = require('util');
+const TwitterBot = require('../twitter_bot');
+const { hashSourceRecord } = require('../lib/source_hash');
+
+const USAGE = `Usage: npm run admin -- <command> <record_id> [options]
+
+Commands:
+  show <record_id> [--json]             twitter_answers row joined with its processed_records row
+  requeue <record_id> [--force]         put the record back in the retry queue (due now);
+                                        --force also requeues a posted record and forgets its thread
+  skip <record_id> --reason TEXT        mark the record skipped_manual so it is never posted
+  retract <record_id> [--reason TEXT]   delete the posted reply (every thread part) and mark it retracted
+
+Every command takes --operator NAME (default: ADMIN_OPERATOR, else the OS user).`;
+
+async function loadRecord(bot, recordId) {
+    const source = await bot.mainDb.query(
+        'SELECT *, created_at::text AS cursor_created_at FROM twitter_answers WHERE id::text = $1',
+        [String(recordId)]
+    );
+    return {
+        source: source.rows[0] || null,
+        processed: await bot.storage.getProcessedRecord(recordId)
+    };
+}
+
+async function show(bot, recordId, { json = false } = {}) {
+    const { source, processed } = await loadRecord(bot, recordId);
+    const threadParts = await bot.storage.getThreadParts(recordId);
+
+    if (!source && !processed) {
+        throw new Error(`Record ${recordId} not found in twitter_answers or processed_records`);
+    }
+
+    const details = { recordId: String(recordId), twitterAnswer: source, processedRecord: processed, threadParts };
+    if (json) {
+        console.log(JSON.stringify(details, null, 2));
+        return details;
+    }
+
+    const printRow = (title, row) => {
+        console.log(`\n📋 ${title}:`);
+        if (!row) {
+            console.log('   (none)');
+            return;
+        }
+        for (const [column, value] of Object.entries(row)) {
+            if (column === 'cursor_created_at') continue;
+            let text;
+            if (value instanceof Date) text = value.toISOString();
+            else if (value !== null && typeof value === 'object') text = JSON.stringify(value);
+            else text = String(value);
+            console.log(`   ${column}: ${text.length > 200 ? `${text.substring(0, 200)}...` : text}`);
+        }
+    };
+
+    printRow('twitter_answers', source);
+    printRow('processed_records', processed);
+    console.log('\n🧵 thread_parts:');
+    if (threadParts.length === 0) console.log('   (none)');
+    threadParts.forEach(part => console.log(`   ${part.part_index}: ${part.tweet_id}`));
+
+    if (source && processed && processed.source_hash && processed.source_hash !== hashSourceRecord(source)) {
+        console.log('\n⚠️  twitter_answers row changed since it was processed (source_hash differs)');
+    }
+
+    return details;
+}
+
+async function requeue(bot, recordId, { operator, force = false }) {
+    const { source, processed } = await loadRecord(bot, recordId);
+
+    if (!source) {
+        throw new Error(`Record ${recordId} is not in twitter_answers - nothing to requeue`);
+    }
+    if (processed && processed.status === 'success' && !force) {
+        throw new Error(`Record ${recordId} was already posted (tweet ${processed.posted_tweet_id}) - retract it first or pass --force to post it again`);
+    }
+
+    // A retracted thread's tweets are gone; resuming after its parts would post nothing
+    if (force || (processed && processed.status === 'retracted')) {
+        await bot.storage.deleteThreadParts(recordId);
+    }
+
+    await bot.storage.saveRetryState({
+        recordId,
+        replyToTweetId: source.tweet_id,
+        status: 'retry_pending',
+        poiTransaction: source.poi_transaction,
+        attemptCount: 0,
+        nextAttemptAt: new Date()
+    });
+
+    bot.log('INFO', 'Admin: record requeued', {
+        operator,
+        recordId: String(recordId),
+        previousStatus: processed ? processed.status : null,
+        force
+    });
+    console.log(`✅ Record ${recordId} requeued - the running bot picks it up on its next cycle`);
+}
+
+async function skip(bot, recordId, { operator, reason }) {
+    if (!reason) {
+        throw new Error('skip needs --reason');
+    }
+
+    const { source, processed } = await loadRecord(bot, recordId);
+    if (processed && processed.status === 'success') {
+        throw new Error(`Record ${recordId} was already posted (tweet ${processed.posted_tweet_id}) - use retract instead`);
+    }
+
+    await bot.storage.saveProcessedRecord({
+        recordId,
+        replyToTweetId: source ? source.tweet_id : null,
+        status: 'skipped_manual',
+        poiTransaction: source ? source.poi_transaction : null,
+        sourceHash: source ? hashSourceRecord(source) : null,
+        statusDetail: { reason, operator, at: new Date().toISOString() }
+    });
+
+    bot.log('INFO', 'Admin: record skipped', {
+        operator,
+        recordId: String(recordId),
+        reason,
+        previousStatus: processed ? processed.status : null
+    });
+    console.log(`✅ Record ${recordId} marked skipped_manual`);
+}
+
+async function retract(bot, recordId, { operator, reason = null }) {
+    // The dry-run client would only pretend to delete the tweets
+    if (bot.dryRun) {
+        throw new Error('retract deletes live tweets and cannot run with DRY_RUN=true');
+    }
+
+    const { processed } = await loadRecord(bot, recordId);
+
+    if (!processed || processed.status !== 'success' || !processed.posted_tweet_id) {
+        throw new Error(`Record ${recordId} has no posted reply to retract (status: ${processed ? processed.status : 'not processed'})`);
+    }
+
+    const account = bot.accounts.get(processed.account || bot.accountRegistry.defaultAccount);
+    if (!account) {
+        throw new Error(`Account "${processed.account}" that posted record ${recordId} is not configured`);
+    }
+
+    let deletedTweetIds;
+    try {
+        deletedTweetIds = await bot.deleteReplyThread(account, recordId, processed.posted_tweet_id);
+    } catch (error) {
+        bot.log('ERROR', 'Admin: retract failed part-way', {
+            operator,
+            recordId: String(recordId),
+            deletedTweetIds: error.deletedTweetIds,
+            error: error.message
+        });
+        throw new Error(`Could not delete the reply: ${error.message} (deleted so far: ${(error.deletedTweetIds || []).join(', ') || 'none'})`);
+    }
+    await bot.storage.deleteThreadParts(recordId);
+
+    await bot.storage.saveProcessedRecord({
+        recordId,
+        postedTweetId: processed.posted_tweet_id,
+        status: 'retracted',
+        statusDetail: { reason, operator, deletedTweetIds, at: new Date().toISOString() }
+    });
+
+    bot.log('INFO', 'Admin: reply retracted', {
+        operator,
+        recordId: String(recordId),
+        account: account.name,
+        deletedTweetIds,
+        reason
+    });
+    console.log(`✅ Deleted ${deletedTweetIds.length} tweet(s) for record ${recordId} and marked it retracted`);
+}
+
+const COMMANDS = { show, requeue, skip, retract };
+
+async function admin(argv = process.argv.slice(2)) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            reason: { type: 'string' },
+            operator: { type: 'string' },
+            force: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, recordId] = positionals;
+    if (options.help || !COMMANDS[command] || !recordId) {
+        console.log(USAGE);
+        if (!options.help) process.exitCode = 1;
+        return;
+    }
+
+    const operator = options.operator || process.env.ADMIN_OPERATOR || os.userInfo().username;
+    // The running bot owns log rotation and the activity summary
+    const bot = new TwitterBot({ logMaintenance: false });
+
+    try {
+        await bot.connectDatabases();
+        await COMMANDS[command](bot, recordId, { ...options, operator });
+    } finally {
+        if (bot.mainDb) await bot.mainDb.end().catch(() => {});
+        if (bot.storage) await bot.storage.close().catch(() => {});
+        await bot.logWriter.close();
+    }
+}
+
+if (require.main === module) {
+    admin().catch((error) => {
+        console.error('❌ Admin command failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { admin, show, requeue, skip, retract };
@@ -0,0 +1,397 @@
+require('dotenv').config();
+const fs = require('fs');
+const http = require('http');
+const { parseArgs } = require('util');
+
+const TWITTER_EPOCH = 1288834974657n;
+const ORIGINAL_AUTHOR_ID = '2244994945';
+
+// Per-user limits of the real API (requests per 15 minutes)
+const DEFAULT_RATE_LIMITS = {
+    'GET /2/users/me': 75,
+    'GET /2/tweets/:id': 900,
+    'GET /2/tweets': 900,
+    'POST /2/tweets': 100,
+    'DELETE /2/tweets/:id': 50,
+    'GET /2/users/:id/tweets': 900,
+    'GET /2/users/:id/mentions': 300
+};
+
+/**
+ * Ready-made scenarios (`--scenario NAME`); a JSON file with the same fields works too.
+ *
+ *   user             { id, username, name } returned by /2/users/me
+ *   rateLimits       { "<METHOD> <route>": { limit, windowSeconds } } overriding DEFAULT_RATE_LIMITS
+ *   deletedTweets    tweet IDs that are gone, or "*" for every tweet this server did not post
+ *   failures         [{ route, status, count, after }] - `count` requests fail with `status`
+ *                    after the first `after` requests to the route ("*" matches every route)
+ *   latencyMs        { "<METHOD> <route>" | "*": ms } delay before answering
+ *   duplicateContent true (default: like the API, the same text twice), "always" or false
+ */
+const PRESETS = {
+    normal: {},
+    'rate-limit': {
+        rateLimits: {
+            'POST /2/tweets': { limit: 3, windowSeconds: 60 },
+            'GET /2/tweets/:id': { limit: 3, windowSeconds: 60 }
+        }
+    },
+    deleted: { deletedTweets: '*' },
+    '5xx-burst': { failures: [{ route: 'POST /2/tweets', status: 503, count: 3 }] },
+    slow: { latencyMs: { '*': 3000 } },
+    duplicate: { duplicateContent: 'always' }
+};
+
+const PROBLEMS = {
+    401: { title: 'Unauthorized', type: 'about:blank', status: 401, detail: 'Unauthorized' },
+    429: { title: 'Too Many Requests', type: 'about:blank', status: 429, detail: 'Too Many Requests' },
+    500: { title: 'Internal Server Error', type: 'about:blank', status: 500, detail: 'Internal Server Error' },
+    502: { title: 'Bad Gateway', type: 'about:blank', status: 502, detail: 'Bad Gateway' },
+    503: { title: 'Service Unavailable', type: 'about:blank', status: 503, detail: 'Service Unavailable' },
+    504: { title: 'Gateway Timeout', type: 'about:blank', status: 504, detail: 'Gateway Timeout' }
+};
+
+function loadScenario(nameOrFile) {
+    if (!nameOrFile) return PRESETS.normal;
+    if (PRESETS[nameOrFile]) return PRESETS[nameOrFile];
+    try {
+        return JSON.parse(fs.readFileSync(nameOrFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unknown scenario "${nameOrFile}" - expected ${Object.keys(PRESETS).join(', ')} or a JSON file (${error.message})`);
+    }
+}
+
+function notFound(id) {
+    return {
+        value: id,
+        detail: `Could not find tweet with id: [${id}].`,
+        title: 'Not Found Error',
+        resource_type: 'tweet',
+        parameter: 'id',
+        resource_id: id,
+        type: 'https://api.twitter.com/2/problems/resource-not-found'
+    };
+}
+
+/**
+ * In-memory stand-in for the Twitter API v2 endpoints the bot uses. Requests need an
+ * Authorization header (signatures are not checked), responses carry x-rate-limit-* headers
+ * and errors have the API's shapes, so twitter-api-v2 raises the same errors as in production.
+ *
+ * Test control: GET /_fake/state, POST /_fake/scenario (scenario JSON or { "preset": NAME })
+ * and POST /_fake/reset.
+ */
+class FakeTwitterApi {
+    constructor(scenario = {}) {
+        this.reset();
+        this.setScenario(scenario);
+    }
+
+    reset() {
+        this.tweets = new Map(); // id -> tweet posted through this server
+        this.deleted = new Set();
+        this.requests = new Map(); // route -> count
+        this.sequence = 0n;
+        this.setScenario(this.scenario || {});
+    }
+
+    setScenario(scenario) {
+        this.scenario = scenario;
+        this.user = { id: '1000000000000000001', username: 'fake_bioagent', name: 'Fake BioAgent', ...(scenario.user || {}) };
+        this.windows = new Map(); // route -> { start, used }
+        this.failures = (scenario.failures || []).map(failure => ({ after: 0, count: 1, ...failure, seen: 0 }));
+    }
+
+    nextId() {
+        // Snowflake layout, so the creation time can be read back from the ID
+        this.sequence++;
+        return (((BigInt(Date.now()) - TWITTER_EPOCH) << 22n) + (this.sequence % 4096n)).toString();
+    }
+
+    isDeleted(id) {
+        if (this.deleted.has(id)) return true;
+        if (this.tweets.has(id)) return false;
+        const deleted = this.scenario.deletedTweets;
+        return deleted === '*' || (Array.isArray(deleted) && deleted.includes(id));
+    }
+
+    findTweet(id) {
+        if (this.isDeleted(id)) return null;
+        // Tweets this server did not post are taken to exist - they are the questions being answered
+        return this.tweets.get(id) || { id, text: `Original tweet ${id}`, author_id: ORIGINAL_AUTHOR_ID, created_at: new Date().toISOString() };
+    }
+
+    rateLimit(route) {
+        const override = (this.scenario.rateLimits || {})[route] || {};
+        const limit = override.limit !== undefined ? override.limit : DEFAULT_RATE_LIMITS[route];
+        const windowMs = (override.windowSeconds || 900) * 1000;
+
+        let window = this.windows.get(route);
+        if (!window || Date.now() >= window.start + windowMs) {
+            window = { start: Date.now(), used: 0 };
+            this.windows.set(route, window);
+        }
+
+        const exhausted = window.used >= limit;
+        if (!exhausted) window.used++;
+
+        return {
+            exhausted,
+            headers: {
+                'x-rate-limit-limit': String(limit),
+                'x-rate-limit-remaining': String(Math.max(0, limit - window.used)),
+                'x-rate-limit-reset': String(Math.ceil((window.start + windowMs) / 1000))
+            }
+        };
+    }
+
+    // Scripted failure for this request, if any
+    failure(route) {
+        const count = this.requests.get(route) || 0;
+        this.requests.set(route, count + 1);
+
+        for (const failure of this.failures) {
+            if (failure.route !== route && failure.route !== '*') continue;
+            failure.seen++;
+            if (failure.seen > failure.after && failure.seen <= failure.after + failure.count) {
+                return failure.status;
+            }
+        }
+        return null;
+    }
+
+    latency(route) {
+        const latency = this.scenario.latencyMs || {};
+        return latency[route] !== undefined ? latency[route] : (latency['*'] || 0);
+    }
+
+    isDuplicate(text) {
+        const mode = this.scenario.duplicateContent === undefined ? true : this.scenario.duplicateContent;
+        if (mode === 'always') return true;
+        return mode === true && Array.from(this.tweets.values()).some(tweet => tweet.text === text && !this.deleted.has(tweet.id));
+    }
+
+    /**
+     * Answer one API request: { status, body }.
+     */
+    handle(method, route, params, query, body) {
+        switch (`${method} ${route}`) {
+            case 'GET /2/users/me':
+                return { status: 200, body: { data: this.user } };
+
+            case 'GET /2/tweets/:id': {
+                const tweet = this.findTweet(params.id);
+                return { status: 200, body: tweet ? { data: tweet } : { errors: [notFound(params.id)] } };
+            }
+
+            case 'GET /2/tweets': {
+                const ids = String(query.get('ids') || '').split(',').filter(Boolean);
+                const found = ids.map(id => this.findTweet(id)).filter(Boolean);
+                const result = {};
+                if (found.length > 0) {
+                    result.data = found.map(tweet => ({
+                        ...tweet,
+                        public_metrics: { retweet_count: 0, reply_count: 0, like_count: 0, quote_count: 0, impression_count: 0 }
+                    }));
+                }
+                const missing = ids.filter(id => this.isDeleted(id));
+                if (missing.length > 0) result.errors = missing.map(notFound);
+                return { status: 200, body: result };
+            }
+
+            case 'POST /2/tweets': {
+                const text = body && body.text;
+                if (!text) {
+                    return { status: 400, body: { title: 'Invalid Request', type: 'https://api.twitter.com/2/problems/invalid-request', status: 400, detail: 'One or more parameters to your request was invalid.' } };
+                }
+
+                const inReplyTo = body.reply && body.reply.in_reply_to_tweet_id;
+                if (inReplyTo && this.isDeleted(String(inReplyTo))) {
+                    return { status: 403, body: { title: 'Forbidden', type: 'about:blank', status: 403, detail: 'You attempted to reply to a Tweet that is deleted or not visible to you.' } };
+                }
+                if (this.isDuplicate(text)) {
+                    return { status: 403, body: { title: 'Forbidden', type: 'about:blank', status: 403, detail: 'You are not allowed to create a Tweet with duplicate content.' } };
+                }
+
+                const id = this.nextId();
+                const tweet = {
+                    id,
+                    text,
+                    author_id: this.user.id,
+                    created_at: new Date().toISOString(),
+                    edit_history_tweet_ids: [id],
+                    ...(inReplyTo ? { referenced_tweets: [{ type: 'replied_to', id: String(inReplyTo) }] } : {})
+                };
+                this.tweets.set(id, tweet);
+                return { status: 201, body: { data: { id, text, edit_history_tweet_ids: [id] } } };
+            }
+
+            case 'DELETE /2/tweets/:id': {
+                if (!this.tweets.has(params.id) || this.deleted.has(params.id)) {
+                    return { status: 404, body: { title: 'Not Found Error', type: 'https://api.twitter.com/2/problems/resource-not-found', status: 404, detail: `Could not find tweet with id: [${params.id}].` } };
+                }
+                this.deleted.add(params.id);
+                return { status: 200, body: { data: { deleted: true } } };
+            }
+
+            case 'GET /2/users/:id/tweets': {
+                const startTime = query.get('start_time') ? Date.parse(query.get('start_time')) : 0;
+                const tweets = Array.from(this.tweets.values())
+                    .filter(tweet => tweet.author_id === params.id && !this.deleted.has(tweet.id) && Date.parse(tweet.created_at) >= startTime)
+                    .reverse()
+                    .slice(0, parseInt(query.get('max_results')) || 10);
+                return { status: 200, body: tweets.length > 0 ? { data: tweets, meta: { result_count: tweets.length } } : { meta: { result_count: 0 } } };
+            }
+
+            case 'GET /2/users/:id/mentions':
+                return { status: 200, body: { meta: { result_count: 0 } } };
+
+            default:
+                return null;
+        }
+    }
+
+    state() {
+        return {
+            scenario: this.scenario,
+            user: this.user,
+            tweets: Array.from(this.tweets.values()).map(tweet => ({ ...tweet, deleted: this.deleted.has(tweet.id) })),
+            requests: Object.fromEntries(this.requests)
+        };
+    }
+}
+
+// "/2/tweets/123" -> { route: "/2/tweets/:id", params: { id: "123" } }
+function matchRoute(pathname) {
+    const routes = ['/2/users/me', '/2/tweets/:id', '/2/tweets', '/2/users/:id/tweets', '/2/users/:id/mentions'];
+    const parts = pathname.replace(/\/+$/, '').split('/');
+
+    for (const route of routes) {
+        const pattern = route.split('/');
+        if (pattern.length !== parts.length) continue;
+
+        const params = {};
+        const matches = pattern.every((segment, index) => {
+            if (segment === ':id') {
+                params.id = parts[index];
+                return /^\d+$/.test(parts[index]);
+            }
+            return segment === parts[index];
+        });
+        if (matches) return { route, params };
+    }
+    return null;
+}
+
+function startFakeTwitterApi({ port = 8547, scenario = {}, log = () => {} } = {}) {
+    const api = new FakeTwitterApi(scenario);
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, `http://${req.headers.host || '127.0.0.1'}`);
+            const send = (status, payload, headers = {}) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(payload));
+            };
+
+            let body = null;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                send(400, { title: 'Invalid Request', type: 'about:blank', status: 400, detail: 'Request body is not valid JSON' });
+                return;
+            }
+
+            // Test control endpoints
+            if (url.pathname.startsWith('/_fake/')) {
+                if (req.method === 'GET' && url.pathname === '/_fake/state') {
+                    send(200, api.state());
+                } else if (req.method === 'POST' && url.pathname === '/_fake/scenario') {
+                    try {
+                        api.setScenario(body && body.preset ? loadScenario(body.preset) : (body || {}));
+                        log(`🎬 Scenario changed: ${JSON.stringify(api.scenario)}`);
+                        send(200, { scenario: api.scenario });
+                    } catch (error) {
+                        send(400, { error: error.message });
+                    }
+                } else if (req.method === 'POST' && url.pathname === '/_fake/reset') {
+                    api.reset();
+                    send(200, { reset: true });
+                } else {
+                    send(404, { error: `Unknown control endpoint ${req.method} ${url.pathname}` });
+                }
+                return;
+            }
+
+            const match = matchRoute(url.pathname);
+            const route = match ? `${req.method} ${match.route}` : null;
+            if (!match || !(route in DEFAULT_RATE_LIMITS)) {
+                send(404, { title: 'Not Found Error', type: 'about:blank', status: 404, detail: `${req.method} ${url.pathname} is not supported by the fake API` });
+                return;
+            }
+
+            if (!req.headers.authorization) {
+                send(401, PROBLEMS[401]);
+                return;
+            }
+
+            const latency = api.latency(route);
+            if (latency > 0) {
+                await new Promise(resolve => setTimeout(resolve, latency));
+            }
+
+            const rateLimit = api.rateLimit(route);
+            if (rateLimit.exhausted) {
+                log(`⏳ ${route} -> 429`);
+                send(429, PROBLEMS[429], rateLimit.headers);
+                return;
+            }
+
+            const failure = api.failure(route);
+            if (failure) {
+                log(`💥 ${route} -> ${failure}`);
+                send(failure, PROBLEMS[failure] || { title: 'Error', type: 'about:blank', status: failure, detail: `Scripted ${failure}` }, rateLimit.headers);
+                return;
+            }
+
+            const result = api.handle(req.method, match.route, match.params, url.searchParams, body);
+            log(`${result.status < 400 ? '✅' : '⚠️ '} ${route}${match.params.id ? ` (${match.params.id})` : ''} -> ${result.status}`);
+            send(result.status, result.body, rateLimit.headers);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve({ server, api }));
+    });
+}
+
+async function runFakeTwitterApi(argv = process.argv.slice(2)) {
+    const { values: options } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string' },
+            scenario: { type: 'string' }
+        }
+    });
+
+    const port = parseInt(options.port || process.env.FAKE_TWITTER_PORT) || 8547;
+    const scenario = loadScenario(options.scenario || process.env.FAKE_TWITTER_SCENARIO);
+    await startFakeTwitterApi({ port, scenario, log: console.log });
+
+    console.log(`🧪 Fake Twitter API listening on http://127.0.0.1:${port}`);
+    console.log(`   Scenario: ${JSON.stringify(scenario)}`);
+    console.log(`   Point the bot at it with TWITTER_API_BASE_URL=http://127.0.0.1:${port}`);
+    console.log('🔴 Press Ctrl+C to stop');
+}
+
+if (require.main === module) {
+    runFakeTwitterApi().catch((error) => {
+        console.error('❌ Fake Twitter API failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { FakeTwitterApi, PRESETS, startFakeTwitterApi, runFakeTwitterApi };
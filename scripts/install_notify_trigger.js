@@ -0,0 +1,42 @@
+require('dotenv').config();
+const { Client } = require('pg');
+const { buildInstallTriggerSql, buildUninstallTriggerSql } = require('../lib/notify_listener');
+const { loadConfig, databaseOptions } = require('../lib/config');
+
+async function installNotifyTrigger({ uninstall = false } = {}) {
+    const config = loadConfig();
+    const table = process.env.NOTIFY_TABLE || 'twitter_answers';
+    const channel = config.notifyChannel;
+
+    console.log(`🔧 ${uninstall ? 'Removing' : 'Installing'} NOTIFY trigger on ${table}...`);
+
+    const { connectionString, ssl } = databaseOptions(config).main;
+    const client = new Client({ connectionString, ssl });
+
+    try {
+        await client.connect();
+        console.log('✅ Connected to main PostgreSQL database');
+
+        if (uninstall) {
+            await client.query(buildUninstallTriggerSql({ table }));
+            console.log(`✅ Removed trigger ${table}_notify_insert and function notify_${table}_insert()`);
+        } else {
+            await client.query(buildInstallTriggerSql({ table, channel }));
+            console.log(`✅ Installed trigger ${table}_notify_insert`);
+            console.log(`📣 Every INSERT on ${table} now sends NOTIFY ${channel} with the new row id`);
+            console.log('ℹ️  Start the bot with LISTEN_NOTIFY=true to use it');
+        }
+
+    } catch (error) {
+        console.error('❌ Trigger installation failed:', error.message);
+        throw error;
+    } finally {
+        await client.end();
+    }
+}
+
+if (require.main === module) {
+    installNotifyTrigger({ uninstall: process.argv.includes('--uninstall') }).catch(console.error);
+}
+
+module.exports = installNotifyTrigger;
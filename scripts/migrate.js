@@ -0,0 +1,105 @@
+require('dotenv').config();
+const { Client } = require('pg');
+const { parseArgs } = require('util');
+const { Migrator, label } = require('../lib/migrations');
+const { loadConfig, databaseOptions } = require('../lib/config');
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  status                    list migrations and whether they are applied
+  up [--to VERSION]         apply pending migrations (up to VERSION)
+  down [--steps N]          roll back the latest N applied migrations (default 1)
+  down --to VERSION         roll back every migration above VERSION (0 = all)
+
+The processed_ids.json import that \`npm run migrate\` used to run is now \`npm run migrate-processed-ids\`.`;
+
+function parseVersion(value, option) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Invalid --${option} "${value}" - expected a non-negative integer`);
+    }
+    return number;
+}
+
+async function printStatus(migrator) {
+    const { migrations, unknown } = await migrator.status();
+
+    console.log('\n📋 Tracking database migrations:');
+    migrations.forEach(migration => {
+        const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`   ${migration.appliedAt ? '✅' : '⏳'} ${label(migration)}  ${state}`);
+    });
+    unknown.forEach(migration => {
+        console.log(`   ❓ ${label(migration)}  applied ${new Date(migration.appliedAt).toISOString()} - not in this version`);
+    });
+
+    const pending = migrations.filter(migration => !migration.appliedAt).length;
+    console.log(`\n${pending === 0 ? '✅ Schema is up to date' : `⏳ ${pending} pending migration(s)`} (latest version ${migrator.latestVersion})`);
+    return { migrations, unknown };
+}
+
+async function migrate(argv = process.argv.slice(2)) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            to: { type: 'string' },
+            steps: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command] = positionals;
+    if (options.help || !['status', 'up', 'down'].includes(command)) {
+        console.log(USAGE);
+        if (!options.help) process.exitCode = 1;
+        return null;
+    }
+
+    const config = loadConfig();
+    if (config.storage.backend === 'file') {
+        console.log('ℹ️  File storage has no schema to migrate.');
+        return null;
+    }
+
+    // A plain Client: each migration runs in a transaction on one session
+    const { connectionString, ssl } = databaseOptions(config).tracking;
+    const client = new Client({ connectionString, ssl });
+    const migrator = new Migrator({
+        db: client,
+        log: (level, message) => console.log(`${level === 'SUCCESS' ? '✅' : 'ℹ️ '} ${message}`)
+    });
+
+    try {
+        await client.connect();
+        console.log('✅ Connected to tracking database');
+
+        if (command === 'status') {
+            return await printStatus(migrator);
+        }
+
+        if (command === 'up') {
+            const applied = await migrator.up({ to: options.to !== undefined ? parseVersion(options.to, 'to') : null });
+            console.log(applied.length === 0 ? '✅ Nothing to apply - schema is up to date' : `🎉 Applied ${applied.length} migration(s)`);
+            return applied;
+        }
+
+        const rolledBack = await migrator.down(options.to !== undefined ?
+            { to: parseVersion(options.to, 'to') } :
+            { steps: options.steps !== undefined ? parseVersion(options.steps, 'steps') : 1 });
+        console.log(rolledBack.length === 0 ? 'ℹ️  Nothing to roll back' : `↩️  Rolled back ${rolledBack.length} migration(s)`);
+        return rolledBack;
+    } finally {
+        await client.end().catch(() => {});
+    }
+}
+
+if (require.main === module) {
+    migrate().catch((error) => {
+        console.error('❌ Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = migrate;
@@ -1,9 +1,9 @@
 require('dotenv').config();
-const { Client } = require('pg');
 const fs = require('fs');
+const { createStorage } = require('../lib/storage');
 
 async function migrateProcessedIds() {
-    console.log('🔄 Migrating processed IDs from JSON to PostgreSQL...');
+    console.log('🔄 Migrating processed IDs from JSON to tracking storage...');
     
     // Check if JSON file exists
     if (!fs.existsSync('processed_ids.json')) {
@@ -11,40 +11,12 @@ async function migrateProcessedIds() {
         return;
     }
 
-    const client = new Client({
-        connectionString: process.env.RAILWAY_POSTGRES_URL || process.env.POSTGRES_URL,
-        ssl: process.env.RAILWAY_POSTGRES_URL ? { rejectUnauthorized: false } : false
-    });
+    const storage = createStorage();
 
     try {
-        await client.connect();
-        console.log('✅ Connected to PostgreSQL database');
-
-        // Create table with enhanced schema
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS processed_records (
-                record_id VARCHAR(255) PRIMARY KEY,
-                processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                posted_tweet_id VARCHAR(255),
-                reply_to_tweet_id VARCHAR(255),
-                status VARCHAR(50) DEFAULT 'migrated',
-                content_length INTEGER,
-                poi_transaction TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-
-        // Add indexes for better performance
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_processed_records_processed_at 
-            ON processed_records(processed_at)
-        `);
-        
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_processed_records_status 
-            ON processed_records(status)
-        `);
+        // Needs an up-to-date schema (npm run migrate -- up)
+        await storage.init();
+        console.log(`✅ Opened tracking storage (${storage.backend})`);
 
         // Read JSON data
         const data = JSON.parse(fs.readFileSync('processed_ids.json', 'utf8'));
@@ -53,22 +25,26 @@ async function migrateProcessedIds() {
         console.log(`📋 Found ${processedIds.length} processed IDs to migrate`);
 
         let migratedCount = 0;
+        let existingCount = 0;
         for (const recordId of processedIds) {
             try {
-                await client.query(`
-                    INSERT INTO processed_records (record_id, status, processed_at) 
-                    VALUES ($1, 'migrated', NOW()) 
-                    ON CONFLICT (record_id) DO UPDATE SET
-                        status = 'migrated',
-                        updated_at = NOW()
-                `, [recordId]);
+                // saveProcessedRecord replaces the whole row - never overwrite a tracked record
+                // (its posted tweet, status detail) when the migration is run again
+                if (await storage.getProcessedRecord(recordId)) {
+                    existingCount++;
+                    continue;
+                }
+                await storage.saveProcessedRecord({ recordId, status: 'migrated' });
                 migratedCount++;
             } catch (error) {
                 console.error(`❌ Failed to migrate ID ${recordId}:`, error.message);
             }
         }
 
-        console.log(`✅ Successfully migrated ${migratedCount} processed IDs to database`);
+        console.log(`✅ Successfully migrated ${migratedCount} processed IDs to ${storage.backend} storage`);
+        if (existingCount > 0) {
+            console.log(`ℹ️  Left ${existingCount} already tracked IDs unchanged`);
+        }
 
         // Create backup of JSON file
         fs.copyFileSync('processed_ids.json', 'processed_ids_backup.json');
@@ -80,7 +56,7 @@ async function migrateProcessedIds() {
         console.error('❌ Migration failed:', error.message);
         throw error;
     } finally {
-        await client.end();
+        await storage.close();
     }
 }
 
@@ -88,4 +64,4 @@ if (require.main === module) {
     migrateProcessedIds().catch(console.error);
 }
 
-module.exports = migrateProcessedIds;
\ No newline at end of file
+module.exports = migrateProcessedIds;
@@ -0,0 +1,69 @@
+require('dotenv').config();
+const http = require('http');
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Local JSON-RPC node stand-in for POI checks. Answers eth_getTransactionReceipt:
+ * hashes in `missing` have no receipt, hashes in `failed` reverted, everything else succeeded.
+ */
+function startPoiRpcStub({ port = 8546, missing = [], failed = [] } = {}) {
+    const missingHashes = new Set(missing.map(hash => hash.toLowerCase()));
+    const failedHashes = new Set(failed.map(hash => hash.toLowerCase()));
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+                return;
+            }
+
+            const reply = (payload) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...payload }));
+            };
+
+            if (request.method !== 'eth_getTransactionReceipt') {
+                reply({ error: { code: -32601, message: `Method ${request.method} not supported by stub` } });
+                return;
+            }
+
+            const hash = String((request.params || [])[0] || '').toLowerCase();
+            if (missingHashes.has(hash)) {
+                reply({ result: null });
+            } else {
+                reply({ result: { transactionHash: hash, blockNumber: '0x1', status: failedHashes.has(hash) ? '0x0' : '0x1' } });
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(server));
+    });
+}
+
+async function runPoiRpcStub() {
+    const port = parseInt(process.env.POI_STUB_PORT) || 8546;
+    await startPoiRpcStub({
+        port,
+        missing: parseList(process.env.POI_STUB_MISSING),
+        failed: parseList(process.env.POI_STUB_FAILED)
+    });
+
+    console.log(`🧪 POI JSON-RPC stub listening on http://127.0.0.1:${port}`);
+    console.log('   Point the bot at it with POI_RPC_URL and POI_VERIFY_ON_CHAIN=true');
+    console.log('🔴 Press Ctrl+C to stop');
+}
+
+if (require.main === module) {
+    runPoiRpcStub().catch(console.error);
+}
+
+module.exports = { startPoiRpcStub, runPoiRpcStub };
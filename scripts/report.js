@@ -0,0 +1,115 @@
+// quiet: dotenv's banner would otherwise land in CSV/JSON written to stdout
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Client } = require('pg');
+const { createStorage } = require('../lib/storage');
+const { buildReport, formatReport } = require('../lib/report');
+const { loadConfig, databaseOptions } = require('../lib/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE = `Usage: npm run report -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--account NAME]
+                         [--format table|csv|json] [--output FILE] [--top N]
+
+  --from     Start of the range, inclusive (default: 7 days ago)
+  --to       End of the range; a plain date includes that whole day (default: now)
+  --account  Only records posted by this account
+  --format   table (default), csv or json
+  --output   Write the report to FILE instead of stdout
+  --top      Number of busiest hours to list (default 5)`;
+
+function parseDate(value, label, { endOfDay = false } = {}) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid --${label} date "${value}"`);
+    }
+    // A bare date means the whole day, so --to 2025-01-31 includes the 31st
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + DAY_MS) : date;
+}
+
+// Latency needs twitter_answers.created_at from the main database; the report works without it
+async function loadSourceCreatedAt(recordIds) {
+    if (!process.env.POSTGRES_URL || recordIds.length === 0) return null;
+
+    const { connectionString, ssl } = databaseOptions(loadConfig()).main;
+    const client = new Client({ connectionString, ssl });
+    try {
+        await client.connect();
+        const result = await client.query(
+            'SELECT id::text AS id, created_at FROM twitter_answers WHERE id::text = ANY($1)',
+            [recordIds]
+        );
+        return new Map(result.rows.map(row => [row.id, row.created_at]));
+    } catch (error) {
+        console.error(`⚠️  Time to post unavailable - could not read twitter_answers: ${error.message}`);
+        return null;
+    } finally {
+        await client.end().catch(() => {});
+    }
+}
+
+async function report(argv = process.argv.slice(2)) {
+    const { values: options } = parseArgs({
+        args: argv,
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            account: { type: 'string' },
+            format: { type: 'string', default: 'table' },
+            output: { type: 'string' },
+            top: { type: 'string', default: '5' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return null;
+    }
+
+    const to = options.to ? parseDate(options.to, 'to', { endOfDay: true }) : new Date();
+    const from = options.from ? parseDate(options.from, 'from') : new Date(to.getTime() - 7 * DAY_MS);
+    if (from >= to) {
+        throw new Error('--from must be before --to');
+    }
+
+    // Progress goes to stderr so CSV/JSON on stdout can be piped straight into a file
+    console.error(`📊 Building report for ${from.toISOString()} - ${to.toISOString()}...`);
+
+    const storage = createStorage();
+    let records;
+    try {
+        await storage.init();
+        records = await storage.listRecordsBetween(from.toISOString(), to.toISOString());
+    } finally {
+        await storage.close();
+    }
+
+    if (options.account) {
+        records = records.filter(row => row.account === options.account);
+    }
+
+    const postedIds = records.filter(row => row.status === 'success').map(row => String(row.record_id));
+    const sourceCreatedAt = await loadSourceCreatedAt(postedIds);
+
+    const summary = buildReport(records, { from, to, sourceCreatedAt, topHours: parseInt(options.top) || 5 });
+    const output = formatReport(summary, options.format);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output + '\n');
+        console.error(`✅ Report written to ${options.output}`);
+    } else {
+        console.log(output);
+    }
+
+    return summary;
+}
+
+if (require.main === module) {
+    report().catch((error) => {
+        console.error('❌ Report failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = report;
@@ -1,17 +1,14 @@
 require('dotenv').config();
-const { Client } = require('pg');
+const { createStorage } = require('../lib/storage');
 
 async function testDatabase() {
     console.log('🧪 Testing enhanced database functionality...');
     
-    const client = new Client({
-        connectionString: process.env.RAILWAY_POSTGRES_URL || process.env.POSTGRES_URL,
-        ssl: process.env.RAILWAY_POSTGRES_URL ? { rejectUnauthorized: false } : false
-    });
+    const storage = createStorage();
 
     try {
-        await client.connect();
-        console.log('✅ Connected to PostgreSQL database');
+        await storage.init();
+        console.log(`✅ Opened tracking storage (${storage.backend})`);
 
         // Test insert with enhanced data
         const testRecordId = `test-${Date.now()}`;
@@ -22,30 +19,21 @@ async function testDatabase() {
 
         console.log(`\n📝 Testing insert with record ID: ${testRecordId}`);
         
-        await client.query(`
-            INSERT INTO processed_records (
-                record_id, 
-                posted_tweet_id, 
-                reply_to_tweet_id, 
-                status,
-                content_length,
-                poi_transaction,
-                processed_at,
-                updated_at
-            ) 
-            VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW()) 
-        `, [testRecordId, testTweetId, testReplyToId, 'success', testContent.length, testPoiTx]);
+        await storage.saveProcessedRecord({
+            recordId: testRecordId,
+            postedTweetId: testTweetId,
+            replyToTweetId: testReplyToId,
+            status: 'success',
+            contentLength: testContent.length,
+            poiTransaction: testPoiTx
+        });
 
         console.log('✅ Successfully inserted test record');
 
         // Test query
-        const result = await client.query(`
-            SELECT * FROM processed_records 
-            WHERE record_id = $1
-        `, [testRecordId]);
+        const record = await storage.getProcessedRecord(testRecordId);
 
-        if (result.rows.length > 0) {
-            const record = result.rows[0];
+        if (record) {
             console.log('\n📋 Retrieved test record:');
             console.log(`  Record ID: ${record.record_id}`);
             console.log(`  Posted Tweet ID: ${record.posted_tweet_id}`);
@@ -55,32 +43,29 @@ async function testDatabase() {
             console.log(`  POI Transaction: ${record.poi_transaction}`);
             console.log(`  Processed At: ${record.processed_at}`);
             console.log(`  Updated At: ${record.updated_at}`);
+        } else {
+            throw new Error('Inserted test record not found');
         }
 
         // Test upsert (update existing)
         console.log('\n🔄 Testing upsert functionality...');
-        await client.query(`
-            INSERT INTO processed_records (
-                record_id, 
-                posted_tweet_id, 
-                reply_to_tweet_id, 
-                status,
-                content_length,
-                poi_transaction,
-                processed_at,
-                updated_at
-            ) 
-            VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW()) 
-            ON CONFLICT (record_id) DO UPDATE SET
-                posted_tweet_id = EXCLUDED.posted_tweet_id,
-                status = 'updated',
-                updated_at = NOW()
-        `, [testRecordId, `${testTweetId}-updated`, testReplyToId, 'updated', testContent.length, testPoiTx]);
+        await storage.saveProcessedRecord({
+            recordId: testRecordId,
+            postedTweetId: `${testTweetId}-updated`,
+            replyToTweetId: testReplyToId,
+            status: 'updated',
+            contentLength: testContent.length,
+            poiTransaction: testPoiTx
+        });
 
+        const updated = await storage.getProcessedRecord(testRecordId);
+        if (!updated || updated.status !== 'updated' || updated.posted_tweet_id !== `${testTweetId}-updated`) {
+            throw new Error('Upsert did not update the test record');
+        }
         console.log('✅ Successfully updated test record');
 
         // Clean up test record
-        await client.query('DELETE FROM processed_records WHERE record_id = $1', [testRecordId]);
+        await storage.deleteProcessedRecord(testRecordId);
         console.log('🧹 Cleaned up test record');
 
         console.log('\n🎉 Database functionality test completed successfully!');
@@ -89,7 +74,7 @@ async function testDatabase() {
         console.error('❌ Database test failed:', error.message);
         throw error;
     } finally {
-        await client.end();
+        await storage.close();
     }
 }
 
@@ -97,4 +82,4 @@ if (require.main === module) {
     testDatabase().catch(console.error);
 }
 
-module.exports = testDatabase;
\ No newline at end of file
+module.exports = testDatabase;
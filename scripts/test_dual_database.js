@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { Client } = require('pg');
+const { createStorage } = require('../lib/storage');
 
 async function testDualDatabase() {
     console.log('🧪 Testing dual database setup...');
@@ -30,52 +31,37 @@ async function testDualDatabase() {
         await mainClient.end();
     }
 
-    // Test Railway database connection
-    console.log('\n🚂 Testing Railway Database (processed_records)...');
-    const railwayClient = new Client({
-        connectionString: process.env.RAILWAY_POSTGRES_URL,
-        ssl: { rejectUnauthorized: false }
-    });
+    // Test tracking storage (Railway Postgres or local file)
+    const storage = createStorage();
+    console.log(`\n🚂 Testing Tracking Storage (processed_records, ${storage.backend})...`);
 
     try {
-        await railwayClient.connect();
-        console.log('✅ Connected to Railway PostgreSQL database');
+        await storage.init();
+        console.log(`✅ Opened tracking storage (${storage.backend})`);
         
-        // Test querying processed_records table
-        const result = await railwayClient.query(`
-            SELECT COUNT(*) as count 
-            FROM processed_records
-        `);
-        console.log(`✅ Railway database accessible, processed_records table found`);
-        console.log(`📋 Total records in processed_records: ${result.rows[0].count}`);
+        // Test querying processed_records
+        const count = await storage.countRecords();
+        console.log(`✅ Tracking storage accessible, processed_records found`);
+        console.log(`📋 Total records in processed_records: ${count}`);
         
         // Test insert/delete
         const testId = `test-dual-${Date.now()}`;
-        await railwayClient.query(`
-            INSERT INTO processed_records (record_id, status) 
-            VALUES ($1, 'test')
-        `, [testId]);
+        await storage.saveProcessedRecord({ recordId: testId, status: 'test' });
         console.log('✅ Test record inserted successfully');
         
-        await railwayClient.query(`
-            DELETE FROM processed_records 
-            WHERE record_id = $1
-        `, [testId]);
+        await storage.deleteProcessedRecord(testId);
         console.log('✅ Test record cleaned up successfully');
         
     } catch (error) {
-        console.error('❌ Railway database test failed:', error.message);
-        if (error.code === '42P01') {
-            console.log('ℹ️  processed_records table not found - run the bot once to create it');
-        }
+        console.error('❌ Tracking storage test failed:', error.message);
     } finally {
-        await railwayClient.end();
+        await storage.close();
     }
 
     console.log('\n🎉 Dual database setup test completed!');
     console.log('📝 Summary:');
     console.log('   • Main Database: Used for twitter_answers polling');
-    console.log('   • Railway Database: Used for processed_records tracking');
+    console.log(`   • Tracking Storage (${storage.backend}): Used for processed_records tracking`);
 }
 
 if (require.main === module) {
@@ -0,0 +1,76 @@
+require('dotenv').config();
+const { Client } = require('pg');
+const { NotifyListener, buildInstallTriggerSql, buildUninstallTriggerSql } = require('../lib/notify_listener');
+
+// Exercises the trigger and listener end to end on a scratch table,
+// so it is safe to run against any Postgres (TEST_POSTGRES_URL, else POSTGRES_URL)
+async function testNotify() {
+    console.log('🧪 Testing LISTEN/NOTIFY ingestion...');
+
+    const dbConfig = {
+        connectionString: process.env.TEST_POSTGRES_URL || process.env.POSTGRES_URL,
+        ssl: false
+    };
+    const table = `notify_test_${Date.now()}`;
+    const channel = `${table}_channel`;
+
+    const client = new Client(dbConfig);
+    let listener = null;
+
+    try {
+        await client.connect();
+        console.log('✅ Connected to PostgreSQL database');
+
+        await client.query(`CREATE TABLE ${table} (id SERIAL PRIMARY KEY, answer TEXT, created_at TIMESTAMP DEFAULT NOW())`);
+        await client.query(buildInstallTriggerSql({ table, channel }));
+        console.log(`✅ Created scratch table ${table} with NOTIFY trigger`);
+
+        const received = [];
+        listener = new NotifyListener({
+            dbConfig,
+            channel,
+            onNotification: (payload) => received.push(payload),
+            log: (level, message) => console.log(`   [${level}] ${message}`)
+        });
+        await listener.start();
+
+        const insert = await client.query(`INSERT INTO ${table} (answer) VALUES ('test') RETURNING id`);
+        const insertedId = String(insert.rows[0].id);
+        console.log(`📝 Inserted row ${insertedId}`);
+
+        // Wait up to 5 seconds for the notification
+        const deadline = Date.now() + 5000;
+        while (received.length === 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        if (received[0] !== insertedId) {
+            throw new Error(`Expected NOTIFY payload "${insertedId}", got ${JSON.stringify(received)}`);
+        }
+        console.log(`✅ Received NOTIFY with payload ${received[0]}`);
+
+        console.log('\n🎉 LISTEN/NOTIFY test completed successfully!');
+
+    } catch (error) {
+        console.error('❌ LISTEN/NOTIFY test failed:', error.message);
+        throw error;
+    } finally {
+        if (listener) {
+            await listener.stop();
+        }
+        try {
+            await client.query(buildUninstallTriggerSql({ table }));
+            await client.query(`DROP TABLE IF EXISTS ${table}`);
+            console.log('🧹 Cleaned up scratch table');
+        } catch (error) {
+            console.error('⚠️  Cleanup failed:', error.message);
+        }
+        await client.end();
+    }
+}
+
+if (require.main === module) {
+    testNotify().catch(console.error);
+}
+
+module.exports = testNotify;
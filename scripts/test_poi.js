@@ -0,0 +1,61 @@
+const { PoiValidator } = require('../lib/poi');
+const { startPoiRpcStub } = require('./poi_rpc_stub');
+
+// Exercises POI format checks and on-chain lookups against the local JSON-RPC stub
+async function testPoi() {
+    console.log('🧪 Testing POI validation...');
+
+    const okHash = `0x${'a'.repeat(64)}`;
+    const missingHash = `0x${'b'.repeat(64)}`;
+    const failedHash = `0x${'c'.repeat(64)}`;
+    const port = parseInt(process.env.POI_STUB_PORT) || 8546;
+
+    const server = await startPoiRpcStub({ port, missing: [missingHash], failed: [failedHash] });
+    console.log(`✅ Started JSON-RPC stub on port ${port}`);
+
+    const validator = new PoiValidator({
+        explorers: [{ name: 'basescan', host: 'basescan.org' }],
+        defaultExplorer: 'basescan',
+        verifyOnChain: true,
+        rpcUrl: `http://127.0.0.1:${port}`,
+        disclosure: { mode: 'inline' }
+    }, 'test');
+
+    const cases = [
+        { value: `https://basescan.org/tx/${okHash}`, expected: 'verified' },
+        { value: okHash, expected: 'verified' },
+        { value: `https://basescan.org/tx/${missingHash}`, expected: 'invalid' },
+        { value: `https://basescan.org/tx/${failedHash}`, expected: 'invalid' },
+        { value: 'https://basescan.org/tx/0x123', expected: 'invalid' },
+        { value: `https://example.com/tx/${okHash}`, expected: 'invalid' }
+    ];
+
+    try {
+        for (const { value, expected } of cases) {
+            const result = await validator.verify(value);
+            if (result.status !== expected) {
+                throw new Error(`Expected ${expected} for ${value}, got ${result.status} (${result.reason})`);
+            }
+            console.log(`✅ ${result.status.padEnd(10)} ${value.substring(0, 60)}${result.reason ? ` - ${result.reason}` : ''}`);
+        }
+
+        const text = validator.disclosureText(await validator.verify(okHash));
+        if (!text || !text.includes(`https://basescan.org/tx/${okHash}`)) {
+            throw new Error(`Unexpected disclosure text: ${text}`);
+        }
+        console.log(`✅ Disclosure: ${text}`);
+
+        console.log('\n🎉 POI validation test completed successfully!');
+    } finally {
+        server.close();
+    }
+}
+
+if (require.main === module) {
+    testPoi().catch((error) => {
+        console.error('❌ POI validation test failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = testPoi;
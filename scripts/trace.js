@@ -0,0 +1,70 @@
+// quiet: dotenv's banner would otherwise land in JSON written to stdout
+require('dotenv').config({ quiet: true });
+const path = require('path');
+const { parseArgs } = require('util');
+const { listLogFiles, buildTrace, formatTrace } = require('../lib/trace');
+
+const DEFAULT_LOGS_DIR = path.join(__dirname, '..', 'logs');
+const USAGE = `Usage: npm run trace -- <record_id> [options]
+       npm run trace -- --tweet <tweet_id> [options]
+
+  --tweet    Trace the records that replied to / posted this tweet
+  --session  Only entries of this session (the sessionId of a log entry)
+  --from     First log day to scan, YYYY-MM-DD
+  --to       Last log day to scan, YYYY-MM-DD
+  --format   table (default) or json
+  --dir      Log directory (default: LOGS_DIR or logs/)`;
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+async function trace(argv = process.argv.slice(2)) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            tweet: { type: 'string' },
+            session: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            format: { type: 'string', default: 'table' },
+            dir: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const recordId = positionals[0] || null;
+    if (options.help || (!recordId && !options.tweet) || (recordId && options.tweet)) {
+        console.log(USAGE);
+        if (!options.help) process.exitCode = 1;
+        return null;
+    }
+
+    for (const label of ['from', 'to']) {
+        if (options[label] && !DAY.test(options[label])) {
+            throw new Error(`Invalid --${label} date "${options[label]}" - expected YYYY-MM-DD`);
+        }
+    }
+
+    const dir = options.dir || process.env.LOGS_DIR || DEFAULT_LOGS_DIR;
+    const files = listLogFiles(dir, { from: options.from, to: options.to });
+    // Progress goes to stderr so JSON on stdout can be piped
+    console.error(`🔎 Scanning ${files.length} log file(s) in ${dir}...`);
+
+    const result = await buildTrace(files, {
+        recordId,
+        tweetId: options.tweet || null,
+        session: options.session || null,
+        warn: (message) => console.error(`⚠️  ${message}`)
+    });
+    console.log(formatTrace(result, options.format));
+    return result;
+}
+
+if (require.main === module) {
+    trace().catch((error) => {
+        console.error('❌ Trace failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = trace;
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('../lib/storage/file_storage');
+const TwitterBot = require('../twitter_bot');
+const { requeue, retract } = require('../scripts/admin');
+
+// Just enough of a TwitterBot for the admin commands, over file storage
+async function fakeBot(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = new FileStorage({ filePath: path.join(dir, 'tracking.ndjson') });
+    await storage.init();
+
+    const deleted = [];
+    const source = { id: 7, tweet_id: '100', poi_transaction: null, answer: 'An answer' };
+    const bot = {
+        dryRun: false,
+        storage,
+        mainDb: { query: async () => ({ rows: [source] }) },
+        accounts: new Map([['main', { name: 'main', rwClient: { v2: { deleteTweet: async (id) => deleted.push(id) } } }]]),
+        accountRegistry: { defaultAccount: 'main' },
+        log: () => {}
+    };
+    bot.deleteReplyThread = TwitterBot.prototype.deleteReplyThread.bind(bot);
+    return { bot, storage, deleted };
+}
+
+test('retract forgets the deleted thread so a requeue posts it from the start', async (t) => {
+    const { bot, storage, deleted } = await fakeBot(t);
+    t.mock.method(console, 'log', () => {});
+    await storage.saveThreadPart({ recordId: 7, partIndex: 0, tweetId: '201', replyToTweetId: '100' });
+    await storage.saveThreadPart({ recordId: 7, partIndex: 1, tweetId: '202', replyToTweetId: '201' });
+    await storage.saveProcessedRecord({ recordId: 7, postedTweetId: '201', replyToTweetId: '100', status: 'success', account: 'main' });
+
+    await retract(bot, '7', { operator: 'test', reason: 'wrong' });
+    assert.deepEqual(deleted, ['202', '201']);
+    assert.equal((await storage.getProcessedRecord(7)).status, 'retracted');
+    assert.deepEqual(await storage.getThreadParts(7), []);
+
+    await requeue(bot, '7', { operator: 'test' });
+    assert.equal((await storage.getProcessedRecord(7)).status, 'retry_pending');
+    assert.deepEqual(await storage.getThreadParts(7), []);
+});
+
+test('requeue clears parts left behind by an older retract', async (t) => {
+    const { bot, storage } = await fakeBot(t);
+    t.mock.method(console, 'log', () => {});
+    await storage.saveThreadPart({ recordId: 7, partIndex: 0, tweetId: '201', replyToTweetId: '100' });
+    await storage.saveProcessedRecord({ recordId: 7, postedTweetId: '201', status: 'retracted' });
+
+    await requeue(bot, '7', { operator: 'test' });
+    assert.deepEqual(await storage.getThreadParts(7), []);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCitations, extractIdentifiers, formatCitationsReply } = require('../lib/citations');
+const ContentPolicy = require('../lib/content_policy');
+
+test('inline identifiers are removed and returned with canonical links', () => {
+    const { text, citations } = extractIdentifiers('See doi:10.1000/XYZ.123. Also PMID: 12345 and arXiv:2101.00001.');
+
+    assert.equal(text, 'See . Also  and .');
+    assert.deepEqual(citations.map(({ type, id, url }) => ({ type, id, url })), [
+        { type: 'doi', id: '10.1000/xyz.123', url: 'https://doi.org/10.1000/xyz.123' },
+        { type: 'pmid', id: '12345', url: 'https://pubmed.ncbi.nlm.nih.gov/12345/' },
+        { type: 'arxiv', id: '2101.00001', url: 'https://arxiv.org/abs/2101.00001' }
+    ]);
+});
+
+test('doi.org links are taken as DOIs', () => {
+    const { citations } = extractIdentifiers('https://doi.org/10.1038/nature12373');
+    assert.equal(citations[0].id, '10.1038/nature12373');
+});
+
+test('reference sections are removed from the body', () => {
+    const answer = [
+        'Rapamycin extends lifespan in mice (PMID: 19587680).',
+        '',
+        'Science papers:',
+        '- Harrison et al. 2009 - https://doi.org/10.1038/nature08221',
+        '- A review without identifier',
+        '',
+        'Additional sources:',
+        '1. https://example.org/article'
+    ].join('\n');
+
+    const { body, citations } = extractCitations(answer);
+
+    assert.equal(body, 'Rapamycin extends lifespan in mice.');
+    assert.deepEqual(citations.map(citation => [citation.type, citation.id, citation.title]), [
+        ['pmid', '19587680', null],
+        ['doi', '10.1038/nature08221', 'Harrison et al. 2009'],
+        ['text', 'A review without identifier', 'A review without identifier'],
+        ['url', 'https://example.org/article', null]
+    ]);
+});
+
+test('prose after a blank line ends the reference section', () => {
+    const { body } = extractCitations('Answer.\n\nReferences:\n- doi:10.1000/abc\n\nMore prose here.');
+    assert.equal(body, 'Answer.\n\nMore prose here.');
+});
+
+test('duplicate identifiers are listed once', () => {
+    const { citations } = extractCitations('doi:10.1000/ABC and https://doi.org/10.1000/abc');
+    assert.equal(citations.length, 1);
+});
+
+test('citations reply lists links, or titles when there is no link', () => {
+    assert.equal(formatCitationsReply([]), '');
+    assert.equal(
+        formatCitationsReply([{ url: 'https://doi.org/10.1/x', title: null }, { url: null, title: 'Some book' }]),
+        'Sources:\n1. https://doi.org/10.1/x\n2. Some book'
+    );
+});
+
+test('DOIs inside publisher links leave the link intact', () => {
+    const url = 'https://www.nature.com/articles/10.1038/s41586-020-2012-7';
+    const { body, citations } = extractCitations(`Bats host the closest relatives (${url}). Also doi:10.1000/abc.`);
+
+    assert.equal(body, `Bats host the closest relatives (${url}). Also.`);
+    assert.deepEqual(citations.map(citation => citation.id), ['10.1000/abc']);
+
+    // nature.com is on the shipped allowlist, so the link is posted as written
+    const posted = ContentPolicy.fromFile().apply(body, citations);
+    assert.equal(posted.allowed, true);
+    assert.ok(posted.text.includes(url));
+});
+
+test('publisher links in a reference section are kept as url citations', () => {
+    const url = 'https://www.nature.com/articles/10.1038/s41586-020-2012-7';
+    const { citations } = extractCitations(`Answer.\n\nReferences:\n- Zhou et al. 2020 ${url}`);
+
+    assert.deepEqual(citations.map(({ type, id, title }) => ({ type, id, title })), [{ type: 'url', id: url, title: 'Zhou et al. 2020' }]);
+});
+
+test('www.doi.org and dx.doi.org links are taken as DOIs', () => {
+    for (const prefix of ['https://www.doi.org/', 'http://dx.doi.org/']) {
+        const { text, citations } = extractIdentifiers(`See ${prefix}10.1038/nature12373`);
+        assert.equal(text, 'See ');
+        assert.equal(citations[0].id, '10.1038/nature12373');
+    }
+});
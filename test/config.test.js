@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileConfig, loadConfig, applyReload, databaseOptions } = require('../lib/config');
+
+test('the shipped config file is valid and matches the defaults', () => {
+    assert.deepEqual(loadConfig(undefined, {}), compileConfig({}, 'defaults', {}));
+});
+
+test('environment variables win over the file, empty ones are ignored', () => {
+    const config = compileConfig({ maxTweetLength: 280, pollIntervalMs: 5000 }, 'test', {
+        TWEET_MAX_LENGTH: '25000',
+        POLL_INTERVAL_MS: '',
+        LISTEN_NOTIFY: 'true'
+    });
+
+    assert.equal(config.maxTweetLength, 25000);
+    assert.equal(config.pollIntervalMs, 5000);
+    assert.equal(config.listenNotify, true);
+});
+
+test('every problem is reported at once', () => {
+    assert.throws(
+        () => compileConfig({ maxRetries: -1, bogus: 1, database: { mainSsl: 'maybe' } }, 'test', { POST_CITATIONS_REPLY: 'yes' }),
+        (error) => {
+            assert.match(error.message, /bogus: unknown setting/);
+            assert.match(error.message, /maxRetries must be at least 0, got -1/);
+            assert.match(error.message, /database\.mainSsl must be one of disable, require, no-verify/);
+            assert.match(error.message, /postCitationsReply \(from POST_CITATIONS_REPLY\) must be true or false, got "yes"/);
+            return true;
+        }
+    );
+});
+
+test('nullable and url settings', () => {
+    assert.equal(compileConfig({ upstreamSync: { retractedColumn: null } }, 'test', {}).upstreamSync.retractedColumn, null);
+    assert.equal(compileConfig({}, 'test', { TWITTER_API_BASE_URL: 'http://127.0.0.1:8547' }).twitterApiBaseUrl, 'http://127.0.0.1:8547');
+    assert.throws(() => compileConfig({ twitterApiBaseUrl: 'ftp://host' }, 'test', {}), /must be an http\(s\) URL/);
+});
+
+test('runtime switches and policy overrides come from the schema', () => {
+    const config = compileConfig({}, 'test', {
+        DRY_RUN: 'true',
+        DRY_RUN_LIVE_READS: 'false',
+        STORAGE_BACKEND: 'file',
+        ORDERING_STRATEGY: 'lifo',
+        POI_VERIFY_ON_CHAIN: 'false'
+    });
+    assert.deepEqual(config.dryRun, { enabled: true, output: null, liveReads: false });
+    assert.deepEqual(config.storage, { backend: 'file', file: null });
+    assert.equal(config.ordering.strategy, 'lifo');
+    assert.deepEqual(config.poi, { verifyOnChain: false, rpcUrl: null, disclosure: null });
+
+    assert.throws(
+        () => compileConfig({}, 'test', { STORAGE_BACKEND: 'sqlite', ORDERING_STRATEGY: 'random', POI_DISCLOSURE: 'footer' }),
+        (error) => {
+            assert.match(error.message, /storage\.backend \(from STORAGE_BACKEND\) must be one of postgres, file/);
+            assert.match(error.message, /ordering\.strategy \(from ORDERING_STRATEGY\) must be one of fifo, lifo, priority/);
+            assert.match(error.message, /poi\.disclosure \(from POI_DISCLOSURE\) must be one of none, inline, reply/);
+            return true;
+        }
+    );
+});
+
+test('ordering and POI overrides are applied over their files', () => {
+    const ProcessingOrder = require('../lib/ordering');
+    const { PoiValidator } = require('../lib/poi');
+
+    assert.equal(ProcessingOrder.fromFile(undefined, { overrides: { strategy: 'lifo' } }).strategy, 'lifo');
+    const poi = PoiValidator.fromFile(undefined, { overrides: { verifyOnChain: false, disclosure: 'reply' } });
+    assert.equal(poi.policy.verifyOnChain, false);
+    assert.equal(poi.policy.disclosure.mode, 'reply');
+});
+
+test('the metrics schedule is checked', () => {
+    assert.throws(() => compileConfig({ metrics: { schedule: [] } }, 'test', {}), /metrics\.schedule must be a non-empty array/);
+    assert.throws(() => compileConfig({ metrics: { schedule: [{ maxAgeMs: 1 }] } }, 'test', {}), /\[0\] needs positive integer/);
+});
+
+test('reload applies reloadable settings in place and reports the rest', () => {
+    const current = compileConfig({}, 'test', {});
+    const metrics = current.metrics;
+    const next = compileConfig({ maxRetries: 7, pollIntervalMs: 5000, metrics: { batchSize: 10 } }, 'test', {});
+
+    const { applied, restartRequired } = applyReload(current, next);
+
+    assert.deepEqual(applied.map(change => change.key), ['maxRetries', 'metrics.batchSize']);
+    assert.deepEqual(restartRequired, ['pollIntervalMs']);
+    assert.equal(current.maxRetries, 7);
+    assert.equal(metrics.batchSize, 10);
+    assert.equal(current.pollIntervalMs, 60000);
+});
+
+test('tracking storage shares the main database without RAILWAY_POSTGRES_URL', () => {
+    const config = compileConfig({ database: { mainSsl: 'require', trackingSsl: 'no-verify' } }, 'test', {});
+
+    const shared = databaseOptions(config, { POSTGRES_URL: 'postgres://main' });
+    assert.equal(shared.tracking.connectionString, 'postgres://main');
+    assert.equal(shared.tracking.ssl, true);
+
+    const separate = databaseOptions(config, { POSTGRES_URL: 'postgres://main', RAILWAY_POSTGRES_URL: 'postgres://tracking' });
+    assert.equal(separate.tracking.connectionString, 'postgres://tracking');
+    assert.deepEqual(separate.tracking.ssl, { rejectUnauthorized: false });
+});
+
+test('tweet limits below the thread splitter minimum are rejected', () => {
+    assert.throws(() => compileConfig({ maxTweetLength: 8 }, 'test', {}), /maxTweetLength must be at least 20, got 8/);
+
+    const AccountRegistry = require('../lib/accounts');
+    assert.throws(
+        () => AccountRegistry.compile({ accounts: [{ name: 'main', credentialsPrefix: 'TWITTER', maxTweetLength: 8 }] }, 'test'),
+        /maxTweetLength must be an integer of at least 20/
+    );
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ContentPolicy = require('../lib/content_policy');
+
+const policy = (definition) => new ContentPolicy(definition);
+
+test('the shipped policy file compiles', () => {
+    assert.ok(ContentPolicy.fromFile().policy.pii);
+});
+
+test('invalid definitions are rejected', () => {
+    assert.throws(() => policy([]), /expected an object/);
+    assert.throws(() => policy({ pii: { action: 'ignore' } }), /pii\.action must be one of/);
+    assert.throws(() => policy({ urls: {} }), /allowedDomains must be an array/);
+    assert.throws(() => policy({ blocklist: { patterns: ['('] } }), /invalid pattern/);
+    assert.throws(() => policy({ medicalAdvice: { action: 'disclaimer' } }), /disclaimer is required/);
+});
+
+test('blocklist terms match whole words only', () => {
+    const blocklist = policy({ blocklist: { terms: ['scam'] } });
+
+    assert.deepEqual(blocklist.apply('This is a SCAM.'), { allowed: false, rule: 'blocklist', detail: 'matched term "scam"' });
+    assert.equal(blocklist.apply('Scampi is seafood.').allowed, true);
+    assert.equal(blocklist.apply('Fine text', [{ title: 'a scam paper' }]).allowed, false);
+});
+
+test('PII is redacted with counts, or blocks the record', () => {
+    const redact = policy({ pii: {} });
+    const result = redact.apply('Mail jane@example.com or call (555) 123-4567.');
+
+    assert.equal(result.text, 'Mail [redacted] or call [redacted].');
+    assert.deepEqual(result.changes, { redacted: { email: 1, phone: 1 } });
+
+    const block = policy({ pii: { action: 'block' } });
+    assert.deepEqual(block.apply('Write to jane@example.com'), { allowed: false, rule: 'pii_email', detail: 'found 1 email' });
+});
+
+test('addresses keep the sentence-ending period', () => {
+    const redact = policy({ pii: {} });
+
+    assert.equal(redact.apply('She lives at 12 Main St. Call her later.').text, 'She lives at [redacted]. Call her later.');
+    assert.equal(redact.apply('Send it to 12 Main St. Apt 4 today.').text, 'Send it to [redacted] today.');
+    assert.equal(redact.apply('Visit 350 Fifth Avenue.').text, 'Visit [redacted].');
+});
+
+test('short number runs and plain numbers are not phone numbers', () => {
+    const redact = policy({ pii: {} });
+
+    for (const text of ['Scores moved +12 34 56 over the trial.', 'Doses of 100 200 300 mg.', 'ISBN 978-3-16-148410-0', 'Effect size +0.25 (95% CI 0.1-0.4).']) {
+        const result = redact.apply(text);
+        assert.equal(result.text, text);
+        assert.equal(result.changes, null);
+    }
+    assert.equal(redact.apply('Call +44 20 7946 0958 today.').text, 'Call [redacted] today.');
+});
+
+test('PII detectors can be switched off', () => {
+    const result = policy({ pii: { email: false } }).apply('jane@example.com');
+    assert.equal(result.text, 'jane@example.com');
+    assert.equal(result.changes, null);
+});
+
+test('links outside the allowlist are blocked or removed', () => {
+    const urls = { allowedDomains: ['nih.gov'] };
+    const citations = [{ type: 'url', url: 'https://evil.example/x' }, { type: 'pmid', url: 'https://pubmed.ncbi.nlm.nih.gov/1/' }];
+
+    const blocked = policy({ urls }).apply('See https://evil.example/x.', citations);
+    assert.deepEqual(blocked, { allowed: false, rule: 'url_domain', detail: 'links to evil.example are not on the allowlist' });
+
+    const removed = policy({ urls: { ...urls, action: 'remove' } }).apply('See https://evil.example/x and https://www.nih.gov/a.', citations);
+    assert.equal(removed.text, 'See and https://www.nih.gov/a.');
+    assert.deepEqual(removed.citations, [citations[1]]);
+    assert.deepEqual(removed.changes, { removedDomains: ['evil.example'] });
+});
+
+test('medical advice gets a disclaimer once, or blocks the record', () => {
+    const medicalAdvice = { patterns: ['\\byou should take\\b'], disclaimer: 'Not medical advice.' };
+
+    const result = policy({ medicalAdvice }).apply('You should take vitamin D.');
+    assert.equal(result.text, 'You should take vitamin D.\n\nNot medical advice.');
+    assert.equal(policy({ medicalAdvice }).apply(result.text).text, result.text);
+
+    assert.equal(policy({ medicalAdvice: { ...medicalAdvice, action: 'block' } }).apply('You should take it').rule, 'medical_advice');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EligibilityRules = require('../lib/eligibility');
+
+const record = (fields) => ({ id: 1, tweet_id: '123', answer: 'Answer with doi:10.1000/abc', ...fields });
+
+test('the shipped rules accept a record with sources', () => {
+    const rules = EligibilityRules.fromFile();
+    assert.deepEqual(rules.evaluate(record()), { eligible: true, reason: null, rejections: [] });
+});
+
+test('the first rejecting rule gives the reason, every rejection is listed', () => {
+    const rules = EligibilityRules.fromFile();
+    const result = rules.evaluate(record({ answer: '  ', tweet_id: null }));
+
+    assert.equal(result.eligible, false);
+    assert.equal(result.reason, 'rejected_empty_answer');
+    assert.deepEqual(result.rejections.map(rejection => rejection.rule), ['answer_present', 'tweet_id_present', 'answer_length', 'has_sources']);
+});
+
+test('length, include and exclude rules', () => {
+    const rules = new EligibilityRules({
+        rules: [
+            { name: 'short', type: 'length', field: 'answer', max: 10, reason: 'rejected_long' },
+            { name: 'english', type: 'include', field: 'answer', patterns: ['^[a-z ]+$'], flags: 'i', reason: 'rejected_language' },
+            { name: 'no_spam', type: 'exclude', field: 'answer', patterns: ['buy now'], flags: 'gi', reason: 'rejected_spam' }
+        ]
+    });
+
+    assert.equal(rules.evaluate({ answer: 'Short one' }).eligible, true);
+    assert.equal(rules.evaluate({ answer: 'Much too long answer' }).reason, 'rejected_long');
+    assert.equal(rules.evaluate({ answer: 'Über' }).reason, 'rejected_language');
+    // g flag is dropped, so repeated checks give the same answer
+    assert.equal(rules.evaluate({ answer: 'BUY NOW' }).reason, 'rejected_spam');
+    assert.equal(rules.evaluate({ answer: 'BUY NOW' }).reason, 'rejected_spam');
+});
+
+test('requirePoi adds a poi_transaction rule first', () => {
+    const rules = new EligibilityRules({ requirePoi: true, rules: [] });
+    assert.equal(rules.evaluate({ poi_transaction: '' }).reason, 'rejected_missing_poi');
+    assert.equal(rules.evaluate({ poi_transaction: '0xabc' }).eligible, true);
+});
+
+test('disabled rules are ignored and invalid rules are rejected', () => {
+    assert.equal(new EligibilityRules({ rules: [{ type: 'bogus', enabled: false }] }).rules.length, 0);
+    assert.throws(() => new EligibilityRules({}), /"rules" array/);
+    assert.throws(() => new EligibilityRules({ rules: [{ type: 'bogus', field: 'a', reason: 'rejected_x' }] }), /unknown type/);
+    assert.throws(() => new EligibilityRules({ rules: [{ type: 'required', field: 'a', reason: 'bad' }] }), /must start with "rejected_"/);
+    assert.throws(() => new EligibilityRules({ rules: [{ type: 'include', field: 'a', reason: 'rejected_x' }] }), /non-empty "patterns"/);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('../lib/storage/file_storage');
+
+async function openStorage(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracking-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const storage = new FileStorage({ filePath: path.join(dir, 'tracking.ndjson') });
+    await storage.init();
+    return storage;
+}
+
+test('the posting intent does not touch status_detail and is cleared afterwards', async (t) => {
+    const storage = await openStorage(t);
+    const trail = [{ event: 'edited', policy: 'repost' }];
+    await storage.saveProcessedRecord({ recordId: 1, postedTweetId: '10', status: 'success', statusDetail: { answerHash: 'a', upstreamChanges: trail } });
+
+    await storage.savePostingIntent({ recordId: 1, replyToTweetId: '5', account: 'main', intent: { partIndex: 0, inReplyToTweetId: '5' } });
+    let row = await storage.getProcessedRecord(1);
+    assert.equal(row.status, 'posting');
+    assert.deepEqual(JSON.parse(row.posting_intent), { partIndex: 0, inReplyToTweetId: '5' });
+    assert.deepEqual(JSON.parse(row.status_detail).upstreamChanges, trail);
+
+    await storage.saveProcessedRecord({ recordId: 1, postedTweetId: '11', status: 'success', statusDetail: { answerHash: 'b' } });
+    row = await storage.getProcessedRecord(1);
+    assert.equal(row.posting_intent, null);
+    assert.deepEqual(JSON.parse(row.status_detail), { answerHash: 'b', upstreamChanges: trail });
+});
+
+test('the retry queue clears the posting intent', async (t) => {
+    const storage = await openStorage(t);
+    await storage.savePostingIntent({ recordId: 2, replyToTweetId: '5', intent: { partIndex: 1 } });
+    await storage.saveRetryState({ recordId: 2, status: 'retry_pending', attemptCount: 0, nextAttemptAt: new Date() });
+
+    const row = await storage.getProcessedRecord(2);
+    assert.equal(row.status, 'retry_pending');
+    assert.equal(row.posting_intent, null);
+    assert.equal(row.reply_to_tweet_id, '5');
+});
+
+test('rejected rows page past the first page in record_id order', async (t) => {
+    const storage = await openStorage(t);
+    for (const id of ['3', '1', '2', '4']) {
+        await storage.saveProcessedRecord({ recordId: id, status: 'rejected_no_sources' });
+    }
+    await storage.saveProcessedRecord({ recordId: '0', status: 'success' });
+
+    const first = await storage.pageRecordsByStatusPrefix('rejected_', { limit: 3 });
+    assert.deepEqual(first.map(row => row.record_id), ['1', '2', '3']);
+    const second = await storage.pageRecordsByStatusPrefix('rejected_', { afterRecordId: '3', limit: 3 });
+    assert.deepEqual(second.map(row => row.record_id), ['4']);
+});
+
+test('writes from another process are seen before the next read or rewrite', async (t) => {
+    const bot = await openStorage(t);
+    await bot.saveRetryState({ recordId: 3, replyToTweetId: '7', status: 'retry_pending', attemptCount: 1, nextAttemptAt: new Date() });
+
+    const admin = new FileStorage({ filePath: bot.filePath });
+    await admin.init();
+    await admin.saveProcessedRecord({ recordId: 3, status: 'skipped_manual', statusDetail: { reason: 'off-topic' } });
+
+    assert.equal((await bot.getProcessedRecord(3)).status, 'skipped_manual');
+    assert.deepEqual(await bot.getDueRetries(10), []);
+
+    // The bot's next write builds on the admin's row instead of overwriting it
+    await bot.saveRetryState({ recordId: 3, status: 'skipped_manual', attemptCount: 2 });
+    const row = await admin.getProcessedRecord(3);
+    assert.equal(row.attempt_count, 2);
+    assert.deepEqual(JSON.parse(row.status_detail), { reason: 'off-topic' });
+
+    // Each process applies its own lines once
+    await bot.saveMetricsSnapshot({ recordId: 3, tweetId: '8', metrics: { like_count: 1 } });
+    assert.equal((await bot.describe()).metricsSnapshots, 1);
+    assert.equal((await admin.describe()).metricsSnapshots, 1);
+});
+
+test('only a process opened with compact rewrites the file, the others reload it', async (t) => {
+    const writer = await openStorage(t);
+    for (let i = 0; i < 1100; i++) {
+        await writer.saveCursor('twitter_answers', { createdAt: `2025-01-01 00:00:${i}`, id: String(i) });
+    }
+
+    const reader = new FileStorage({ filePath: writer.filePath });
+    await reader.init();
+    assert.equal((await reader.describe()).lines, 1100);
+
+    const bot = new FileStorage({ filePath: writer.filePath, compact: true });
+    await bot.init();
+    assert.equal((await bot.describe()).lines, 1);
+
+    await bot.saveCursor('twitter_answers', { createdAt: '2025-01-02 00:00:00', id: 'last' });
+    assert.deepEqual(await reader.getCursor('twitter_answers'), { createdAt: '2025-01-02 00:00:00', id: 'last' });
+    assert.equal((await reader.describe()).lines, 2);
+});
+
+test('a torn last line is skipped and closed off', async (t) => {
+    const storage = await openStorage(t);
+    await storage.saveCursor('a', { createdAt: 'x', id: '1' });
+    fs.appendFileSync(storage.filePath, '{"type":"cursor","da');
+
+    const reopened = new FileStorage({ filePath: storage.filePath });
+    await reopened.init();
+    await reopened.saveCursor('b', { createdAt: 'y', id: '2' });
+
+    const again = new FileStorage({ filePath: storage.filePath });
+    await again.init();
+    assert.deepEqual(await again.getCursor('b'), { createdAt: 'y', id: '2' });
+    assert.deepEqual(await again.getCursor('a'), { createdAt: 'x', id: '1' });
+});
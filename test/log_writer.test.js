@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogWriter = require('../lib/log_writer');
+
+function logsDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const entry = (level, message) => ({ timestamp: '2025-01-01T10:00:00.000Z', level, message });
+
+test('the bot writer rotates files over the size limit and keeps the summary', async (t) => {
+    const dir = logsDir(t);
+    const writer = new LogWriter({ dir, maxFileBytes: 100 });
+    writer.write(entry('INFO', 'first line that is long enough to fill the file'));
+    await writer.flush();
+    writer.write(entry('ERROR', 'second line that pushes the file over the limit'));
+    await writer.close();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['activity_summary.json', 'bot-2025-01-01.1.log.gz', 'bot-2025-01-01.log', 'errors.log']);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'activity_summary.json'), 'utf8'))['2025-01-01'].errors, 1);
+});
+
+test('a writer without maintenance only appends', async (t) => {
+    const dir = logsDir(t);
+    fs.writeFileSync(path.join(dir, 'bot-2024-01-01.log'), 'old\n');
+    fs.writeFileSync(path.join(dir, 'activity_summary.json'), '{"kept":true}');
+
+    const writer = new LogWriter({ dir, maxFileBytes: 100, retentionDays: 1, maintenance: false });
+    writer.write(entry('INFO', 'first line that is long enough to fill the file'));
+    await writer.flush();
+    writer.write(entry('ERROR', 'second line that would push the file over the limit'));
+    await writer.close();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['activity_summary.json', 'bot-2024-01-01.log', 'bot-2025-01-01.log', 'errors.log']);
+    assert.equal(fs.readFileSync(path.join(dir, 'bot-2025-01-01.log'), 'utf8').trim().split('\n').length, 2);
+    assert.equal(fs.readFileSync(path.join(dir, 'activity_summary.json'), 'utf8'), '{"kept":true}');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('../lib/storage/file_storage');
+const { MentionListener } = require('../lib/mention_listener');
+
+// Mentions timeline over ids 1..n (newest first), honouring since_id, until_id and pagination tokens
+function fakeAccount(timeline) {
+    const requests = [];
+    const get = async (endpoint, query) => {
+        requests.push(query);
+        const matching = timeline.ids
+            .filter(id => (!query.since_id || id > Number(query.since_id)) && (!query.until_id || id < Number(query.until_id)))
+            .sort((a, b) => b - a);
+        const start = query.pagination_token ? Number(query.pagination_token) : 0;
+        const page = matching.slice(start, start + query.max_results);
+        const next = start + query.max_results < matching.length ? String(start + query.max_results) : undefined;
+        const data = page.map(id => ({ id: String(id), text: `mention ${id}`, author_id: 'u1', created_at: new Date(id * 1000).toISOString() }));
+        return {
+            headers: {},
+            data: data.length > 0 ? { data, meta: { next_token: next } } : { meta: { result_count: 0 } }
+        };
+    };
+    return {
+        requests,
+        account: { name: 'main', userId: 'bot', rateLimits: { mentions: { remaining: null, resetTime: null } }, rwClient: { v2: { get } } }
+    };
+}
+
+async function openListener(t, account) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mentions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = new FileStorage({ filePath: path.join(dir, 'tracking.ndjson') });
+    await storage.init();
+
+    const saved = new Set();
+    const db = { query: async (sql, params) => {
+        if (!params) return { rowCount: 0 };
+        const fresh = !saved.has(params[0]);
+        saved.add(params[0]);
+        return { rowCount: fresh ? 1 : 0 };
+    } };
+    const listener = new MentionListener({
+        db,
+        storage,
+        getAccounts: () => [account],
+        updateRateLimitInfo: () => {},
+        config: { table: 'twitter_questions', intervalMs: 60000, pageSize: 2, maxPages: 2 }
+    });
+    return { listener, storage, saved };
+}
+
+test('a backlog beyond maxPages is resumed from the oldest mention fetched', async (t) => {
+    const timeline = { ids: [1] };
+    const { account, requests } = fakeAccount(timeline);
+    const { listener, storage, saved } = await openListener(t, account);
+
+    await listener.pollAccount(account);
+    assert.equal((await storage.getCursor('mentions:main')).id, '1');
+
+    timeline.ids = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+    await listener.pollAccount(account);
+    assert.equal((await storage.getCursor('mentions:main')).id, '1');
+    assert.deepEqual(Array.from(saved).sort(), ['1', '6', '7', '8', '9']);
+
+    timeline.ids.push(10);
+    await listener.pollAccount(account);
+    assert.equal(requests[requests.length - 1].until_id, '6');
+    assert.equal((await storage.getCursor('mentions:main')).id, '9');
+    assert.deepEqual(Array.from(saved).map(Number).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+    await listener.pollAccount(account);
+    assert.equal(requests[requests.length - 1].until_id, undefined);
+    assert.equal((await storage.getCursor('mentions:main')).id, '10');
+    assert.ok(saved.has('10'));
+});
+
+test('a failed request keeps the cursor and resumes below what was read', async (t) => {
+    const timeline = { ids: [1] };
+    const { account, requests } = fakeAccount(timeline);
+    const { listener, storage, saved } = await openListener(t, account);
+    await listener.pollAccount(account);
+
+    timeline.ids = [1, 2, 3, 4, 5];
+    const get = account.rwClient.v2.get;
+    let calls = 0;
+    account.rwClient.v2.get = async (...args) => {
+        if (++calls === 2) throw new Error('socket hang up');
+        return get(...args);
+    };
+    await listener.pollAccount(account);
+    assert.equal((await storage.getCursor('mentions:main')).id, '1');
+
+    await listener.pollAccount(account);
+    assert.equal(requests[requests.length - 1].until_id, '4');
+    assert.equal((await storage.getCursor('mentions:main')).id, '5');
+    assert.deepEqual(Array.from(saved).sort(), ['1', '2', '3', '4', '5']);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsCollector } = require('../lib/metrics_collector');
+
+const emptyBucket = () => ({ remaining: null, resetTime: null, limit: null, lastCheck: null });
+
+test('metrics lookups are tracked and budgeted under the GET /2/tweets bucket', async () => {
+    const account = {
+        name: 'main',
+        rateLimits: { lookup: { ...emptyBucket(), remaining: 0, resetTime: Date.now() + 60000 }, batchLookup: emptyBucket() },
+        rwClient: { v2: { get: async (endpoint, query, options) => {
+            requests.push({ endpoint, query, options });
+            // twitter-api-v2 full response: the body under `data`, headers beside it
+            return { headers: { 'x-rate-limit-remaining': '299' }, data: { data: query.ids.map(id => ({ id, public_metrics: { like_count: 1 } })) } };
+        } } }
+    };
+    const requests = [];
+    const updated = [];
+    const snapshots = [];
+    const collector = new MetricsCollector({
+        storage: { saveMetricsSnapshot: async (snapshot) => snapshots.push(snapshot) },
+        getAccount: () => account,
+        updateRateLimitInfo: (endpoint) => updated.push(endpoint),
+        config: { lookupReserve: 10 }
+    });
+
+    // An exhausted single-tweet lookup window does not hold metrics back
+    assert.equal(collector.hasLookupBudget(account), true);
+    assert.equal(await collector.collectBatch(account, [{ record_id: '1', posted_tweet_id: '10' }]), 1);
+    assert.deepEqual(updated, ['batchLookup']);
+    assert.deepEqual(requests, [{ endpoint: 'tweets', query: { ids: ['10'], 'tweet.fields': ['public_metrics'] }, options: { fullResponse: true } }]);
+    assert.deepEqual(snapshots.map(snapshot => snapshot.metrics.like_count), [1]);
+
+    account.rateLimits.batchLookup = { ...emptyBucket(), remaining: 10, resetTime: Date.now() + 60000 };
+    assert.equal(collector.hasLookupBudget(account), false);
+});
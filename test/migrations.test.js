@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator, loadMigrations, label } = require('../lib/migrations');
+
+// Records statements and keeps schema_migrations rows in memory
+class FakeDb {
+    constructor({ failOn = null } = {}) {
+        this.failOn = failOn;
+        this.tableExists = false;
+        this.rows = new Map();
+        this.statements = [];
+    }
+
+    async query(sql, params = []) {
+        const statement = sql.trim();
+        this.statements.push(statement);
+        if (this.failOn && statement.includes(this.failOn)) throw new Error(`failed: ${this.failOn}`);
+
+        if (statement.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) this.tableExists = true;
+        if (statement.startsWith('SELECT to_regclass')) return { rows: [{ name: this.tableExists ? 'schema_migrations' : null }] };
+        if (statement.startsWith('SELECT version')) return { rows: Array.from(this.rows.values()) };
+        if (statement.startsWith('INSERT INTO schema_migrations')) this.rows.set(params[0], { version: params[0], name: params[1], applied_at: new Date() });
+        if (statement.startsWith('DELETE FROM schema_migrations')) this.rows.delete(params[0]);
+        return { rows: [] };
+    }
+}
+
+function migrationsDir(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), `module.exports = ${JSON.stringify(content)};`);
+    }
+    return dir;
+}
+
+const dir = migrationsDir({
+    '001_first.js': { up: 'CREATE first', down: 'DROP first' },
+    '002_second.js': { up: 'CREATE second', down: 'DROP second' },
+    '003_third.js': { up: 'CREATE third' }
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('the shipped migrations load in order', () => {
+    const migrations = loadMigrations();
+    assert.ok(migrations.length >= 8);
+    assert.equal(label(migrations[0]), '001_create_processed_records');
+});
+
+test('migration files must be numbered without gaps', () => {
+    const gap = migrationsDir({ '001_a.js': { up: 'A' }, '003_c.js': { up: 'C' } });
+    const badName = migrationsDir({ 'first.js': { up: 'A' } });
+    try {
+        assert.throws(() => loadMigrations(gap), /without gaps/);
+        assert.throws(() => loadMigrations(badName), /Invalid migration file name/);
+    } finally {
+        fs.rmSync(gap, { recursive: true, force: true });
+        fs.rmSync(badName, { recursive: true, force: true });
+    }
+});
+
+test('check fails on a fresh database without creating anything', async () => {
+    const db = new FakeDb();
+    await assert.rejects(new Migrator({ db, dir }).check(), /3 pending migration\(s\): 001_first, 002_second, 003_third/);
+    assert.equal(db.tableExists, false);
+});
+
+test('up applies pending migrations in transactions, up to a version', async () => {
+    const db = new FakeDb();
+    const migrator = new Migrator({ db, dir });
+
+    assert.deepEqual((await migrator.up({ to: 2 })).map(label), ['001_first', '002_second']);
+    assert.deepEqual(db.statements.slice(-4), ['BEGIN', 'CREATE second', 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', 'COMMIT']);
+    assert.deepEqual((await migrator.up()).map(label), ['003_third']);
+    assert.deepEqual(await migrator.check(), { version: 3 });
+});
+
+test('a failing migration is rolled back and not recorded', async () => {
+    const db = new FakeDb({ failOn: 'CREATE second' });
+    await assert.rejects(new Migrator({ db, dir }).up(), /failed: CREATE second/);
+
+    assert.deepEqual(Array.from(db.rows.keys()), [1]);
+    assert.equal(db.statements[db.statements.length - 1], 'ROLLBACK');
+});
+
+test('down rolls back and refuses irreversible migrations up front', async () => {
+    const db = new FakeDb();
+    const migrator = new Migrator({ db, dir });
+    await migrator.up();
+
+    await assert.rejects(migrator.down(), /003_third has no "down" SQL/);
+    assert.equal(db.rows.size, 3);
+
+    const partial = new FakeDb();
+    const partialMigrator = new Migrator({ db: partial, dir });
+    await partialMigrator.up({ to: 2 });
+    assert.deepEqual((await partialMigrator.down({ to: 0 })).map(label), ['002_second', '001_first']);
+    assert.equal(partial.rows.size, 0);
+});
+
+test('status lists versions applied by a newer release', async () => {
+    const db = new FakeDb();
+    const migrator = new Migrator({ db, dir });
+    await migrator.up();
+    db.rows.set(4, { version: 4, name: 'future', applied_at: new Date() });
+
+    const { unknown } = await migrator.status();
+    assert.deepEqual(unknown.map(migration => migration.version), [4]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProcessingOrder = require('../lib/ordering');
+
+const NOW = Date.parse('2025-01-01T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60000).toISOString();
+const ids = (records) => records.map(record => record.id);
+
+const records = [
+    { id: 'b', created_at: minutesAgo(10), tweet_id: '1', urgency: 1 },
+    { id: 'a', created_at: minutesAgo(30), tweet_id: '2', urgency: null },
+    { id: 'c', created_at: minutesAgo(5), tweet_id: '3', urgency: 5 }
+];
+
+test('fifo and lifo order by created_at', () => {
+    assert.deepEqual(ids(new ProcessingOrder({}).sort(records, { now: NOW })), ['a', 'b', 'c']);
+    assert.deepEqual(ids(new ProcessingOrder({ strategy: 'lifo' }).sort(records, { now: NOW })), ['c', 'b', 'a']);
+});
+
+test('records with the same created_at are ordered by id', () => {
+    const same = [{ id: '2', created_at: minutesAgo(1) }, { id: '10', created_at: minutesAgo(1) }];
+    assert.deepEqual(ids(new ProcessingOrder({}).sort(same, { now: NOW })), ['10', '2']);
+});
+
+test('id ties are broken in byte order, not locale order', () => {
+    const same = [{ id: 'a', created_at: minutesAgo(1) }, { id: 'B', created_at: minutesAgo(1) }, { id: '_', created_at: minutesAgo(1) }];
+    assert.deepEqual(ids(new ProcessingOrder({}).sort(same, { now: NOW })), ['B', '_', 'a']);
+});
+
+test('priority uses the column, then the score terms', () => {
+    const order = new ProcessingOrder({
+        strategy: 'priority',
+        priority: { column: 'urgency', score: [{ signal: 'author_followers', weight: 1, scale: 'log10' }] }
+    });
+    const followers = new Map([['2', 999999]]);
+
+    assert.equal(order.needsAuthorFollowers, true);
+    assert.equal(order.score(records[1], { now: NOW, followers }), 6);
+    assert.deepEqual(ids(order.sort(records, { now: NOW, followers })), ['a', 'c', 'b']);
+});
+
+test('age_minutes and field terms', () => {
+    const order = new ProcessingOrder({
+        strategy: 'priority',
+        priority: { score: [{ signal: 'age_minutes', weight: 1 }, { field: 'urgency', weight: 10 }] }
+    });
+
+    assert.equal(order.score(records[0], { now: NOW }), 20);
+    assert.equal(order.score(records[1], { now: NOW }), 30);
+    assert.deepEqual(ids(order.sort(records, { now: NOW })), ['c', 'a', 'b']);
+});
+
+test('overdue records jump the queue oldest first', () => {
+    const order = new ProcessingOrder({ strategy: 'lifo', maxWaitMinutes: 8 });
+    assert.deepEqual(ids(order.sort(records, { now: NOW })), ['a', 'b', 'c']);
+});
+
+test('invalid definitions are rejected', () => {
+    assert.throws(() => new ProcessingOrder({ strategy: 'random' }), /unknown strategy/);
+    assert.throws(() => new ProcessingOrder({ strategy: 'priority' }), /needs "priority.column"/);
+    assert.throws(() => new ProcessingOrder({ priority: { score: [{ signal: 'likes', weight: 1 }] } }), /unknown signal/);
+    assert.throws(() => new ProcessingOrder({ priority: { score: [{ field: 'a', signal: 'age_minutes', weight: 1 }] } }), /exactly one/);
+    assert.throws(() => new ProcessingOrder({ maxWaitMinutes: 0 }), /maxWaitMinutes/);
+    assert.throws(() => new ProcessingOrder({ batchSize: 1.5 }), /positive integer/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hashTweetText, findPostedReply } = require('../lib/reconcile');
+
+const reply = (id, text, parent) => ({ id, text, referenced_tweets: [{ type: 'replied_to', id: parent }] });
+
+test('tweet text is hashed the way Twitter returns it', () => {
+    const sent = 'Vitamin D & bones <review> https://example.org/paper';
+    const returned = 'Vitamin D &amp; bones &lt;review&gt;  https://t.co/abc123';
+    assert.equal(hashTweetText(returned), hashTweetText(sent));
+    assert.notEqual(hashTweetText('other text'), hashTweetText(sent));
+});
+
+test('a reply to the parent with the same content hash is found', () => {
+    const contentHash = hashTweetText('Part one (1/2)');
+    const tweets = [reply('3', 'Something else', '100'), reply('2', 'Part one (1/2)', '100'), reply('1', 'Part one (1/2)', '999')];
+
+    assert.deepEqual(findPostedReply(tweets, { inReplyToTweetId: '100', contentHash }), { tweet: tweets[1], matchedBy: 'content_hash' });
+});
+
+test('a single reply to the parent is taken even when the text hash differs', () => {
+    const tweets = [reply('2', 'Edited by Twitter', '100')];
+    const result = findPostedReply(tweets, { inReplyToTweetId: 100, contentHash: hashTweetText('Original') });
+    assert.deepEqual(result, { tweet: tweets[0], matchedBy: 'reply_target' });
+});
+
+test('several replies that do not match the hash are ambiguous', () => {
+    const tweets = [reply('2', 'First', '100'), reply('3', 'Second', '100')];
+    assert.equal(findPostedReply(tweets, { inReplyToTweetId: '100', contentHash: hashTweetText('Third') }), null);
+});
+
+test('replies to another tweet or an empty timeline find nothing', () => {
+    const contentHash = hashTweetText('Part one');
+    assert.equal(findPostedReply([reply('2', 'Part one', '999'), { id: '3', text: 'Part one' }], { inReplyToTweetId: '100', contentHash }), null);
+    assert.equal(findPostedReply([], { inReplyToTweetId: '100', contentHash }), null);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('../lib/storage/file_storage');
+const { buildReport, reportRows } = require('../lib/report');
+
+const FROM = '2025-01-15T00:00:00.000Z';
+const TO = '2025-01-16T00:00:00.000Z';
+
+test('records are counted by status and posts by account', () => {
+    const records = [
+        { record_id: '1', status: 'success', account: 'main', updated_at: '2025-01-15T09:10:00Z', content_length: 200 },
+        { record_id: '2', status: 'success', account: 'main', updated_at: '2025-01-15T09:40:00Z', content_length: 100 },
+        { record_id: '3', status: 'success', account: null, updated_at: '2025-01-15T14:00:00Z', content_length: null },
+        { record_id: '4', status: 'rejected_no_sources', updated_at: '2025-01-15T10:00:00Z' },
+        { record_id: '5', status: 'skipped_manual', account: 'main', updated_at: '2025-01-15T10:00:00Z' },
+        { record_id: '6', status: 'retry_pending', updated_at: '2025-01-15T11:00:00Z' },
+        { record_id: '7', status: 'dead_letter', updated_at: '2025-01-15T12:00:00Z' }
+    ];
+    const sourceCreatedAt = new Map([['1', '2025-01-15T09:00:00Z'], ['2', '2025-01-15T09:10:00Z']]);
+
+    const report = buildReport(records, { from: FROM, to: TO, sourceCreatedAt });
+
+    assert.deepEqual(report.range, { from: FROM, to: TO });
+    assert.deepEqual(report.totals, { records: 7, posts: 3, skipped: 2, failed: 2, failureRatePercent: 40, avgContentLength: 150 });
+    assert.deepEqual(report.skipsByStatus, { rejected_no_sources: 1, skipped_manual: 1 });
+    assert.deepEqual(report.failuresByStatus, { retry_pending: 1, dead_letter: 1 });
+    assert.deepEqual(report.postsByAccount, { main: 2, unknown: 1 });
+    assert.deepEqual(report.timeToPostMinutes, { measured: 2, avg: 20, median: 10, p90: 30, max: 30 });
+    assert.deepEqual(report.busiestHoursUtc, [{ hour: 9, posts: 2 }, { hour: 14, posts: 1 }]);
+    assert.deepEqual(reportRows(report).find(row => row[0] === 'posts_by_account'), ['posts_by_account', 'main', 2]);
+});
+
+test('an empty range reports zeros and no latency without source times', () => {
+    const report = buildReport([], { from: FROM, to: TO });
+    assert.equal(report.totals.failureRatePercent, 0);
+    assert.equal(report.totals.avgContentLength, null);
+    assert.equal(report.timeToPostMinutes, null);
+    assert.deepEqual(report.busiestHoursUtc, []);
+});
+
+test('the window is [from, to) on updated_at, the time a record was posted', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = new FileStorage({ filePath: path.join(dir, 'tracking.ndjson') });
+    await storage.init();
+
+    t.mock.timers.enable({ apis: ['Date'] });
+    const saveAt = async (time, recordId) => {
+        t.mock.timers.setTime(Date.parse(time));
+        await storage.saveProcessedRecord({ recordId, status: 'success', account: 'main' });
+    };
+    await saveAt('2025-01-14T23:59:59.999Z', 'before');
+    await saveAt(FROM, 'at-from');
+    await saveAt('2025-01-15T23:59:59.999Z', 'last');
+    await saveAt(TO, 'at-to');
+    t.mock.timers.reset();
+
+    const records = await storage.listRecordsBetween(FROM, TO);
+    assert.deepEqual(records.map(row => row.record_id), ['at-from', 'last']);
+
+    const report = buildReport(records, { from: FROM, to: TO });
+    assert.equal(report.totals.posts, 2);
+    assert.deepEqual(report.busiestHoursUtc, [{ hour: 0, posts: 1 }, { hour: 23, posts: 1 }]);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PostingSchedule = require('../lib/schedule');
+
+const at = (iso) => Date.parse(iso);
+const HOUR_MS = 60 * 60 * 1000;
+
+test('the shipped schedule file compiles', () => {
+    assert.ok(PostingSchedule.fromFile().describe());
+});
+
+test('invalid schedules are rejected', () => {
+    assert.throws(() => new PostingSchedule({ quietHours: [{ start: '22:00', end: '22:00' }] }), /must differ/);
+    assert.throws(() => new PostingSchedule({ quietHours: [{ start: '25:00', end: '06:00' }] }), /HH:MM/);
+    assert.throws(() => new PostingSchedule({ quietHours: [{ timezone: 'Mars/Base', start: '22:00', end: '06:00' }] }), /unknown timezone/);
+    assert.throws(() => new PostingSchedule({ maxPostsPerDay: 0 }), /positive integer or null/);
+});
+
+test('quiet hours crossing midnight hold records until the window ends', () => {
+    const schedule = new PostingSchedule({ quietHours: [{ start: '22:00', end: '06:00' }] });
+
+    assert.deepEqual(schedule.check({}, at('2025-01-15T23:30:00Z')), {
+        until: new Date('2025-01-16T06:00:00Z'),
+        reasons: [{ rule: 'quiet_hours', window: '22:00-06:00 UTC', until: '2025-01-16T06:00:00.000Z' }]
+    });
+    assert.equal(schedule.check({}, at('2025-01-16T05:00:00Z')).until.toISOString(), '2025-01-16T06:00:00.000Z');
+    assert.equal(schedule.check({}, at('2025-01-16T06:00:00Z')), null);
+    assert.equal(schedule.check({}, at('2025-01-15T21:59:00Z')), null);
+});
+
+test('quiet hours are read in their own time zone', () => {
+    // New York is UTC-5 in January
+    const schedule = new PostingSchedule({ quietHours: [{ timezone: 'America/New_York', start: '22:00', end: '06:00' }] });
+
+    assert.equal(schedule.check({}, at('2025-01-15T23:30:00Z')), null); // 18:30 local
+    const hold = schedule.check({}, at('2025-01-16T04:00:00Z')); // 23:00 local
+    assert.equal(hold.until.toISOString(), '2025-01-16T11:00:00.000Z');
+    assert.equal(hold.reasons[0].window, '22:00-06:00 America/New_York');
+});
+
+test('the daily budget holds records until the oldest post leaves the window', () => {
+    const now = at('2025-01-15T12:00:00Z');
+    const schedule = new PostingSchedule({ maxPostsPerDay: 2 });
+    schedule.loadHistory([new Date(now - 25 * HOUR_MS).toISOString(), new Date(now - 23 * HOUR_MS).toISOString()]);
+    assert.equal(schedule.check({}, now), null);
+
+    schedule.recordPost(now - HOUR_MS);
+    assert.deepEqual(schedule.check({}, now), {
+        until: new Date(now + HOUR_MS),
+        reasons: [{ rule: 'maxPostsPerDay', until: new Date(now + HOUR_MS).toISOString() }]
+    });
+    assert.equal(schedule.check({}, now + HOUR_MS), null);
+});
+
+test('the hourly budget counts the last 60 minutes', () => {
+    const now = at('2025-01-15T12:00:00Z');
+    const schedule = new PostingSchedule({ maxPostsPerHour: 1 });
+    schedule.recordPost(now - 45 * 60 * 1000);
+
+    const hold = schedule.check({}, now);
+    assert.equal(hold.reasons[0].rule, 'maxPostsPerHour');
+    assert.equal(hold.until.getTime(), now + 15 * 60 * 1000);
+});
+
+test('post_not_before holds a record until its own time', () => {
+    const now = at('2025-01-15T12:00:00Z');
+    const schedule = new PostingSchedule({});
+
+    assert.deepEqual(schedule.check({ post_not_before: '2025-01-15T14:00:00Z' }, now), {
+        until: new Date('2025-01-15T14:00:00Z'),
+        reasons: [{ rule: 'post_not_before', until: '2025-01-15T14:00:00.000Z' }]
+    });
+    assert.equal(schedule.check({ post_not_before: '2025-01-15T11:00:00Z' }, now), null);
+    assert.equal(schedule.check({ post_not_before: 'not a date' }, now), null);
+    assert.equal(new PostingSchedule({ postNotBeforeColumn: null }).check({ post_not_before: '2025-01-15T14:00:00Z' }, now), null);
+});
+
+test('a record held by several rules waits for the latest of them', () => {
+    const schedule = new PostingSchedule({ quietHours: [{ start: '22:00', end: '06:00' }] });
+    const hold = schedule.check({ post_not_before: '2025-01-16T08:00:00Z' }, at('2025-01-15T23:00:00Z'));
+
+    assert.deepEqual(hold.reasons.map(reason => reason.rule), ['post_not_before', 'quiet_hours']);
+    assert.equal(hold.until.toISOString(), '2025-01-16T08:00:00.000Z');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoThread, chunkText, tweetLength, MIN_TWEET_LENGTH } = require('../lib/thread_splitter');
+
+test('short text is a single unnumbered part', () => {
+    assert.deepEqual(splitIntoThread('  Short answer.  ', 280), ['Short answer.']);
+    assert.deepEqual(splitIntoThread('', 280), []);
+    assert.deepEqual(splitIntoThread(null, 280), []);
+});
+
+test('long text is split into numbered parts within the limit', () => {
+    const text = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} explains one more detail.`).join(' ');
+    const parts = splitIntoThread(text, 100);
+
+    assert.ok(parts.length > 1);
+    parts.forEach((part, index) => {
+        assert.ok(part.length <= 100, `part ${index + 1} is ${part.length} chars`);
+        assert.ok(part.endsWith(` (${index + 1}/${parts.length})`));
+    });
+    const rejoined = parts.map(part => part.replace(/ \(\d+\/\d+\)$/, '')).join(' ');
+    assert.equal(rejoined, text);
+});
+
+test('paragraph boundaries are preferred over sentence boundaries', () => {
+    const first = 'First paragraph. It has two sentences.';
+    const second = 'Second paragraph is here.';
+    assert.deepEqual(chunkText(`${first}\n\n${second}`, 45), [first, second]);
+});
+
+test('the suffix grows when the part count gains a digit', () => {
+    const text = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+    const parts = splitIntoThread(text, 30);
+
+    assert.ok(parts.length >= 10);
+    parts.forEach(part => assert.ok(part.length <= 30, `"${part}" is ${part.length} chars`));
+});
+
+test('words longer than the limit are hard cut', () => {
+    assert.deepEqual(chunkText('a'.repeat(25), 10), ['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+});
+
+test('lengths are weighted like Twitter counts them', () => {
+    assert.equal(tweetLength('hello'), 5);
+    assert.equal(tweetLength('日本語'), 6);
+    assert.equal(tweetLength('ok 👍'), 5);
+    assert.equal(tweetLength('see https://doi.org/1'), 27);
+
+    const parts = splitIntoThread('漢字'.repeat(100), 50);
+    assert.ok(parts.length > 1);
+    parts.forEach(part => assert.ok(tweetLength(part) <= 50, `"${part}" weighs ${tweetLength(part)}`));
+    assert.equal(parts.map(part => part.replace(/ \(\d+\/\d+\)$/, '')).join(''), '漢字'.repeat(100));
+});
+
+test('hard cuts never split a surrogate pair', () => {
+    const chunks = chunkText('😀'.repeat(15), 10);
+    assert.deepEqual(chunks, ['😀'.repeat(5), '😀'.repeat(5), '😀'.repeat(5)]);
+});
+
+test('limits too small for the numbering are rejected clearly', () => {
+    assert.throws(() => splitIntoThread('hello world foo bar baz', 8), { name: 'RangeError', message: /at least 20/ });
+    assert.throws(() => splitIntoThread('hello', 0), RangeError);
+    assert.throws(() => splitIntoThread('hello', 280.5), RangeError);
+    assert.deepEqual(splitIntoThread('hello world foo bar baz', MIN_TWEET_LENGTH), ['hello world (1/2)', 'foo bar baz (2/2)']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { listLogFiles, buildTrace } = require('../lib/trace');
+
+const entry = (minute, message, data) => JSON.stringify({
+    timestamp: `2025-01-02T10:${String(minute).padStart(2, '0')}:00.000Z`,
+    level: 'INFO',
+    sessionId: 1735812000000,
+    message,
+    data
+});
+
+function logsDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [name, lines] of Object.entries(files)) {
+        const text = lines.join('\n') + '\n';
+        fs.writeFileSync(path.join(dir, name), name.endsWith('.gz') ? zlib.gzipSync(text) : text);
+    }
+    return dir;
+}
+
+test('rotated, gzipped and active files are read oldest first', async (t) => {
+    const dir = logsDir(t, {
+        'bot-2025-01-02.log': [entry(3, 'Reply posted', { recordId: 7, tweetId: '300' })],
+        'bot-2025-01-02.1.log.gz': [entry(1, 'Processing record', { recordId: 7 }), entry(1, 'Processing record', { recordId: 8 })],
+        'bot-2025-01-02.2.log': [entry(2, 'Tweet validated', { recordId: 7, tweetId: '100' })],
+        'errors.log': [entry(2, 'Ignored', { recordId: 7 })]
+    });
+
+    const files = listLogFiles(dir);
+    assert.deepEqual(files.map(file => path.basename(file)), ['bot-2025-01-02.1.log.gz', 'bot-2025-01-02.2.log', 'bot-2025-01-02.log']);
+
+    const trace = await buildTrace(files, { recordId: '7' });
+    assert.deepEqual(trace.entries.map(item => item.message), ['Processing record', 'Tweet validated', 'Reply posted']);
+    assert.deepEqual(trace.entries.map(item => item.stage), ['other', 'validation', 'post']);
+
+    const byTweet = await buildTrace(files, { tweetId: '300' });
+    assert.deepEqual(byTweet.recordIds, ['7']);
+    assert.equal(byTweet.entries.length, 3);
+});
+
+test('a file still being compressed is read once, from the .log', async (t) => {
+    const lines = [entry(1, 'Processing record', { recordId: 7 }), entry(2, 'Reply posted', { recordId: 7 })];
+    const dir = logsDir(t, { 'bot-2025-01-02.1.log': lines, 'bot-2025-01-02.1.log.gz': lines });
+
+    const files = listLogFiles(dir);
+    assert.deepEqual(files.map(file => path.basename(file)), ['bot-2025-01-02.1.log']);
+    assert.equal((await buildTrace(files, { recordId: '7' })).entries.length, 2);
+});
+
+test('a truncated .gz is reported and the other files are still read', async (t) => {
+    const dir = logsDir(t, {
+        'bot-2025-01-01.log': [entry(1, 'Processing record', { recordId: 7 })],
+        'bot-2025-01-02.log': [entry(2, 'Reply posted', { recordId: 7 })]
+    });
+    const gzipped = zlib.gzipSync(Array.from({ length: 200 }, (_, i) => entry(i % 60, 'Noise', { recordId: 9 })).join('\n'));
+    fs.writeFileSync(path.join(dir, 'bot-2025-01-01.1.log.gz'), gzipped.subarray(0, gzipped.length - 20));
+
+    const warnings = [];
+    const trace = await buildTrace(listLogFiles(dir), { recordId: '7', warn: message => warnings.push(message) });
+    assert.deepEqual(trace.entries.map(item => item.message), ['Processing record', 'Reply posted']);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /bot-2025-01-01\.1\.log\.gz: unexpected end of file/);
+});
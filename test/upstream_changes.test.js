@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isRetractedValue, parseStatusDetail, withUpstreamTrail, detectUpstreamChange } = require('../lib/upstream_changes');
+const { hashSourceRecord, hashAnswer } = require('../lib/source_hash');
+
+const source = { id: 1, tweet_id: '123', answer: 'Original answer', retracted: false };
+const posted = (fields = {}) => ({
+    source_hash: hashSourceRecord(source),
+    status_detail: { answerHash: hashAnswer(source.answer) },
+    ...fields
+});
+
+test('retraction column values', () => {
+    for (const value of [true, 't', 'TRUE', 'yes', '1', 1, new Date()]) {
+        assert.equal(isRetractedValue(value), true, `${value}`);
+    }
+    for (const value of [null, undefined, false, 'f', 'no', '0', 0]) {
+        assert.equal(isRetractedValue(value), false, `${value}`);
+    }
+});
+
+test('status_detail is parsed from JSON strings and objects', () => {
+    assert.deepEqual(parseStatusDetail('{"a":1}'), { a: 1 });
+    assert.deepEqual(parseStatusDetail({ a: 1 }), { a: 1 });
+    assert.deepEqual(parseStatusDetail('not json'), {});
+    assert.deepEqual(parseStatusDetail(null), {});
+});
+
+test('unchanged rows and rows without a source hash are not changes', () => {
+    assert.equal(detectUpstreamChange(posted(), source), null);
+    assert.equal(detectUpstreamChange(posted({ source_hash: null }), { ...source, answer: 'New' }), null);
+});
+
+test('edits, retractions and metadata-only changes', () => {
+    assert.equal(detectUpstreamChange(posted(), { ...source, answer: 'Edited answer' }), 'edited');
+    assert.equal(detectUpstreamChange(posted(), { ...source, retracted: true }, { retractedColumn: 'retracted' }), 'retracted');
+    assert.equal(detectUpstreamChange(posted(), { ...source, retracted: true }), 'metadata');
+    assert.equal(detectUpstreamChange(posted({ status_detail: null }), { ...source, retracted: true }), 'edited');
+});
+
+test('rewrites keep the upstream change trail', () => {
+    const trail = [{ event: 'edited', action: 'alert' }];
+
+    assert.deepEqual(withUpstreamTrail(JSON.stringify({ upstreamChanges: trail }), { answerHash: 'x' }), { answerHash: 'x', upstreamChanges: trail });
+    assert.deepEqual(withUpstreamTrail({ upstreamChanges: trail }, null), { upstreamChanges: trail });
+    assert.deepEqual(withUpstreamTrail({ upstreamChanges: trail }, { upstreamChanges: [] }), { upstreamChanges: [] });
+    assert.deepEqual(withUpstreamTrail({ rejections: [] }, { answerHash: 'x' }), { answerHash: 'x' });
+    assert.equal(withUpstreamTrail(null, null), null);
+});
@@ -1,53 +1,121 @@
 require('dotenv').config();
-const { Client } = require('pg');
 const { TwitterApi } = require('twitter-api-v2');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const { splitIntoThread } = require('./lib/thread_splitter');
+const { extractCitations, formatCitationsReply } = require('./lib/citations');
+const DryRunTwitterClient = require('./lib/dry_run_client');
+const { NotifyListener } = require('./lib/notify_listener');
+const PgConnection = require('./lib/pg_connection');
+const LogWriter = require('./lib/log_writer');
+const { loadConfig, applyReload, databaseOptions } = require('./lib/config');
+const { createStorage } = require('./lib/storage');
+const EligibilityRules = require('./lib/eligibility');
+const AccountRegistry = require('./lib/accounts');
+const ContentPolicy = require('./lib/content_policy');
+const { PoiValidator } = require('./lib/poi');
+const PostingSchedule = require('./lib/schedule');
+const ProcessingOrder = require('./lib/ordering');
+const { MetricsCollector } = require('./lib/metrics_collector');
+const { MentionListener } = require('./lib/mention_listener');
+const { hashSourceRecord, hashAnswer } = require('./lib/source_hash');
+const { detectUpstreamChange, parseStatusDetail } = require('./lib/upstream_changes');
+const { hashTweetText, findPostedReply } = require('./lib/reconcile');
+
+// processed_records statuses that must never be posted over, even if the record is picked up again
+// (e.g. an operator skipped or retracted it while this process was running)
+const FINAL_STATUSES = ['success', 'skipped_manual', 'retracted'];
+
+// Rejected rows are rechecked against twitter_answers this many at a time
+const REJECTION_RECHECK_PAGE_SIZE = 500;
+
+// Every policy file under config/, validated together so a reload applies all of them or none
+function loadPolicyFiles(config) {
+    return {
+        accountRegistry: AccountRegistry.fromFile(),
+        eligibility: EligibilityRules.fromFile(),
+        contentPolicy: ContentPolicy.fromFile(),
+        poi: PoiValidator.fromFile(undefined, { overrides: config.poi }),
+        schedule: PostingSchedule.fromFile(),
+        ordering: ProcessingOrder.fromFile(undefined, { overrides: config.ordering })
+    };
+}
 
 class TwitterBot {
-    constructor() {
-        // Connection configuration
-        this.mainDbConfig = {
-            connectionString: process.env.POSTGRES_URL,
-            ssl: false,
-            connectionTimeoutMillis: 10000,
-            idleTimeoutMillis: 30000,
-            max: 1
-        };
+    constructor(options = {}) {
+        // Settings (config/bot.json with env overrides, see lib/config.js) - invalid settings stop startup
+        this.config = loadConfig();
         
-        this.railwayDbConfig = {
-            connectionString: process.env.RAILWAY_POSTGRES_URL,
-            ssl: { rejectUnauthorized: false },
-            connectionTimeoutMillis: 10000,
-            idleTimeoutMillis: 30000,
-            max: 1
-        };
+        // Connection configuration
+        const databases = databaseOptions(this.config);
+        this.mainDbConfig = databases.main;
+        this.trackingDbConfig = databases.tracking;
         
         // Initialize clients
-        this.pgClient = null;
-        this.railwayClient = null;
-        this.connectionStatus = {
-            main: false,
-            railway: false
-        };
+        this.mainDb = null;
+        // Tracking storage (processed_records etc.) - Postgres or local file, see lib/storage
+        this.storage = null;
         
-        // Twitter client
-        this.twitterClient = new TwitterApi({
-            appKey: process.env.TWITTER_API_KEY,
-            appSecret: process.env.TWITTER_API_SECRET_KEY,
-            accessToken: process.env.TWITTER_ACCESS_TOKEN,
-            accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
-        });
+        // Dry run: replies are written to a local NDJSON file instead of Twitter,
+        // and nothing is written to processed_records so the real run still picks the records up
+        this.dryRun = options.dryRun || this.config.dryRun.enabled;
+        this.currentPostContext = null;
+        
+        // Policy files under config/ - any invalid file stops startup
+        const policies = loadPolicyFiles(this.config);
         
-        this.rwClient = this.twitterClient.readWrite;
-        // Start from a past date to catch existing records, then update to current time
-        this.lastCheckTime = new Date(Date.now() - 12 * 60 * 60 * 1000); // 12 hours ago
+        // Twitter accounts (config/accounts.json) - each record is routed to one of them
+        this.accountRegistry = policies.accountRegistry;
+        this.accounts = new Map(); // name -> account with its clients, rate-limit state and stats
+        this.dryRunOutput = this.config.dryRun.output || path.join(__dirname, 'logs', 'dry_run_replies.ndjson');
+        
+        // Ingestion cursor over twitter_answers (created_at, id), persisted in tracking storage.
+        // created_at is kept as Postgres text so it round-trips at full precision.
+        this.cursorName = 'twitter_answers';
+        this.cursor = null;
         this.processedIds = new Set();
+        this.threadProgress = new Map(); // recordId -> posted thread parts
         this.isRunning = false;
+        this.isProcessing = false;
+        this.pendingCycle = false;
+        this.notifyListener = null;
+        this.notifyTimer = null;
+        this.lastRejectionRecheck = 0;
+        this.lastUpstreamSync = 0;
+        this.pendingReconciliation = false; // `posting` rows that could not be checked yet
+        this.metricsCollector = null;
+        this.mentionListener = null;
+        
+        // Record eligibility rules (config/eligibility_rules.json)
+        this.eligibility = policies.eligibility;
+        
+        // Outbound content policy (config/content_policy.json) - checked right before posting
+        this.contentPolicy = policies.contentPolicy;
+        
+        // Proof-of-inference validation and disclosure (config/poi.json)
+        this.poi = policies.poi;
+        
+        // Quiet hours, post budgets and jitter (config/schedule.json)
+        this.schedule = policies.schedule;
         
-        // Logging setup
+        // Which eligible record is posted next (config/ordering.json)
+        this.ordering = policies.ordering;
+        this.authorFollowers = new Map(); // original tweet ID -> author follower count (null = unknown)
+        
+        // Logging setup - buffered writes, rotation and retention (lib/log_writer.js)
         this.logsDir = path.join(__dirname, 'logs');
         this.ensureLogsDirectory();
+        this.logWriter = new LogWriter({
+            dir: this.logsDir,
+            maxFileBytes: this.config.logging.maxFileMb * 1024 * 1024,
+            retentionDays: this.config.logging.retentionDays,
+            errorRetentionDays: this.config.logging.errorRetentionDays,
+            flushIntervalMs: this.config.logging.flushIntervalMs,
+            summaryFlushIntervalMs: this.config.logging.summaryFlushIntervalMs,
+            // Only the bot itself rotates and prunes; CLIs built on it just append
+            maintenance: options.logMaintenance !== false
+        });
         
         // Statistics
         this.stats = {
@@ -55,38 +123,130 @@ class TwitterBot {
             successfulPosts: 0,
             failedPosts: 0,
             skippedRecords: 0,
+            rejectedRecords: 0,
+            blockedByPolicy: 0,
+            invalidPoi: 0,
+            retriesScheduled: 0,
+            deadLettered: 0,
+            scheduledRecords: 0,
+            upstreamChanges: 0,
             errors: 0,
             startTime: new Date(),
             rateLimitHits: 0,
             totalWaitTime: 0
         };
         
-        // Rate limiting tracking
-        this.rateLimits = {
-            tweets: {
-                remaining: null,
-                resetTime: null,
-                limit: null,
-                lastCheck: null
+        for (const account of this.accountRegistry.accounts) {
+            this.accounts.set(account.name, this.createAccount(account));
+        }
+        
+        this.log('INFO', 'Bot initialized', {
+            stats: this.stats,
+            dryRun: this.dryRun,
+            eligibilityRules: this.eligibility.source,
+            eligibilityRuleNames: this.eligibility.rules.map(rule => rule.name),
+            contentPolicy: this.contentPolicy.source,
+            poiVerifyOnChain: this.poi.policy.verifyOnChain,
+            poiDisclosure: this.poi.policy.disclosure.mode,
+            schedule: this.schedule.describe(),
+            ordering: this.ordering.describe(),
+            accounts: Array.from(this.accounts.keys()),
+            defaultAccount: this.accountRegistry.defaultAccount,
+            upstreamSync: this.config.upstreamSync.enabled ?
+                { edit: this.config.upstreamSync.editPolicy, retraction: this.config.upstreamSync.retractionPolicy } : false
+        });
+        
+        if (this.dryRun) {
+            this.log('WARN', 'DRY RUN mode - replies are recorded locally, not posted', {
+                outputFile: this.dryRunOutput,
+                liveReads: this.config.dryRun.liveReads
+            });
+        }
+    }
+
+    createTwitterClient(account) {
+        const baseUrl = this.config.twitterApiBaseUrl;
+        if (!baseUrl) {
+            return new TwitterApi(this.accountRegistry.credentials(account));
+        }
+
+        // twitter-api-v2 only speaks https unless it is handed an http agent
+        const settings = baseUrl.startsWith('http:') ? { httpAgent: new http.Agent({ keepAlive: true }) } : {};
+        const client = new TwitterApi(this.accountRegistry.credentials(account), settings);
+        // readWrite/readOnly share the v2 client, so every request goes to the override
+        client.v2.setPrefix(`${baseUrl.replace(/\/+$/, '')}/2/`);
+        return client;
+    }
+
+    createAccount(account) {
+        let twitterClient;
+        let rwClient;
+        
+        if (this.dryRun) {
+            // Live lookups (me/singleTweet) are opt-in so dry runs work without credentials
+            twitterClient = this.config.dryRun.liveReads ? this.createTwitterClient(account) : null;
+            rwClient = new DryRunTwitterClient({
+                outputFile: this.dryRunOutput,
+                readClient: twitterClient ? twitterClient.readOnly : null,
+                getContext: () => this.currentPostContext
+            });
+        } else {
+            twitterClient = this.createTwitterClient(account);
+            rwClient = twitterClient.readWrite;
+        }
+        
+        return {
+            ...account,
+            maxTweetLength: account.maxTweetLength || this.config.maxTweetLength,
+            twitterClient,
+            rwClient,
+            userId: null,
+            // Rate limiting tracking - limits are per user token, so per account
+            rateLimits: {
+                tweets: {
+                    remaining: null,
+                    resetTime: null,
+                    limit: null,
+                    lastCheck: null
+                },
+                // GET /2/tweets/:id (tweet validation)
+                lookup: {
+                    remaining: null,
+                    resetTime: null,
+                    limit: null,
+                    lastCheck: null
+                },
+                // GET /2/tweets?ids= (author followers, engagement metrics) - a separate limit
+                batchLookup: {
+                    remaining: null,
+                    resetTime: null,
+                    limit: null,
+                    lastCheck: null
+                },
+                mentions: {
+                    remaining: null,
+                    resetTime: null,
+                    limit: null,
+                    lastCheck: null
+                }
             },
-            lookup: {
-                remaining: null,
-                resetTime: null,
-                limit: null,
-                lastCheck: null
+            stats: {
+                successfulPosts: 0,
+                failedPosts: 0
             }
         };
-        
-        // Rate limiting configuration
-        this.config = {
-            minDelayBetweenPosts: 2000, // 2 seconds minimum between posts
-            maxDelayBetweenPosts: 30000, // 30 seconds max backoff
-            rateLimitBackoffMultiplier: 2,
-            maxRetries: 3,
-            retryDelayMs: 5000 // 5 seconds between retries
-        };
-        
-        this.log('INFO', 'Bot initialized', { stats: this.stats });
+    }
+
+    routeRecord(record) {
+        const route = this.accountRegistry.route(record);
+        return route.account ? { account: this.accounts.get(route.account), via: route.via } : { account: null, reason: route.reason };
+    }
+
+    formatReply(account, text) {
+        return account.replyTemplate
+            .replace(/\{account\}/g, account.name)
+            .replace(/\{username\}/g, account.username || account.name)
+            .replace(/\{text\}/g, () => text);
     }
 
     ensureLogsDirectory() {
@@ -122,75 +282,15 @@ class TwitterBot {
             console.log(`${color}${JSON.stringify(data, null, 2)}${colors.RESET}`);
         }
         
-        // Write to daily log file
-        const dateStr = timestamp.split('T')[0];
-        const logFile = path.join(this.logsDir, `bot-${dateStr}.log`);
-        const logLine = JSON.stringify(logEntry) + '\n';
-        
-        try {
-            fs.appendFileSync(logFile, logLine);
-        } catch (error) {
-            console.error('Failed to write to log file:', error.message);
-        }
-        
-        // Write to error log if it's an error
-        if (level === 'ERROR') {
-            const errorLogFile = path.join(this.logsDir, 'errors.log');
-            try {
-                fs.appendFileSync(errorLogFile, logLine);
-            } catch (error) {
-                console.error('Failed to write to error log file:', error.message);
-            }
-        }
-        
-        // Write to activity summary
-        this.updateActivitySummary(logEntry);
-    }
-
-    updateActivitySummary(logEntry) {
-        const summaryFile = path.join(this.logsDir, 'activity_summary.json');
-        
-        try {
-            let summary = {};
-            if (fs.existsSync(summaryFile)) {
-                summary = JSON.parse(fs.readFileSync(summaryFile, 'utf8'));
-            }
-            
-            const dateStr = logEntry.timestamp.split('T')[0];
-            if (!summary[dateStr]) {
-                summary[dateStr] = {
-                    totalLogs: 0,
-                    errors: 0,
-                    warnings: 0,
-                    successes: 0,
-                    activities: []
-                };
-            }
-            
-            summary[dateStr].totalLogs++;
-            if (logEntry.level === 'ERROR') summary[dateStr].errors++;
-            if (logEntry.level === 'WARN') summary[dateStr].warnings++;
-            if (logEntry.level === 'SUCCESS') summary[dateStr].successes++;
-            
-            // Keep only last 10 activities per day
-            summary[dateStr].activities.unshift({
-                time: logEntry.timestamp.split('T')[1].split('.')[0],
-                level: logEntry.level,
-                message: logEntry.message
-            });
-            summary[dateStr].activities = summary[dateStr].activities.slice(0, 10);
-            
-            fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
-        } catch (error) {
-            console.error('Failed to update activity summary:', error.message);
-        }
+        // Daily log, errors.log and activity summary are written in the background
+        this.logWriter.write(logEntry);
     }
 
     // Rate limiting helper methods
-    updateRateLimitInfo(endpoint, headers) {
+    updateRateLimitInfo(endpoint, headers, account) {
         if (!headers) return;
         
-        const rateLimit = this.rateLimits[endpoint];
+        const rateLimit = account.rateLimits[endpoint];
         if (!rateLimit) return;
         
         // Extract rate limit headers
@@ -204,6 +304,7 @@ class TwitterBot {
         rateLimit.lastCheck = Date.now();
         
         this.log('DEBUG', `Updated rate limit info for ${endpoint}`, {
+            account: account.name,
             remaining: rateLimit.remaining,
             limit: rateLimit.limit,
             resetIn: rateLimit.resetTime ? Math.max(0, rateLimit.resetTime - Date.now()) / 1000 : 'unknown',
@@ -211,8 +312,8 @@ class TwitterBot {
         });
     }
     
-    async checkRateLimit(endpoint) {
-        const rateLimit = this.rateLimits[endpoint];
+    async checkRateLimit(endpoint, account) {
+        const rateLimit = account.rateLimits[endpoint];
         if (!rateLimit || !rateLimit.remaining || !rateLimit.resetTime) {
             return { canProceed: true, waitTime: 0 };
         }
@@ -233,6 +334,7 @@ class TwitterBot {
         // Rate limited - calculate wait time
         const waitTime = rateLimit.resetTime - now;
         this.log('WARN', `Rate limit hit for ${endpoint}`, {
+            account: account.name,
             remaining: rateLimit.remaining,
             limit: rateLimit.limit,
             waitTimeSeconds: Math.ceil(waitTime / 1000),
@@ -276,213 +378,783 @@ class TwitterBot {
     }
     
     async rateLimitedDelay() {
-        // Apply minimum delay between posts
-        const delay = this.config.minDelayBetweenPosts;
+        // Apply minimum delay between posts, plus the schedule's random jitter
+        const jitterMs = this.schedule.jitter();
+        const delay = this.config.minDelayBetweenPosts + jitterMs;
         if (delay > 0) {
-            this.log('DEBUG', `Applying rate limit delay`, { delayMs: delay });
+            this.log('DEBUG', `Applying rate limit delay`, { delayMs: delay, jitterMs });
             await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
 
-    async createDatabaseConnection(config, name) {
-        const client = new Client(config);
+    // `compactStorage` is for the bot itself; the admin CLI shares the tracking file with a running bot
+    async connectDatabases({ compactStorage = false } = {}) {
+        // Connect to main database for twitter_answers polling
+        this.mainDb = new PgConnection(this.mainDbConfig, 'Main', (level, message, data) => this.log(level, message, data));
+        await this.mainDb.connect();
+        this.log('SUCCESS', 'Connected to main PostgreSQL database (twitter_answers)');
+        
+        // Open tracking storage and create processed_records etc. if they don't exist
+        this.storage = createStorage({
+            config: this.config,
+            dbConfig: this.trackingDbConfig,
+            compact: compactStorage,
+            log: (level, message, data) => this.log(level, message, data)
+        });
+        await this.storage.init();
+        this.log('SUCCESS', `Tracking storage ready (${this.storage.backend})`);
+    }
+
+    async connect() {
+        try {
+            await this.connectDatabases({ compactStorage: true });
+            
+            // Load previously processed IDs from tracking storage
+            await this.loadProcessedIds();
+            
+            // Replies of the last day count against the posting budgets
+            await this.loadPostingHistory();
+            
+            // Resume ingestion where the previous run stopped
+            await this.loadCursor();
+            
+            if (this.config.twitterApiBaseUrl) {
+                this.log('WARN', `Twitter API requests go to ${this.config.twitterApiBaseUrl} instead of the real API`);
+            }
+
+            // Test Twitter connection for every account
+            for (const account of this.accounts.values()) {
+                const me = await account.rwClient.v2.me();
+                if (!this.dryRun || account.twitterClient) {
+                    account.username = me.data.username;
+                    account.userId = me.data.id;
+                }
+                this.log('SUCCESS', `Twitter connected as @${me.data.username}`, { account: account.name, userId: me.data.id, dryRun: this.dryRun });
+            }
+            
+            // Posts interrupted between the tweet and its database write (needs the account user IDs)
+            await this.reconcilePostingRecords();
+            
+            return true;
+        } catch (error) {
+            this.log('ERROR', 'Connection failed', { error: error.message, stack: error.stack });
+            this.stats.errors++;
+            return false;
+        }
+    }
+
+    /**
+     * Phase one of a post: save a `posting` row describing the tweet about to be sent. If the
+     * write fails nothing is tweeted; if the process dies after the tweet, startup reconciliation
+     * finds the reply instead of posting it again.
+     */
+    async markPosting(record, account, { partIndex, inReplyToTweetId, text }) {
+        if (this.dryRun) return;
         
-        // Add error handlers
-        client.on('error', (err) => {
-            this.log('ERROR', `Database connection error (${name})`, {
-                error: err.message,
-                code: err.code
+        try {
+            await this.storage.savePostingIntent({
+                recordId: record.id,
+                replyToTweetId: record.tweet_id,
+                poiTransaction: record.poi_transaction,
+                account: account.name,
+                intent: {
+                    partIndex,
+                    inReplyToTweetId,
+                    contentHash: hashTweetText(text),
+                    contentLength: text.length,
+                    startedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            throw new Error(`Could not save posting intent: ${error.message}`);
+        }
+    }
+
+    async reconcilePostingRecords() {
+        if (this.dryRun) return;
+        
+        let rows;
+        try {
+            rows = await this.storage.findRecordsByStatusPrefix('posting');
+        } catch (error) {
+            this.log('ERROR', 'Failed to load interrupted posts', { error: error.message });
+            this.pendingReconciliation = true;
+            return;
+        }
+        
+        let unresolved = 0;
+        for (const row of rows) {
+            if (!(await this.reconcilePostingRecord(row))) unresolved++;
+        }
+        
+        // Unchecked rows are tried again at the start of every cycle
+        this.pendingReconciliation = unresolved > 0;
+        if (rows.length > 0) {
+            this.log('INFO', 'Interrupted posts reconciled', { total: rows.length, unresolved });
+        }
+    }
+
+    async reconcilePostingRecord(row) {
+        const recordId = String(row.record_id);
+        // Rows left by a version before migration 009 have the intent in status_detail
+        const intent = parseStatusDetail(row.posting_intent || row.status_detail);
+        const account = this.accounts.get(row.account || this.accountRegistry.defaultAccount);
+        
+        try {
+            if (!account || !account.userId || intent.partIndex === undefined || !intent.inReplyToTweetId) {
+                // Without the intent or its account there is no safe way to tell - an operator decides (npm run admin)
+                this.log('ERROR', 'Interrupted post cannot be reconciled - moved to dead letter', { recordId, account: row.account });
+                await this.storage.saveRetryState({
+                    recordId,
+                    replyToTweetId: row.reply_to_tweet_id,
+                    status: 'dead_letter',
+                    poiTransaction: row.poi_transaction,
+                    attemptCount: row.attempt_count || 0,
+                    lastError: 'Interrupted while posting; could not check whether the reply went out'
+                });
+                return true;
+            }
+            
+            const parts = await this.storage.getThreadParts(recordId);
+            let outcome = 'already_recorded';
+            
+            if (!parts.some(part => part.part_index === intent.partIndex)) {
+                const match = await this.findRecentReply(account, intent);
+                if (match) {
+                    await this.storage.saveThreadPart({
+                        recordId,
+                        partIndex: intent.partIndex,
+                        tweetId: match.tweet.id,
+                        replyToTweetId: intent.inReplyToTweetId,
+                        contentLength: intent.contentLength || null
+                    });
+                    outcome = `found_by_${match.matchedBy}`;
+                } else {
+                    outcome = 'not_posted';
+                }
+            }
+            
+            // Either way the record resumes through the retry queue, after the parts now on record
+            await this.storage.saveRetryState({
+                recordId,
+                replyToTweetId: row.reply_to_tweet_id,
+                status: 'retry_pending',
+                poiTransaction: row.poi_transaction,
+                attemptCount: row.attempt_count || 0,
+                lastError: `Interrupted while posting part ${intent.partIndex + 1} (${outcome})`,
+                nextAttemptAt: new Date()
+            });
+            this.threadProgress.delete(row.record_id);
+            
+            this.log(outcome === 'not_posted' ? 'INFO' : 'WARN', 'Interrupted post reconciled', {
+                recordId,
+                account: account.name,
+                partIndex: intent.partIndex,
+                inReplyToTweetId: intent.inReplyToTweetId,
+                outcome
+            });
+            return true;
+        } catch (error) {
+            this.log('WARN', 'Could not reconcile interrupted post yet', { recordId, error: error.message, code: error.code });
+            return false;
+        }
+    }
+
+    async findRecentReply(account, intent) {
+        // Our own timeline since just before the intent was written
+        const query = {
+            max_results: 100,
+            start_time: new Date(Date.parse(intent.startedAt) - 60000).toISOString(),
+            'tweet.fields': ['created_at', 'referenced_tweets']
+        };
+        const tweets = [];
+        
+        for (let page = 0; page < 5; page++) {
+            const response = await account.rwClient.v2.get('users/:id/tweets', query, {
+                fullResponse: true,
+                params: { id: account.userId }
+            });
+            const body = response.data || {};
+            tweets.push(...(body.data || []));
+            
+            if (!body.meta || !body.meta.next_token) break;
+            query.pagination_token = body.meta.next_token;
+        }
+        
+        return findPostedReply(tweets, intent);
+    }
+
+    async loadProcessedIds() {
+        try {
+            const ids = await this.storage.loadProcessedIds();
+            this.processedIds = new Set(ids.map(String));
+            this.log('INFO', `Loaded ${this.processedIds.size} previously processed IDs from ${this.storage.backend} storage`);
+        } catch (error) {
+            this.log('INFO', 'No previous processed IDs found or error loading', { error: error.message });
+            this.processedIds = new Set();
+        }
+    }
+
+    async saveProcessedId(recordId, postedTweetId = null, replyToTweetId = null, status = 'success', contentLength = null, poiTransaction = null, citations = null, extra = {}) {
+        if (this.dryRun) {
+            // Only remember it for this session so the same record isn't replayed every poll
+            this.processedIds.add(String(recordId));
+            this.log('DEBUG', 'Dry run - processed record not saved to database', { recordId, status });
+            return;
+        }
+        
+        try {
+            await this.storage.saveProcessedRecord({
+                recordId,
+                postedTweetId,
+                replyToTweetId,
+                status,
+                contentLength,
+                poiTransaction,
+                citations,
+                sourceHash: extra.sourceHash || null,
+                statusDetail: extra.statusDetail || null,
+                account: extra.account || null
+            });
+            
+            this.processedIds.add(String(recordId));
+            
+            this.log('DEBUG', `Saved processed record to database`, { 
+                recordId, 
+                postedTweetId, 
+                replyToTweetId,
+                status,
+                contentLength 
             });
-            this.connectionStatus[name.toLowerCase()] = false;
+        } catch (error) {
+            this.log('ERROR', 'Failed to save processed record to database', { 
+                error: error.message, 
+                recordId 
+            });
+            this.stats.errors++;
+        }
+    }
+
+    async saveRejection(record, evaluation) {
+        this.stats.rejectedRecords++;
+        this.log('INFO', 'Record rejected by eligibility rules', {
+            recordId: record.id,
+            reason: evaluation.reason,
+            rejections: evaluation.rejections
         });
         
-        client.on('end', () => {
-            this.log('WARN', `Database connection ended (${name})`);
-            this.connectionStatus[name.toLowerCase()] = false;
+        // The source hash lets the recheck skip rows that have not changed upstream
+        await this.saveProcessedId(record.id, null, record.tweet_id || null, evaluation.reason, null, record.poi_transaction || null, null, {
+            sourceHash: hashSourceRecord(record),
+            statusDetail: { rejections: evaluation.rejections }
         });
+    }
+
+    async recheckRejectedRecords() {
+        if (Date.now() - this.lastRejectionRecheck < this.config.rejectionRecheckIntervalMs) return;
+        this.lastRejectionRecheck = Date.now();
         
-        return client;
+        try {
+            let checked = 0;
+            let changed = 0;
+            let afterRecordId = null;
+            
+            // Every rejected row, a page at a time - unchanged rows are never rewritten, so
+            // ordering by anything they would bump keeps returning the same page
+            while (this.isRunning) {
+                const rejected = await this.storage.pageRecordsByStatusPrefix('rejected_', { afterRecordId, limit: REJECTION_RECHECK_PAGE_SIZE });
+                if (rejected.length === 0) break;
+                checked += rejected.length;
+                afterRecordId = String(rejected[rejected.length - 1].record_id);
+                
+                const previous = new Map(rejected.map(row => [String(row.record_id), row]));
+                const result = await this.mainDb.query(
+                    'SELECT *, created_at::text AS cursor_created_at FROM twitter_answers WHERE id::text = ANY($1)',
+                    [Array.from(previous.keys())]
+                );
+                
+                for (const record of result.rows) {
+                    if (!this.isRunning) break;
+                    
+                    const before = previous.get(String(record.id));
+                    if (hashSourceRecord(record) === before.source_hash) continue;
+                    
+                    changed++;
+                    const evaluation = this.evaluateRecord(record);
+                    this.log('INFO', 'Rejected record changed upstream - re-evaluated', {
+                        recordId: record.id,
+                        previousReason: before.status,
+                        eligible: evaluation.eligible,
+                        reason: evaluation.reason
+                    });
+                    
+                    if (evaluation.eligible) {
+                        this.processedIds.delete(String(record.id));
+                        await this.processRecord(record);
+                    } else {
+                        await this.saveRejection(record, evaluation);
+                    }
+                }
+                
+                if (rejected.length < REJECTION_RECHECK_PAGE_SIZE) break;
+            }
+            
+            if (checked > 0) {
+                this.log('INFO', 'Rejected records rechecked', { checked, changed });
+            }
+        } catch (error) {
+            this.log('ERROR', 'Error rechecking rejected records', { error: error.message });
+            this.stats.errors++;
+        }
     }
 
-    async ensureConnection(client, config, name) {
-        if (!client || client._ending || !this.connectionStatus[name.toLowerCase()]) {
-            this.log('INFO', `Reconnecting to ${name} database...`);
+    async syncUpstreamChanges() {
+        const sync = this.config.upstreamSync;
+        // Dry runs never save posted records, so there is nothing to follow
+        if (!sync.enabled || this.dryRun) return;
+        if (Date.now() - this.lastUpstreamSync < sync.intervalMs) return;
+        this.lastUpstreamSync = Date.now();
+        
+        try {
+            // Rows posted before source hashes were stored can't be compared
+            const posted = (await this.storage.getPostedRecords({
+                updatedSince: new Date(Date.now() - sync.maxAgeMs).toISOString()
+            })).filter(row => row.source_hash);
+            if (posted.length === 0) return;
             
-            try {
-                if (client && !client._ending) {
-                    await client.end();
+            const previous = new Map(posted.map(row => [String(row.record_id), row]));
+            const result = await this.mainDb.query(
+                'SELECT *, created_at::text AS cursor_created_at FROM twitter_answers WHERE id::text = ANY($1)',
+                [Array.from(previous.keys())]
+            );
+            
+            let changed = 0;
+            for (const record of result.rows) {
+                if (!this.isRunning) break;
+                
+                const row = previous.get(String(record.id));
+                const change = row ? detectUpstreamChange(row, record, { retractedColumn: sync.retractedColumn }) : null;
+                if (!change) continue;
+                
+                changed++;
+                await this.applyUpstreamChange(change, row, record);
+            }
+            
+            if (changed > 0) {
+                this.log('INFO', 'Posted records synced with upstream changes', { checked: posted.length, changed });
+            }
+        } catch (error) {
+            this.log('ERROR', 'Error syncing upstream changes of posted records', { error: error.message });
+            this.stats.errors++;
+        }
+    }
+
+    async applyUpstreamChange(change, posted, record) {
+        const sync = this.config.upstreamSync;
+        const recordId = String(posted.record_id);
+        const sourceHash = hashSourceRecord(record);
+        const detail = parseStatusDetail(posted.status_detail);
+        
+        if (change === 'metadata') {
+            // Columns other than the answer changed - the reply is still accurate
+            await this.storage.saveSourceSync({ recordId, sourceHash, statusDetail: detail });
+            return;
+        }
+        
+        this.stats.upstreamChanges++;
+        const policy = change === 'retracted' ? sync.retractionPolicy : sync.editPolicy;
+        const entry = { event: change, policy, previousSourceHash: posted.source_hash, at: new Date().toISOString() };
+        // The trail of changes stays in status_detail; saving the new hashes stops the change from firing again
+        const recordChange = (outcome) => this.storage.saveSourceSync({
+            recordId,
+            sourceHash,
+            statusDetail: {
+                ...detail,
+                answerHash: hashAnswer(record.answer),
+                upstreamChanges: [...(detail.upstreamChanges || []), { ...entry, ...outcome }]
+            }
+        });
+        
+        this.log('WARN', change === 'retracted' ? 'Posted answer retracted upstream' : 'Posted answer edited upstream', {
+            recordId,
+            postedTweetId: posted.posted_tweet_id,
+            account: posted.account,
+            policy
+        });
+        
+        const account = this.accounts.get(posted.account || this.accountRegistry.defaultAccount);
+        if (policy === 'alert' || !account) {
+            if (!account) {
+                this.log('ERROR', 'Account that posted the reply is not configured - only alerting', { recordId, account: posted.account });
+            }
+            await recordChange({ action: 'alert' });
+            return;
+        }
+        
+        try {
+            if (policy === 'correction') {
+                const correction = change === 'retracted' ? { parts: [sync.retractionNotice] } : this.buildCorrectionParts(record, account);
+                if (!correction.parts) {
+                    this.log('WARN', 'Correction not posted - updated answer does not pass the content policy', { recordId, reason: correction.reason });
+                    await recordChange({ action: 'alert', reason: correction.reason });
+                    return;
                 }
-            } catch (err) {
-                // Ignore errors when closing
+                
+                // The correction continues the existing thread
+                const parts = await this.storage.getThreadParts(recordId);
+                const lastTweetId = parts.length > 0 ? parts[parts.length - 1].tweet_id : posted.posted_tweet_id;
+                const tweetIds = await this.postReplyChain(account, recordId, lastTweetId, correction.parts);
+                
+                this.schedule.recordPost();
+                this.log('SUCCESS', 'Correction reply posted', { recordId, account: account.name, tweetIds });
+                await recordChange({ action: 'correction', tweetIds });
+                return;
+            }
+            
+            // delete (retraction) and repost (edit) both take the old reply down first
+            const deletedTweetIds = await this.deleteReplyThread(account, recordId, posted.posted_tweet_id);
+            
+            if (change === 'retracted') {
+                await this.storage.deleteThreadParts(recordId);
+                this.threadProgress.delete(record.id);
+                await this.storage.saveProcessedRecord({
+                    recordId,
+                    postedTweetId: posted.posted_tweet_id,
+                    status: 'retracted',
+                    sourceHash,
+                    statusDetail: { ...detail, upstreamChanges: [...(detail.upstreamChanges || []), { ...entry, action: 'delete', deletedTweetIds }] }
+                });
+                this.log('SUCCESS', 'Retracted answer deleted from Twitter', { recordId, account: account.name, deletedTweetIds });
+                return;
             }
             
-            const newClient = await this.createDatabaseConnection(config, name);
-            await newClient.connect();
-            this.connectionStatus[name.toLowerCase()] = true;
-            this.log('SUCCESS', `Reconnected to ${name} database`);
+            // Repost: the edited answer goes through the normal pipeline as a fresh record.
+            // Until it is posted it sits in the retry queue, so a crash here loses nothing.
+            await this.storage.deleteThreadParts(recordId);
+            this.threadProgress.delete(record.id);
+            this.processedIds.delete(recordId);
+            await this.storage.saveRetryState({
+                recordId,
+                replyToTweetId: record.tweet_id,
+                status: 'retry_pending',
+                poiTransaction: record.poi_transaction,
+                attemptCount: 0,
+                lastError: `Answer edited upstream - reply ${posted.posted_tweet_id} deleted for repost`,
+                nextAttemptAt: new Date()
+            });
+            this.log('INFO', 'Old reply deleted - reposting edited answer', { recordId, deletedTweetIds });
+            
+            const evaluation = this.evaluateRecord(record);
+            if (evaluation.eligible) {
+                await this.processRecord(record);
+            } else {
+                await this.saveRejection(record, evaluation);
+            }
+        } catch (error) {
+            this.log('ERROR', 'Failed to apply upstream change to posted reply', {
+                recordId,
+                policy,
+                error: error.message,
+                code: error.code,
+                deletedTweetIds: error.deletedTweetIds,
+                postedTweetIds: error.postedTweetIds
+            });
+            this.stats.errors++;
             
-            return newClient;
+            // A half-posted correction is recorded so the next sync doesn't post it twice;
+            // anything else is retried on the next sync because the stored hash is unchanged
+            if (error.postedTweetIds && error.postedTweetIds.length > 0) {
+                await recordChange({ action: 'correction', tweetIds: error.postedTweetIds, error: error.message });
+            }
         }
+    }
+
+    buildCorrectionParts(record, account) {
+        const { body } = this.parseAnswerForTwitter(record.answer);
+        const moderation = this.contentPolicy.apply((body || '').trim(), []);
+        if (!moderation.allowed) return { reason: moderation.rule };
         
-        return client;
+        const text = moderation.text.trim();
+        if (text.length === 0) return { reason: 'empty_content' };
+        
+        return { parts: splitIntoThread(`${this.config.upstreamSync.correctionPrefix}\n\n${this.formatReply(account, text)}`, account.maxTweetLength) };
     }
 
-    async executeQuery(client, config, name, query, params = []) {
-        let attempts = 0;
-        const maxAttempts = 3;
+    /**
+     * Post `parts` as a chain of replies below `replyToTweetId`. On failure the error
+     * carries the IDs that did go out as `postedTweetIds`.
+     */
+    async postReplyChain(account, recordId, replyToTweetId, parts) {
+        const tweetIds = [];
+        let previousTweetId = replyToTweetId;
+        this.currentPostContext = { recordId, targetTweetId: replyToTweetId, account: account.name };
         
-        while (attempts < maxAttempts) {
+        for (let index = 0; index < parts.length; index++) {
+            if (index > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.config.delayBetweenThreadParts));
+            }
+            
+            const rateLimitCheck = await this.checkRateLimit('tweets', account);
+            if (!rateLimitCheck.canProceed) {
+                await this.waitForRateLimit(rateLimitCheck.waitTime);
+            }
+            
             try {
-                client = await this.ensureConnection(client, config, name);
-                const result = await client.query(query, params);
-                return { client, result };
+                const tweet = await account.rwClient.v2.tweet({ text: parts[index], reply: { in_reply_to_tweet_id: previousTweetId } });
+                this.updateRateLimitInfo('tweets', tweet.headers, account);
+                tweetIds.push(tweet.data.id);
+                previousTweetId = tweet.data.id;
             } catch (error) {
-                attempts++;
-                this.log('WARN', `Query attempt ${attempts} failed (${name})`, {
-                    error: error.message,
-                    code: error.code
-                });
-                
-                if (attempts >= maxAttempts) {
+                if (error.headers) {
+                    this.updateRateLimitInfo('tweets', error.headers, account);
+                }
+                error.postedTweetIds = tweetIds;
+                throw error;
+            }
+        }
+        
+        return tweetIds;
+    }
+
+    /**
+     * Delete every tweet posted for a record, newest part first so a partial failure never
+     * leaves a reply pointing at a deleted parent. Tweets that are already gone count as deleted.
+     * On failure the error carries the IDs deleted so far as `deletedTweetIds`.
+     */
+    async deleteReplyThread(account, recordId, postedTweetId) {
+        const parts = await this.storage.getThreadParts(recordId);
+        const tweetIds = parts.length > 0 ? parts.map(part => part.tweet_id).reverse() : [postedTweetId];
+        const deletedTweetIds = [];
+        
+        this.currentPostContext = { recordId, account: account.name };
+        for (const tweetId of tweetIds) {
+            try {
+                await account.rwClient.v2.deleteTweet(tweetId);
+            } catch (error) {
+                if (error.code !== 404) {
+                    error.deletedTweetIds = deletedTweetIds;
                     throw error;
                 }
-                
-                // Wait before retry
-                await new Promise(resolve => setTimeout(resolve, 1000 * attempts));
-                this.connectionStatus[name.toLowerCase()] = false;
             }
+            deletedTweetIds.push(tweetId);
         }
+        
+        return deletedTweetIds;
     }
 
-    async connect() {
+    async loadPostingHistory() {
         try {
-            // Connect to main database for twitter_answers polling
-            this.pgClient = await this.createDatabaseConnection(this.mainDbConfig, 'Main');
-            await this.pgClient.connect();
-            this.connectionStatus.main = true;
-            this.log('SUCCESS', 'Connected to main PostgreSQL database (twitter_answers)');
-            
-            // Connect to Railway database for processed_records storage
-            this.railwayClient = await this.createDatabaseConnection(this.railwayDbConfig, 'Railway');
-            await this.railwayClient.connect();
-            this.connectionStatus.railway = true;
-            this.log('SUCCESS', 'Connected to Railway PostgreSQL database (processed_records)');
-            
-            // Create processed_records table in Railway database if it doesn't exist
-            await this.createProcessedRecordsTable();
-            
-            // Load previously processed IDs from Railway database
-            await this.loadProcessedIds();
+            const now = Date.now();
+            const records = await this.storage.listRecordsBetween(new Date(now - 24 * 60 * 60 * 1000).toISOString(), new Date(now).toISOString());
+            const posted = records.filter(row => row.status === 'success').map(row => row.updated_at);
+            this.schedule.loadHistory(posted);
+            this.log('INFO', 'Loaded posting history for schedule budgets', { postsLast24h: posted.length });
+        } catch (error) {
+            // Budgets then only count this session's posts
+            this.log('WARN', 'Failed to load posting history', { error: error.message });
+        }
+    }
+
+    async holdRecord(record, hold) {
+        this.stats.scheduledRecords++;
+        this.log('INFO', 'Record held by posting schedule', {
+            recordId: record.id,
+            until: hold.until.toISOString(),
+            reasons: hold.reasons
+        });
+        
+        if (this.dryRun) {
+            this.processedIds.add(String(record.id));
+            return;
+        }
+        
+        try {
+            // Held records wait in the retry queue; earlier failed attempts still count
+            const existing = await this.storage.getProcessedRecord(record.id);
+            await this.storage.saveRetryState({
+                recordId: record.id,
+                replyToTweetId: record.tweet_id,
+                status: 'scheduled',
+                poiTransaction: record.poi_transaction,
+                attemptCount: existing ? existing.attempt_count || 0 : 0,
+                lastError: existing ? existing.last_error : null,
+                lastErrorCode: existing ? existing.last_error_code : null,
+                nextAttemptAt: hold.until
+            });
+            this.processedIds.add(String(record.id));
+        } catch (error) {
+            this.log('ERROR', 'Failed to save scheduled record', { error: error.message, recordId: record.id });
+            this.stats.errors++;
+        }
+    }
+
+    async loadCursor() {
+        try {
+            this.cursor = await this.storage.getCursor(this.cursorName);
             
-            // Test Twitter connection
-            const me = await this.rwClient.v2.me();
-            this.log('SUCCESS', `Twitter connected as @${me.data.username}`, { userId: me.data.id });
+            if (this.cursor) {
+                this.log('INFO', 'Loaded ingestion cursor', { cursor: this.cursor });
+            } else {
+                this.log('INFO', 'No ingestion cursor found - starting from lookback window', {
+                    lookbackHours: this.config.initialLookbackMs / (60 * 60 * 1000)
+                });
+            }
+        } catch (error) {
+            // Without the cursor we would re-read from the lookback window; processedIds prevents re-posts
+            this.log('ERROR', 'Failed to load ingestion cursor', { error: error.message });
+            this.stats.errors++;
+            this.cursor = null;
+        }
+    }
+
+    async saveCursor(cursor) {
+        const previous = this.cursor;
+        this.cursor = cursor;
+        
+        if (this.dryRun) return true;
+        
+        try {
+            await this.storage.saveCursor(this.cursorName, cursor);
             
+            this.log('DEBUG', 'Advanced ingestion cursor', { previous, cursor });
             return true;
         } catch (error) {
-            this.log('ERROR', 'Connection failed', { error: error.message, stack: error.stack });
+            this.log('ERROR', 'Failed to save ingestion cursor', { error: error.message, cursor });
+            this.stats.errors++;
+            return false;
+        }
+    }
+
+    getRetryDelay(attemptCount) {
+        const delay = this.config.retryBaseDelayMs * Math.pow(2, Math.max(0, attemptCount - 1));
+        return Math.min(delay, this.config.retryMaxDelayMs);
+    }
+
+    async scheduleRetry(record, error) {
+        const errorCode = error.code !== undefined && error.code !== null ? String(error.code) : null;
+        
+        if (this.dryRun) {
+            this.processedIds.add(String(record.id));
+            this.log('DEBUG', 'Dry run - retry not scheduled', { recordId: record.id, errorCode });
+            return;
+        }
+        
+        try {
+            const existing = await this.storage.getProcessedRecord(record.id);
+            
+            const previousAttempts = existing ? (existing.attempt_count || 0) : 0;
+            const attemptCount = previousAttempts + 1;
+            const deadLetter = attemptCount >= this.config.maxPostAttempts;
+            const status = deadLetter ? 'dead_letter' : 'retry_pending';
+            const nextAttemptAt = deadLetter ? null : new Date(Date.now() + this.getRetryDelay(attemptCount));
+            
+            await this.storage.saveRetryState({
+                recordId: record.id,
+                replyToTweetId: record.tweet_id,
+                status,
+                poiTransaction: record.poi_transaction,
+                attemptCount,
+                lastError: error.message,
+                lastErrorCode: errorCode,
+                nextAttemptAt
+            });
+            
+            this.processedIds.add(String(record.id));
+            
+            if (deadLetter) {
+                this.stats.deadLettered++;
+                this.log('ERROR', 'Record moved to dead letter after max attempts', {
+                    recordId: record.id,
+                    attemptCount,
+                    lastError: error.message,
+                    lastErrorCode: errorCode
+                });
+            } else {
+                this.stats.retriesScheduled++;
+                this.log('WARN', 'Scheduled retry for failed post', {
+                    recordId: record.id,
+                    attemptCount,
+                    maxAttempts: this.config.maxPostAttempts,
+                    nextAttemptAt: nextAttemptAt.toISOString(),
+                    lastErrorCode: errorCode
+                });
+            }
+        } catch (dbError) {
+            this.log('ERROR', 'Failed to schedule retry for record', {
+                error: dbError.message,
+                recordId: record.id,
+                postError: error.message
+            });
             this.stats.errors++;
-            return false;
         }
     }
 
-    async createProcessedRecordsTable() {
+    async getDueRetryRecords() {
         try {
-            const createTableQuery = `
-                CREATE TABLE IF NOT EXISTS processed_records (
-                    record_id VARCHAR(255) PRIMARY KEY,
-                    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    posted_tweet_id VARCHAR(255),
-                    reply_to_tweet_id VARCHAR(255),
-                    status VARCHAR(50) DEFAULT 'success',
-                    content_length INTEGER,
-                    poi_transaction TEXT,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                );
-            `;
+            const due = await this.storage.getDueRetries(this.config.retryBatchSize);
+            if (due.length === 0) return [];
+            
+            const attempts = new Map(due.map(row => [row.record_id, row.attempt_count]));
             
-            await this.railwayClient.query(createTableQuery);
+            // The retry queue only holds IDs - the content comes from the main database
+            const source = await this.mainDb.query(
+                'SELECT * FROM twitter_answers WHERE id::text = ANY($1)',
+                [Array.from(attempts.keys())]
+            );
             
-            // Add index for better query performance
-            await this.railwayClient.query(`
-                CREATE INDEX IF NOT EXISTS idx_processed_records_processed_at 
-                ON processed_records(processed_at)
-            `);
+            const found = new Set(source.rows.map(record => String(record.id)));
+            for (const recordId of attempts.keys()) {
+                if (!found.has(recordId)) {
+                    this.log('WARN', 'Retry record no longer in twitter_answers - SKIPPING', { recordId });
+                    await this.saveProcessedId(recordId, null, null, 'skipped_source_missing');
+                }
+            }
             
-            await this.railwayClient.query(`
-                CREATE INDEX IF NOT EXISTS idx_processed_records_status 
-                ON processed_records(status)
-            `);
+            this.log('INFO', 'Loaded due retries', {
+                due: due.length,
+                recordIds: Array.from(attempts.keys())
+            });
             
-            this.log('SUCCESS', 'Processed records table ready with enhanced schema');
+            return source.rows;
         } catch (error) {
-            this.log('ERROR', 'Failed to create processed_records table', { error: error.message });
-            throw error;
+            this.log('ERROR', 'Error loading due retries', { error: error.message });
+            this.stats.errors++;
+            return [];
         }
     }
 
-    async loadProcessedIds() {
+    async getThreadProgress(recordId) {
+        if (this.threadProgress.has(recordId)) {
+            return this.threadProgress.get(recordId);
+        }
+        
+        let parts = [];
         try {
-            const query = 'SELECT record_id FROM processed_records';
-            const { client, result } = await this.executeQuery(
-                this.railwayClient, 
-                this.railwayDbConfig, 
-                'Railway', 
-                query
-            );
-            this.railwayClient = client;
-            
-            this.processedIds = new Set(result.rows.map(row => row.record_id));
-            this.log('INFO', `Loaded ${this.processedIds.size} previously processed IDs from Railway database`);
+            const rows = await this.storage.getThreadParts(recordId);
+            parts = rows.map(row => ({ partIndex: row.part_index, tweetId: row.tweet_id }));
         } catch (error) {
-            this.log('INFO', 'No previous processed IDs found or error loading', { error: error.message });
-            this.processedIds = new Set();
+            this.log('WARN', 'Failed to load thread progress', { error: error.message, recordId });
         }
+        
+        this.threadProgress.set(recordId, parts);
+        return parts;
     }
 
-    async saveProcessedId(recordId, postedTweetId = null, replyToTweetId = null, status = 'success', contentLength = null, poiTransaction = null) {
+    async saveThreadPart(recordId, partIndex, tweetId, replyToTweetId, contentLength) {
+        // Keep progress in memory first so a failed DB write never causes a re-post in this session
+        const parts = await this.getThreadProgress(recordId);
+        parts.push({ partIndex, tweetId });
+        
+        if (this.dryRun) return;
+        
         try {
-            const query = `
-                INSERT INTO processed_records (
-                    record_id, 
-                    posted_tweet_id, 
-                    reply_to_tweet_id, 
-                    status,
-                    content_length,
-                    poi_transaction,
-                    processed_at,
-                    updated_at
-                ) 
-                VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW()) 
-                ON CONFLICT (record_id) DO UPDATE SET
-                    posted_tweet_id = EXCLUDED.posted_tweet_id,
-                    status = EXCLUDED.status,
-                    updated_at = NOW()
-            `;
-            
-            const { client } = await this.executeQuery(
-                this.railwayClient,
-                this.railwayDbConfig,
-                'Railway',
-                query,
-                [recordId, postedTweetId, replyToTweetId, status, contentLength, poiTransaction]
-            );
-            this.railwayClient = client;
-            
-            this.processedIds.add(recordId);
-            
-            this.log('DEBUG', `Saved processed record to database`, { 
-                recordId, 
-                postedTweetId, 
-                replyToTweetId,
-                status,
-                contentLength 
-            });
+            await this.storage.saveThreadPart({ recordId, partIndex, tweetId, replyToTweetId, contentLength });
         } catch (error) {
-            this.log('ERROR', 'Failed to save processed record to database', { 
-                error: error.message, 
-                recordId 
+            this.log('ERROR', 'Failed to save thread part to database', {
+                error: error.message,
+                recordId,
+                partIndex,
+                tweetId
             });
             this.stats.errors++;
         }
@@ -493,122 +1165,172 @@ class TwitterBot {
         this.log('DEBUG', 'saveProcessedIds called (legacy method) - using database storage');
     }
 
-    isValidRecord(record) {
-        // Must have poi_transaction
-        //if (!record.poi_transaction || record.poi_transaction === null) {
-          //  return false;
-        //}
-
-        // Must have answer
-        if (!record.answer || record.answer.trim().length === 0) {
-            return false;
-        }
-
-        // Must have tweet_id to reply to
-        if (!record.tweet_id || record.tweet_id.trim().length === 0) {
-            return false;
-        }
-
-        // Must contain science papers/sources/DOI - check for various indicators
-        const answer = record.answer.toLowerCase();
-        const hasSciencePapers = answer.includes('science papers:') ||
-                                answer.includes('additional sources:') ||
-                                answer.includes('references:') ||
-                                answer.includes('doi:') ||
-                                answer.includes('10.') || // DOI pattern
-                                answer.includes('arxiv:') ||
-                                answer.includes('pubmed') ||
-                                answer.includes('pmid:');
+    evaluateRecord(record) {
+        return this.eligibility.evaluate(record);
+    }
 
-        if (!hasSciencePapers) {
-            return false;
-        }
+    isValidRecord(record) {
+        return this.evaluateRecord(record).eligible;
+    }
 
-        return true;
+    parseAnswerForTwitter(answer) {
+        // Reference sections and DOI/PMID/arXiv identifiers come out of the body as structured citations
+        return extractCitations(answer);
     }
 
     cleanAnswerForTwitter(answer) {
-        // Strategy: Keep the full answer since we already filtered for scientific content
-        // Only remove extremely long scientific paper lists if needed for length
-        return answer.trim();
+        return this.parseAnswerForTwitter(answer).body;
     }
 
     async getNewRecords() {
         try {
-            // Use UTC for timezone consistency
-            const utcLastCheckTime = this.lastCheckTime.toISOString();
-            
-            const query = `
-                SELECT * FROM twitter_answers 
-                WHERE created_at > $1::timestamp
-                ORDER BY created_at DESC
-                LIMIT 50
+            let where;
+            let params;
+            
+            // Keyed on (created_at, id) so rows sharing a timestamp are never skipped.
+            // The cursor value is compared in the column's own type, so no time zone conversion happens.
+            // Ids compare in byte order (COLLATE "C") whatever the database locale, like lib/ordering.js.
+            if (this.cursor) {
+                where = 'created_at > $1 OR (created_at = $1 AND id::text COLLATE "C" > $2)';
+                params = [this.cursor.createdAt, this.cursor.id];
+            } else {
+                // First run: ISO UTC string, so a timestamp without time zone is read as UTC
+                where = 'created_at > $1';
+                params = [new Date(Date.now() - this.config.initialLookbackMs).toISOString()];
+            }
+            
+            const windowQuery = (direction) => `
+                SELECT *, created_at::text AS cursor_created_at FROM twitter_answers 
+                WHERE ${where}
+                ORDER BY created_at ${direction}, id::text COLLATE "C" ${direction}
+                LIMIT $${params.length + 1}
             `;
             
             this.log('DEBUG', 'Executing database query', {
-                lastCheckTime: utcLastCheckTime,
-                localTime: this.lastCheckTime.toLocaleString(),
-                query: query.trim()
+                cursor: this.cursor,
+                params: params,
+                query: windowQuery('ASC').trim()
             });
             
-            const { client, result } = await this.executeQuery(
-                this.pgClient,
-                this.mainDbConfig,
-                'Main',
-                query,
-                [utcLastCheckTime]
-            );
-            this.pgClient = client;
+            // The oldest rows drive the cursor and are where overdue records wait
+            const oldest = await this.mainDb.query(windowQuery('ASC'), [...params, this.ordering.windowSize]);
+            const hasMore = oldest.rows.length === this.ordering.windowSize;
+            let rows = oldest.rows;
+            
+            // A backlog bigger than the window is also read from its newest end unless posting oldest first
+            if (hasMore && this.ordering.strategy !== 'fifo') {
+                const newest = await this.mainDb.query(windowQuery('DESC'), [...params, this.ordering.windowSize]);
+                const seen = new Set(rows.map(row => String(row.id)));
+                rows = rows.concat(newest.rows.filter(row => !seen.has(String(row.id))));
+            }
             
             // Filter valid records that haven't been processed
-            const newRecords = result.rows.filter(record => 
-                this.isValidRecord(record) && !this.processedIds.has(record.id)
-            );
+            const rejectedByReason = {};
+            const rejections = new Map(); // record id -> evaluation
+            const newRecords = rows.filter(record => {
+                if (this.processedIds.has(String(record.id))) return false;
+                
+                const evaluation = this.evaluateRecord(record);
+                if (!evaluation.eligible) {
+                    rejectedByReason[evaluation.reason] = (rejectedByReason[evaluation.reason] || 0) + 1;
+                    rejections.set(record.id, evaluation);
+                }
+                return evaluation.eligible;
+            });
+            
+            const followers = this.ordering.needsAuthorFollowers ? await this.loadAuthorFollowers(newRecords) : undefined;
+            const records = this.ordering.sort(newRecords, { followers });
             
             this.log('INFO', 'Database query completed', {
-                totalFound: result.rows.length,
-                validForPosting: newRecords.length,
-                lastCheckTime: utcLastCheckTime,
-                sampleRecordDates: result.rows.slice(0, 3).map(r => ({
+                totalFound: rows.length,
+                validForPosting: records.length,
+                rejectedByReason,
+                cursor: this.cursor,
+                strategy: this.ordering.strategy,
+                nextRecordIds: records.slice(0, 5).map(record => record.id),
+                sampleRecordDates: rows.slice(0, 3).map(r => ({
                     id: r.id,
-                    created_at: r.created_at,
+                    created_at: r.cursor_created_at,
                     has_poi: !!r.poi_transaction,
                     has_tweet_id: !!r.tweet_id
                 }))
             });
             
-            return newRecords;
+            return { rows, cursorRows: oldest.rows, records, rejections, hasMore };
             
         } catch (error) {
             this.log('ERROR', 'Error getting new records from database', {
                 error: error.message,
                 stack: error.stack,
-                lastCheckTime: this.lastCheckTime.toISOString()
+                cursor: this.cursor
             });
             this.stats.errors++;
-            return [];
+            return null;
+        }
+    }
+
+    async loadAuthorFollowers(records) {
+        // Only a ranking hint, so the cache is simply dropped when it grows large
+        if (this.authorFollowers.size > 10000) this.authorFollowers.clear();
+        
+        const missing = Array.from(new Set(records.map(record => String(record.tweet_id))))
+            .filter(tweetId => !this.authorFollowers.has(tweetId));
+        const account = this.accounts.get(this.accountRegistry.defaultAccount) || this.accounts.values().next().value;
+        
+        for (let i = 0; i < missing.length; i += 100) {
+            // Ranking is only a hint - never wait for the window to reset
+            const rateLimitCheck = await this.checkRateLimit('batchLookup', account);
+            if (!rateLimitCheck.canProceed) break;
+            
+            const tweetIds = missing.slice(i, i + 100);
+            try {
+                // fullResponse: v2.tweets() only returns the body, without the rate-limit headers
+                const response = await account.rwClient.v2.get('tweets', {
+                    ids: tweetIds,
+                    expansions: ['author_id'],
+                    'user.fields': ['public_metrics']
+                }, { fullResponse: true });
+                this.updateRateLimitInfo('batchLookup', response.headers, account);
+                
+                const body = response.data || {};
+                const users = new Map(((body.includes && body.includes.users) || []).map(user => [user.id, user]));
+                const authors = new Map((body.data || []).map(tweet => [String(tweet.id), users.get(tweet.author_id)]));
+                for (const tweetId of tweetIds) {
+                    const author = authors.get(tweetId);
+                    // Deleted or hidden tweets stay unknown instead of being looked up every cycle
+                    this.authorFollowers.set(tweetId, author && author.public_metrics ? author.public_metrics.followers_count : null);
+                }
+            } catch (error) {
+                if (error.headers) {
+                    this.updateRateLimitInfo('batchLookup', error.headers, account);
+                }
+                this.log('WARN', 'Author follower lookup failed - ranking without it', { error: error.message, code: error.code });
+                break;
+            }
         }
+        
+        return this.authorFollowers;
     }
 
-    async validateTweet(tweetId) {
+    async validateTweet(tweetId, account) {
         try {
             // Check rate limit before making API call
-            const rateLimitCheck = await this.checkRateLimit('lookup');
+            const rateLimitCheck = await this.checkRateLimit('lookup', account);
             if (!rateLimitCheck.canProceed) {
                 await this.waitForRateLimit(rateLimitCheck.waitTime);
             }
             
             // Try to get the tweet to verify it exists and is accessible
-            const response = await this.rwClient.v2.singleTweet(tweetId);
+            const response = await account.rwClient.v2.singleTweet(tweetId);
             
             // Update rate limit info from response headers
-            this.updateRateLimitInfo('lookup', response.headers);
+            this.updateRateLimitInfo('lookup', response.headers, account);
             
             return true;
         } catch (error) {
             // Update rate limit info even on error
             if (error.headers) {
-                this.updateRateLimitInfo('lookup', error.headers);
+                this.updateRateLimitInfo('lookup', error.headers, account);
             }
             
             // Check if this is a rate limit error
@@ -625,7 +1347,7 @@ class TwitterBot {
                     if (waitTime > 0) {
                         await this.waitForRateLimit(waitTime);
                         // Retry once after waiting
-                        return await this.validateTweet(tweetId);
+                        return await this.validateTweet(tweetId, account);
                     }
                 }
             }
@@ -639,13 +1361,61 @@ class TwitterBot {
         }
     }
 
+    async verifyPoi(record) {
+        if (!record.poi_transaction) return null;
+        
+        const poi = await this.poi.verify(record.poi_transaction);
+        if (poi.status === 'unverified' && this.poi.policy.verifyOnChain) {
+            this.log('WARN', 'Proof of inference not verified on-chain', {
+                recordId: record.id,
+                hash: poi.hash,
+                reason: poi.reason
+            });
+        } else {
+            this.log('DEBUG', 'Proof of inference checked', { recordId: record.id, status: poi.status, url: poi.url });
+        }
+        return poi;
+    }
+
     async postToTwitter(record, retryCount = 0) {
+        const route = this.routeRecord(record);
+        const account = route.account;
+        
+        if (!account) {
+            this.log('WARN', 'No account for record - SKIPPING', { recordId: record.id, reason: route.reason });
+            this.stats.skippedRecords++;
+            await this.saveProcessedId(record.id, null, record.tweet_id, 'skipped_unknown_account', null, record.poi_transaction, null, {
+                sourceHash: hashSourceRecord(record),
+                statusDetail: { reason: route.reason }
+            });
+            return null;
+        }
+        
         try {
             const replyToTweetId = record.tweet_id;
+            this.currentPostContext = { recordId: record.id, targetTweetId: replyToTweetId, account: account.name };
+            this.log('DEBUG', 'Record routed to account', { recordId: record.id, account: account.name, via: route.via });
+            
+            // Proof of inference is checked before spending a tweet lookup on the record
+            const poi = await this.verifyPoi(record);
+            if (poi && poi.status === 'invalid') {
+                this.log('WARN', 'Invalid proof of inference - SKIPPING', {
+                    recordId: record.id,
+                    poiTransaction: record.poi_transaction,
+                    reason: poi.reason
+                });
+                this.stats.invalidPoi++;
+                await this.saveProcessedId(record.id, null, replyToTweetId, 'invalid_poi', null, record.poi_transaction, null, {
+                    account: account.name,
+                    sourceHash: hashSourceRecord(record),
+                    statusDetail: { poi }
+                });
+                return null;
+            }
             
             // First, validate that the tweet exists
-            this.log('DEBUG', 'Validating original tweet exists', { tweetId: replyToTweetId });
-            const tweetExists = await this.validateTweet(replyToTweetId);
+            this.log('DEBUG', 'Validating original tweet exists', { recordId: record.id, tweetId: replyToTweetId });
+            const tweetExists = await this.validateTweet(replyToTweetId, account);
             
             if (!tweetExists) {
                 this.log('WARN', 'Original tweet not accessible - SKIPPING', {
@@ -654,12 +1424,12 @@ class TwitterBot {
                 });
                 this.stats.skippedRecords++;
                 // Mark as processed so we don't try again
-                await this.saveProcessedId(record.id, null, replyToTweetId, 'skipped_tweet_not_accessible', null, record.poi_transaction);
+                await this.saveProcessedId(record.id, null, replyToTweetId, 'skipped_tweet_not_accessible', null, record.poi_transaction, null, { account: account.name });
                 return null;
             }
             
             // Clean the answer by removing scientific paper references
-            const cleanedContent = this.cleanAnswerForTwitter(record.answer);
+            const { body: cleanedContent, citations } = this.parseAnswerForTwitter(record.answer);
             
             if (!cleanedContent || cleanedContent.trim().length === 0) {
                 this.log('WARN', 'No content left after cleaning scientific papers - SKIPPING', {
@@ -667,65 +1437,143 @@ class TwitterBot {
                     originalLength: record.answer.length
                 });
                 this.stats.skippedRecords++;
+                await this.saveProcessedId(record.id, null, replyToTweetId, 'skipped_empty_content', null, record.poi_transaction, null, { account: account.name });
                 return null;
             }
             
-            let finalContent = cleanedContent.trim();
+            // Content policy: blocklist, PII redaction, link allowlist, medical-advice disclaimer
+            const moderation = this.contentPolicy.apply(cleanedContent.trim(), citations);
             
-            // With blue checkmark, we have much higher limits (up to 25,000 chars)
-            // Only truncate if extremely long (over 20,000 chars as safety)
-            if (finalContent.length > 20000) {
-                console.log(`⚠️  Tweet extremely long (${finalContent.length} chars), truncating...`);
-                finalContent = finalContent.substring(0, 19995) + '...';
-            } else {
-                console.log(`📏 Tweet length: ${finalContent.length} chars (within limits)`);
+            if (!moderation.allowed) {
+                this.log('WARN', 'Content blocked by policy - SKIPPING', {
+                    recordId: record.id,
+                    rule: moderation.rule,
+                    detail: moderation.detail
+                });
+                this.stats.blockedByPolicy++;
+                await this.saveProcessedId(record.id, null, replyToTweetId, 'blocked_by_policy', null, record.poi_transaction, null, {
+                    account: account.name,
+                    sourceHash: hashSourceRecord(record),
+                    statusDetail: { rule: moderation.rule, detail: moderation.detail }
+                });
+                return null;
             }
             
-            // Check rate limit before posting
-            const rateLimitCheck = await this.checkRateLimit('tweets');
-            if (!rateLimitCheck.canProceed) {
-                await this.waitForRateLimit(rateLimitCheck.waitTime);
+            if (moderation.changes) {
+                this.log('INFO', 'Content adjusted by policy', { recordId: record.id, changes: moderation.changes });
             }
             
-            // Create tweet options - ALWAYS as reply
-            const tweetOptions = {
-                text: finalContent,
-                reply: {
-                    in_reply_to_tweet_id: replyToTweetId
-                }
-            };
+            const finalContent = moderation.text.trim();
+            if (finalContent.length === 0) {
+                this.log('WARN', 'No content left after applying content policy - SKIPPING', { recordId: record.id });
+                this.stats.skippedRecords++;
+                await this.saveProcessedId(record.id, null, replyToTweetId, 'skipped_empty_content', null, record.poi_transaction, null, {
+                    account: account.name,
+                    statusDetail: { moderation: moderation.changes }
+                });
+                return null;
+            }
             
-            this.log('INFO', 'Attempting to post reply', {
-                recordId: record.id,
-                replyToTweetId: replyToTweetId,
-                contentPreview: finalContent.substring(0, 100),
-                contentLength: finalContent.length,
-                retryCount: retryCount
-            });
+            const postedCitations = moderation.citations;
+            const proofText = this.poi.disclosureText(poi);
+            const inlineProof = proofText && this.poi.policy.disclosure.mode === 'inline';
+            const replyText = this.formatReply(account, finalContent);
+            const parts = splitIntoThread(inlineProof ? `${replyText}\n\n${proofText}` : replyText, account.maxTweetLength);
+            
+            // Citation links follow the answer as their own reply
+            if (this.config.postCitationsReply && postedCitations.length > 0) {
+                parts.push(...splitIntoThread(formatCitationsReply(postedCitations), account.maxTweetLength));
+            }
+            
+            if (proofText && !inlineProof) {
+                parts.push(proofText);
+            }
             
-            const tweet = await this.rwClient.v2.tweet(tweetOptions);
+            // Resume after the last part that made it out on a previous attempt
+            const postedParts = await this.getThreadProgress(record.id);
+            const postedTweetIds = postedParts.map(part => part.tweetId);
+            let previousTweetId = postedTweetIds.length > 0 ? postedTweetIds[postedTweetIds.length - 1] : replyToTweetId;
             
-            // Update rate limit info from response headers
-            this.updateRateLimitInfo('tweets', tweet.headers);
+            console.log(`📏 Content length: ${finalContent.length} chars, ${postedCitations.length} citation(s), ${parts.length} tweet(s) (limit ${account.maxTweetLength}, @${account.username || account.name})`);
+            
+            if (postedParts.length > 0) {
+                this.log('INFO', 'Resuming partially posted thread', {
+                    recordId: record.id,
+                    postedParts: postedParts.length,
+                    totalParts: parts.length
+                });
+            }
+            
+            for (let partIndex = postedParts.length; partIndex < parts.length; partIndex++) {
+                const partContent = parts[partIndex];
+                
+                if (partIndex > postedParts.length) {
+                    await new Promise(resolve => setTimeout(resolve, this.config.delayBetweenThreadParts));
+                }
+                
+                // Check rate limit before posting
+                const rateLimitCheck = await this.checkRateLimit('tweets', account);
+                if (!rateLimitCheck.canProceed) {
+                    await this.waitForRateLimit(rateLimitCheck.waitTime);
+                }
+                
+                // Create tweet options - ALWAYS as reply (to the original tweet, then to the previous part)
+                const tweetOptions = {
+                    text: partContent,
+                    reply: {
+                        in_reply_to_tweet_id: previousTweetId
+                    }
+                };
+                
+                this.log('INFO', 'Attempting to post reply', {
+                    recordId: record.id,
+                    account: account.name,
+                    replyToTweetId: previousTweetId,
+                    part: `${partIndex + 1}/${parts.length}`,
+                    contentPreview: partContent.substring(0, 100),
+                    contentLength: partContent.length,
+                    retryCount: retryCount
+                });
+                
+                await this.markPosting(record, account, { partIndex, inReplyToTweetId: previousTweetId, text: partContent });
+                
+                const tweet = await account.rwClient.v2.tweet(tweetOptions);
+                
+                // Update rate limit info from response headers
+                this.updateRateLimitInfo('tweets', tweet.headers, account);
+                
+                await this.saveThreadPart(record.id, partIndex, tweet.data.id, previousTweetId, partContent.length);
+                postedTweetIds.push(tweet.data.id);
+                previousTweetId = tweet.data.id;
+            }
             
             this.log('SUCCESS', 'Successfully posted reply', {
                 recordId: record.id,
-                tweetId: tweet.data.id,
+                account: account.name,
+                tweetId: postedTweetIds[0],
+                threadTweetIds: postedTweetIds,
                 replyToTweetId: replyToTweetId,
-                url: `https://twitter.com/Aubrai_/status/${tweet.data.id}`,
+                url: `https://twitter.com/${account.username || 'i/web'}/status/${postedTweetIds[0]}`,
                 retryCount: retryCount
             });
             
+            this.threadProgress.delete(record.id);
             this.stats.successfulPosts++;
+            account.stats.successfulPosts++;
             return {
-                tweetId: tweet.data.id,
-                contentLength: finalContent.length
+                tweetId: postedTweetIds[0],
+                tweetIds: postedTweetIds,
+                contentLength: finalContent.length,
+                citations: postedCitations,
+                moderation: moderation.changes,
+                poi,
+                account: account.name
             };
             
         } catch (error) {
             // Update rate limit info even on error
             if (error.headers) {
-                this.updateRateLimitInfo('tweets', error.headers);
+                this.updateRateLimitInfo('tweets', error.headers, account);
             }
             
             // Handle rate limit errors with backoff and retry
@@ -772,6 +1620,7 @@ class TwitterBot {
             });
             
             this.stats.failedPosts++;
+            account.stats.failedPosts++;
             this.stats.errors++;
             
             // Check for deleted/not visible tweet errors
@@ -789,7 +1638,7 @@ class TwitterBot {
                 this.stats.skippedRecords++;
                 
                 // Mark as processed so we don't try again
-                await this.saveProcessedId(record.id, null, record.tweet_id, 'skipped_tweet_deleted', null, record.poi_transaction);
+                await this.saveProcessedId(record.id, null, record.tweet_id, 'skipped_tweet_deleted', null, record.poi_transaction, null, { account: account.name });
                 
             } else {
                 this.log('ERROR', 'Reply failed for unknown reason', {
@@ -797,84 +1646,255 @@ class TwitterBot {
                     errorDetails: error,
                     fullError: JSON.stringify(error, null, 2)
                 });
+                
+                // Keep it in the retry queue instead of dropping it
+                await this.scheduleRetry(record, error);
             }
             
             return null;
         }
     }
 
-    async processNewRecords() {
-        const records = await this.getNewRecords();
+    async isFinalizedElsewhere(record) {
+        if (this.dryRun) return false;
         
-        if (records.length === 0) {
-            this.log('INFO', 'No new records to process');
-            return;
+        try {
+            const existing = await this.storage.getProcessedRecord(record.id);
+            return existing && FINAL_STATUSES.includes(existing.status) ? existing.status : false;
+        } catch (error) {
+            // Storage trouble surfaces again when the outcome is saved
+            this.log('WARN', 'Could not check stored record status before posting', { recordId: record.id, error: error.message });
+            return false;
+        }
+    }
+
+    async processRecord(record) {
+        const finalStatus = await this.isFinalizedElsewhere(record);
+        if (finalStatus) {
+            this.log('INFO', 'Record already finalized in tracking storage - not posting', { recordId: record.id, status: finalStatus });
+            this.processedIds.add(String(record.id));
+            return true;
+        }
+        
+        const hold = this.schedule.check(record);
+        if (hold) {
+            await this.holdRecord(record, hold);
+            return this.processedIds.has(String(record.id));
         }
         
-        this.log('INFO', `Starting to process ${records.length} new records`);
+        this.stats.totalProcessed++;
+        
+        this.log('INFO', `Processing record ${this.stats.totalProcessed}`, {
+            recordId: record.id,
+            createdAt: record.created_at,
+            poiTransaction: record.poi_transaction,
+            answerPreview: record.answer.substring(0, 100)
+        });
+        
+        // Post to Twitter
+        const tweetResult = await this.postToTwitter(record);
         
-        for (const record of records) {
-            this.stats.totalProcessed++;
+        if (tweetResult && tweetResult.tweetId) {
+            this.schedule.recordPost();
             
-            this.log('INFO', `Processing record ${this.stats.totalProcessed}/${records.length}`, {
+            // Mark as processed and save to database
+            await this.saveProcessedId(record.id, tweetResult.tweetId, record.tweet_id, 'success', tweetResult.contentLength, record.poi_transaction, tweetResult.citations, {
+                account: tweetResult.account,
+                sourceHash: hashSourceRecord(record),
+                // answerHash lets the upstream sync tell a text edit from other column changes
+                statusDetail: {
+                    answerHash: hashAnswer(record.answer),
+                    moderation: tweetResult.moderation || undefined,
+                    poi: tweetResult.poi || undefined
+                }
+            });
+            this.log('SUCCESS', `Successfully processed record`, {
                 recordId: record.id,
-                createdAt: record.created_at,
-                poiTransaction: record.poi_transaction,
-                answerPreview: record.answer.substring(0, 100)
+                tweetId: tweetResult.tweetId
+            });
+            
+            // Apply rate-limited delay between posts
+            await this.rateLimitedDelay();
+        } else {
+            this.log('ERROR', `Failed to process record`, {
+                recordId: record.id
             });
+        }
+        
+        // Handled = its outcome (posted, skipped or queued for retry) is recorded in processed_records
+        return this.processedIds.has(String(record.id));
+    }
+
+    async processNewRecords() {
+        if (this.pendingReconciliation) {
+            await this.reconcilePostingRecords();
+        }
+        
+        // Due retries and scheduled records first - they have waited longest
+        const retryRecords = await this.getDueRetryRecords();
+        if (retryRecords.length > 0) {
+            this.log('INFO', `Starting to process ${retryRecords.length} due retries and scheduled records`);
+            for (const record of retryRecords) {
+                if (!this.isRunning) break;
+                await this.processRecord(record);
+            }
+        }
+        
+        // Post the backlog batch by batch in the configured order, re-reading between batches
+        // so newer arrivals compete for the next one. The cursor only moves past handled rows.
+        let batchesRead = 0;
+        let recordsProcessed = 0;
+        
+        while (this.isRunning) {
+            const window = await this.getNewRecords();
+            if (!window) break;
+            batchesRead++;
             
-            // Post to Twitter
-            const tweetResult = await this.postToTwitter(record);
+            // Rejected rows are handled once the reason is saved
+            for (const row of window.rows) {
+                if (window.rejections.has(row.id)) {
+                    await this.saveRejection(row, window.rejections.get(row.id));
+                }
+            }
             
-            if (tweetResult && tweetResult.tweetId) {
-                // Mark as processed and save to database
-                await this.saveProcessedId(record.id, tweetResult.tweetId, record.tweet_id, 'success', tweetResult.contentLength, record.poi_transaction);
-                this.log('SUCCESS', `Successfully processed record`, {
-                    recordId: record.id,
-                    tweetId: tweetResult.tweetId
-                });
+            const batch = window.records.slice(0, this.ordering.batchSize);
+            let blocked = false;
+            
+            for (const record of batch) {
+                if (!this.isRunning) {
+                    blocked = true;
+                    break;
+                }
                 
-                // Apply rate-limited delay between posts
-                await this.rateLimitedDelay();
-            } else {
-                this.log('ERROR', `Failed to process record`, {
-                    recordId: record.id
-                });
+                recordsProcessed++;
+                if (!(await this.processRecord(record))) {
+                    this.log('WARN', 'Record outcome not saved - holding ingestion cursor', {
+                        recordId: record.id,
+                        cursor: this.cursor
+                    });
+                    blocked = true;
+                    break;
+                }
+            }
+            
+            // Already processed rows are handled by definition; stop at the oldest one that isn't
+            let lastHandled = null;
+            for (const row of window.cursorRows) {
+                if (!this.processedIds.has(String(row.id))) break;
+                lastHandled = { createdAt: row.cursor_created_at, id: String(row.id) };
+            }
+            
+            if (lastHandled) {
+                const saved = await this.saveCursor(lastHandled);
+                if (!saved) break;
             }
+            
+            if (blocked || (window.records.length <= batch.length && !window.hasMore)) break;
+            
+            // Nothing posted and the cursor is stuck: re-reading would return the same window
+            if (batch.length === 0 && !lastHandled) break;
         }
         
-        // Update last check time to current UTC time
-        const newCheckTime = new Date();
-        this.log('DEBUG', 'Updating lastCheckTime', {
-            previousTime: this.lastCheckTime.toISOString(),
-            newTime: newCheckTime.toISOString(),
-            recordsProcessed: records.length
-        });
+        await this.recheckRejectedRecords();
+        await this.syncUpstreamChanges();
+        
+        if (recordsProcessed === 0 && retryRecords.length === 0) {
+            this.log('INFO', 'No new records to process', { batchesRead, cursor: this.cursor });
+        }
         
-        this.lastCheckTime = newCheckTime;
         this.logCurrentStats();
     }
 
+    async runCycle(reason) {
+        // One cycle at a time - a trigger during a cycle queues exactly one follow-up
+        if (this.isProcessing) {
+            this.pendingCycle = true;
+            return;
+        }
+        
+        this.isProcessing = true;
+        try {
+            do {
+                this.pendingCycle = false;
+                console.log(`\n⏰ Checking for new records at ${new Date().toISOString()} (${reason})`);
+                await this.processNewRecords();
+            } while (this.pendingCycle && this.isRunning);
+        } catch (error) {
+            this.log('ERROR', 'Processing cycle failed', { reason, error: error.message, stack: error.stack });
+            this.stats.errors++;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    handleNotification(payload) {
+        this.log('DEBUG', 'New record announced', { recordId: payload });
+        
+        if (this.notifyTimer) return;
+        this.notifyTimer = setTimeout(() => {
+            this.notifyTimer = null;
+            if (this.isRunning) {
+                this.runCycle('notify');
+            }
+        }, this.config.notifyDebounceMs);
+    }
+
+    async startNotifyListener() {
+        this.notifyListener = new NotifyListener({
+            dbConfig: this.mainDbConfig,
+            channel: this.config.notifyChannel,
+            onNotification: (payload) => this.handleNotification(payload),
+            log: (level, message, data) => this.log(level, message, data)
+        });
+        
+        try {
+            await this.notifyListener.start();
+            return true;
+        } catch (error) {
+            this.log('ERROR', 'Failed to start LISTEN/NOTIFY - falling back to polling only', {
+                channel: this.config.notifyChannel,
+                error: error.message
+            });
+            await this.notifyListener.stop().catch(() => {});
+            this.notifyListener = null;
+            return false;
+        }
+    }
+
     logCurrentStats() {
         const uptime = Date.now() - this.stats.startTime.getTime();
         const uptimeHours = Math.floor(uptime / (1000 * 60 * 60));
         const uptimeMinutes = Math.floor((uptime % (1000 * 60 * 60)) / (1000 * 60));
         
-        // Rate limit status
-        const rateLimitStatus = {
-            tweets: {
-                remaining: this.rateLimits.tweets.remaining,
-                limit: this.rateLimits.tweets.limit,
-                resetIn: this.rateLimits.tweets.resetTime ? 
-                    Math.max(0, Math.ceil((this.rateLimits.tweets.resetTime - Date.now()) / 1000)) : 'unknown'
-            },
-            lookup: {
-                remaining: this.rateLimits.lookup.remaining,
-                limit: this.rateLimits.lookup.limit,
-                resetIn: this.rateLimits.lookup.resetTime ? 
-                    Math.max(0, Math.ceil((this.rateLimits.lookup.resetTime - Date.now()) / 1000)) : 'unknown'
-            }
-        };
+        // Per-account posts and rate limit status
+        const accountStatus = {};
+        for (const account of this.accounts.values()) {
+            const { tweets, lookup, batchLookup } = account.rateLimits;
+            accountStatus[account.name] = {
+                successfulPosts: account.stats.successfulPosts,
+                failedPosts: account.stats.failedPosts,
+                rateLimits: {
+                    tweets: {
+                        remaining: tweets.remaining,
+                        limit: tweets.limit,
+                        resetIn: tweets.resetTime ? 
+                            Math.max(0, Math.ceil((tweets.resetTime - Date.now()) / 1000)) : 'unknown'
+                    },
+                    lookup: {
+                        remaining: lookup.remaining,
+                        limit: lookup.limit,
+                        resetIn: lookup.resetTime ? 
+                            Math.max(0, Math.ceil((lookup.resetTime - Date.now()) / 1000)) : 'unknown'
+                    },
+                    batchLookup: {
+                        remaining: batchLookup.remaining,
+                        limit: batchLookup.limit,
+                        resetIn: batchLookup.resetTime ? 
+                            Math.max(0, Math.ceil((batchLookup.resetTime - Date.now()) / 1000)) : 'unknown'
+                    }
+                }
+            };
+        }
         
         this.log('INFO', 'Current session statistics', {
             uptime: `${uptimeHours}h ${uptimeMinutes}m`,
@@ -882,32 +1902,120 @@ class TwitterBot {
             successfulPosts: this.stats.successfulPosts,
             failedPosts: this.stats.failedPosts,
             skippedRecords: this.stats.skippedRecords,
+            rejectedRecords: this.stats.rejectedRecords,
+            blockedByPolicy: this.stats.blockedByPolicy,
+            invalidPoi: this.stats.invalidPoi,
+            retriesScheduled: this.stats.retriesScheduled,
+            deadLettered: this.stats.deadLettered,
+            scheduledRecords: this.stats.scheduledRecords,
+            upstreamChanges: this.stats.upstreamChanges,
             errors: this.stats.errors,
             rateLimitHits: this.stats.rateLimitHits,
+            metricsSnapshots: this.metricsCollector ? this.metricsCollector.stats.snapshots : 0,
+            mentionsSaved: this.mentionListener ? this.mentionListener.stats.saved : 0,
             totalWaitTimeMin: Math.round(this.stats.totalWaitTime / (1000 * 60)),
             successRate: this.stats.totalProcessed > 0 ? 
                 ((this.stats.successfulPosts / this.stats.totalProcessed) * 100).toFixed(1) + '%' : '0%',
-            rateLimits: rateLimitStatus
+            accounts: accountStatus
+        });
+    }
+
+    startMetricsCollector() {
+        this.metricsCollector = new MetricsCollector({
+            storage: this.storage,
+            getAccount: (name) => this.accounts.get(name || this.accountRegistry.defaultAccount) || null,
+            updateRateLimitInfo: (endpoint, headers, account) => this.updateRateLimitInfo(endpoint, headers, account),
+            isBusy: () => this.isProcessing,
+            log: (level, message, data) => this.log(level, message, data),
+            config: this.config.metrics
+        });
+        this.metricsCollector.start();
+    }
+
+    async startMentionListener() {
+        try {
+            this.mentionListener = new MentionListener({
+                db: this.mainDb,
+                storage: this.storage,
+                getAccounts: () => Array.from(this.accounts.values()),
+                updateRateLimitInfo: (endpoint, headers, account) => this.updateRateLimitInfo(endpoint, headers, account),
+                log: (level, message, data) => this.log(level, message, data),
+                config: this.config.mentions
+            });
+            await this.mentionListener.start();
+            console.log(`📥 Saving mentions to "${this.config.mentions.table}"`);
+        } catch (error) {
+            // Posting carries on without the listener
+            this.log('ERROR', 'Failed to start mention listener', { error: error.message });
+            if (this.mentionListener) this.mentionListener.stop();
+            this.mentionListener = null;
+        }
+    }
+
+    reloadConfig() {
+        let next;
+        let policies;
+        try {
+            next = loadConfig();
+            policies = loadPolicyFiles(next);
+        } catch (error) {
+            this.log('ERROR', 'Configuration reload failed - keeping current settings', { error: error.message });
+            return null;
+        }
+        
+        const { applied, restartRequired } = applyReload(this.config, next);
+        
+        // Policy files are swapped whole; the schedule keeps its post history for the budgets
+        policies.schedule.postTimes = this.schedule.postTimes;
+        this.eligibility = policies.eligibility;
+        this.contentPolicy = policies.contentPolicy;
+        this.poi = policies.poi;
+        this.schedule = policies.schedule;
+        this.ordering = policies.ordering;
+        
+        // Accounts carry live clients and rate-limit state: routing and the default account
+        // apply right away, a changed account list needs a restart
+        if (JSON.stringify(policies.accountRegistry.accounts) === JSON.stringify(this.accountRegistry.accounts)) {
+            this.accountRegistry = policies.accountRegistry;
+        } else {
+            restartRequired.push('accounts');
+        }
+        
+        this.log('INFO', 'Configuration reloaded', {
+            changed: applied.map(({ key, from, to }) => `${key}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`),
+            policyFiles: [policies.eligibility, policies.contentPolicy, policies.poi, policies.schedule, policies.ordering].map(policy => policy.source)
         });
+        if (restartRequired.length > 0) {
+            this.log('WARN', 'Changed settings need a restart to take effect', { settings: restartRequired });
+        }
+        return { applied, restartRequired };
     }
 
     async start() {
-        console.log('🤖 Twitter Bot - Database Polling');
+        console.log(`🤖 Twitter Bot - Database Polling${this.dryRun ? ' (DRY RUN)' : ''}`);
         console.log('==================================');
         
         const connected = await this.connect();
         if (!connected) {
+            await this.logWriter.close();
             process.exit(1);
         }
         
         this.isRunning = true;
         
-        console.log(`📡 Starting polling every 60 seconds...`);
+        // Push mode: NOTIFY triggers a cycle right away, polling becomes a slower safety net
+        const listening = this.config.listenNotify && await this.startNotifyListener();
+        const pollIntervalMs = listening ? this.config.safetyPollIntervalMs : this.config.pollIntervalMs;
+        
+        if (listening) {
+            console.log(`📣 Listening for NOTIFY on "${this.config.notifyChannel}"`);
+        }
+        console.log(`📡 Starting polling every ${pollIntervalMs / 1000} seconds...`);
         console.log(`🕐 Started at: ${new Date().toISOString()}`);
         console.log(`🔴 Press Ctrl+C to stop\n`);
         
         // Initial check
-        await this.processNewRecords();
+        await this.runCycle('startup');
         
         // Set up interval
         const interval = setInterval(async () => {
@@ -916,10 +2024,19 @@ class TwitterBot {
                 return;
             }
             
-            console.log(`\n⏰ Checking for new records at ${new Date().toISOString()}`);
-            await this.processNewRecords();
+            await this.runCycle('poll');
             
-        }, 60000); // 60 seconds
+        }, pollIntervalMs);
+        
+        // Engagement metrics of posted replies (nothing is posted in a dry run)
+        if (this.config.metrics.enabled && !this.dryRun) {
+            this.startMetricsCollector();
+        }
+        
+        // Inbound questions from the mentions timeline (writes to the main database, so not in a dry run)
+        if (this.config.mentions.enabled && !this.dryRun) {
+            await this.startMentionListener();
+        }
         
         // Global error handlers
         process.on('uncaughtException', (error) => {
@@ -938,27 +2055,47 @@ class TwitterBot {
             console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
         });
         
+        // Re-read config/bot.json and apply the settings that are safe to change while running
+        process.on('SIGHUP', () => this.reloadConfig());
+        
         // Graceful shutdown
         process.on('SIGINT', async () => {
             console.log('\n\n🛑 Shutting down...');
             this.isRunning = false;
             clearInterval(interval);
+            clearTimeout(this.notifyTimer);
+            if (this.metricsCollector) {
+                this.metricsCollector.stop();
+            }
+            if (this.mentionListener) {
+                this.mentionListener.stop();
+            }
+            
+            if (this.notifyListener) {
+                try {
+                    await this.notifyListener.stop();
+                    console.log('✅ LISTEN connection closed');
+                } catch (error) {
+                    console.error('❌ Error closing LISTEN connection:', error.message);
+                }
+            }
             
             try {
-                await this.pgClient.end();
+                await this.mainDb.end();
                 console.log('✅ Main database connection closed');
             } catch (error) {
                 console.error('❌ Error closing main database:', error.message);
             }
             
             try {
-                await this.railwayClient.end();
-                console.log('✅ Railway database connection closed');
+                await this.storage.close();
+                console.log(`✅ Tracking storage closed (${this.storage.backend})`);
             } catch (error) {
-                console.error('❌ Error closing Railway database:', error.message);
+                console.error('❌ Error closing tracking storage:', error.message);
             }
             
             console.log(`📊 Total processed records: ${this.processedIds.size}`);
+            await this.logWriter.close();
             process.exit(0);
         });
     }
@@ -966,7 +2103,7 @@ class TwitterBot {
 
 // Start the bot
 if (require.main === module) {
-    const bot = new TwitterBot();
+    const bot = new TwitterBot({ dryRun: process.argv.includes('--dry-run') });
     bot.start().catch(console.error);
 }
 